@@ -1,17 +1,465 @@
-// Global variable to store all food data
+// Global variable to store all food data (CSV dataset plus custom foods and recipes)
 let allFoods = [];
 
+// Global variable to store just the foods loaded from the CSV dataset
+let datasetFoods = [];
+
+// Global variable to look up foods in allFoods by name
+let foodsByName = new Map();
+
+// Global variable to store the user's custom foods and recipes as saved (see buildCustomFood)
+// Packaged products are custom foods with a barcode (EAN-8 or EAN-13) and the serving size from their label.
+let customFoods = []; // [{ type: 'food', name, category, values: { key: number|null }, barcode?, servingGrams? } | { type: 'recipe', name, category, ingredients: [{ name, grams }], cookedWeight }]
+
+// localStorage key and schema version for custom foods and recipes
+const CUSTOM_FOODS_KEY = 'carbsCals.customFoods';
+const CUSTOM_FOODS_SCHEMA_VERSION = 1;
+
+// Badge shown on each kind of custom food (the food object's `custom` value)
+const CUSTOM_FOOD_BADGES = { food: 'Custom', product: 'Product', recipe: 'Recipe' };
+
+// Barcode formats the camera scanner looks for. UPC-A codes are stored as EAN-13 with a leading 0.
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a'];
+const BARCODE_SCAN_INTERVAL = 250; // ms between attempts to read a barcode from the camera
+
+// Global variable to store the camera barcode scan in progress: { stream, detector, timer }
+let barcodeScan = null;
+
 // Global variable to store max daily carbs for keto
 let maxDailyCarbs = null;
 
+// Global variable to store the other daily targets (carbs uses maxDailyCarbs). null means no target set.
+let dailyTargets = { calories: null, fat: null, protein: null, cholesterol: null };
+
+// Nutrients that can have a daily target. A 'limit' is a maximum not to go over;
+// a 'minimum' is an amount to reach, so it never makes a card orange or red.
+const TARGET_NUTRIENTS = [
+    { key: 'carbs', inputId: 'maxCarbsInput', type: 'limit' },
+    { key: 'calories', inputId: 'targetCaloriesInput', type: 'limit' },
+    { key: 'fat', inputId: 'targetFatInput', type: 'limit' },
+    { key: 'protein', inputId: 'targetProteinInput', type: 'minimum' },
+    { key: 'cholesterol', inputId: 'targetCholesterolInput', type: 'limit' }
+];
+
+// Starting points for the daily targets - users can adjust any value after picking one
+const TARGET_PRESETS = {
+    'strict-keto': { label: 'Strict Keto', targets: { carbs: 20, calories: 1800, fat: 140, protein: 90, cholesterol: 300 } },
+    'low-carb': { label: 'Low Carb', targets: { carbs: 50, calories: 2000, fat: 110, protein: 110, cholesterol: 300 } },
+    'high-protein': { label: 'High Protein', targets: { carbs: 150, calories: 2200, fat: 70, protein: 165, cholesterol: 300 } }
+};
+
+// What the meal planner does with each target. A 'limit' and a 'minimum' work as they do in TARGET_NUTRIENTS;
+// calories are 'aim' so a plan has enough food as well as not too much.
+const MEAL_PLAN_GOALS = { carbs: 'limit', calories: 'aim', fat: 'limit', protein: 'minimum', cholesterol: 'limit' };
+const MEAL_PLAN_GOAL_LABELS = { limit: 'Max', minimum: 'Min', aim: 'Target' };
+const MEAL_PLAN_DEFAULT_MAX_ITEMS = 5;
+const MEAL_PLAN_MAX_ITEMS = 15;
+const MEAL_PLAN_TIME_LIMIT = 1500;  // How long the planner searches for, in ms
+const MEAL_PLAN_TOLERANCE = 0.05;   // An 'aim' target is met within this fraction either side
+
+// Global variables to store the meal planner's worker while it's searching, and the last plan it found
+let mealPlanWorker = null;
+let mealPlan = null; // { items: [{ name, grams }], targets: [{ key, amount, goal }], totals }
+
 // Global variable to store the current sort option
-let currentSortOption = 'alphabetical';
+let currentSortOption = 'relevance';
+
+// Global variable to store the food name search index (see buildSearchIndex)
+let searchIndex = null;
+
+// Timer used to wait for a pause in typing before searching
+let searchDebounceTimer = null;
+
+// Global variables for the virtualised results: only cards in (or near) view are in the DOM
+let renderedFoods = [];              // The filtered, sorted foods in the results
+let renderedSearchResults = null;    // Search results used to highlight names, if searching
+let resultsRenderFrame = null;       // Pending requestAnimationFrame id for a re-render
+const cardPortions = new Map();      // Quantity and unit chosen on a card, kept while it's scrolled out of view
+const RESULTS_OVERSCAN_ROWS = 3;     // Extra rows rendered above and below the visible area
+const DEFAULT_RESULTS_ROW_HEIGHT = 444; // Card height plus gap, until a card can be measured
+
+// Global variable to store which result takes keyboard focus: an index into renderedFoods.
+// Only that card is in the tab order; the arrow keys move between cards.
+let focusedCardIndex = 0;
+
+// Text and icon shown with each card colour, so the state isn't conveyed by colour alone
+const CARD_STATUS_LABELS = {
+    green: { icon: '✓', text: 'Fits your limits' },
+    orange: { icon: '!', text: 'Close to a limit' },
+    red: { icon: '✕', text: 'Over a limit' }
+};
+
+// Global variable to store the last totals read out by the live region, so unchanged totals aren't repeated
+let lastTotalsAnnouncement = null;
+
+// Global variables for the in-page notifications shown at the bottom of the page
+const NOTIFICATION_DURATION = 4000;      // How long a notification stays open, in ms
+const UNDO_NOTIFICATION_DURATION = 8000; // Notifications with an action (e.g. Undo) stay open longer
+const MAX_NOTIFICATIONS = 4;             // The oldest notifications are closed beyond this many
+
+// Global variable used to give inline validation messages unique ids
+let fieldErrorCount = 0;
+
+// Global variables for compare mode: the foods picked for comparison, in the order they were picked
+const COMPARE_MAX_FOODS = 4;
+let compareSelection = [];
+
+// Nutrients carried through the food model (per 100g), in display order.
+// `code` is the column code in the CSV header row; derived nutrients are calculated from other columns.
+const NUTRIENTS = [
+    { key: 'carbs', code: 'CHO', label: 'Carbs', unit: 'g' },
+    { key: 'netCarbs', label: 'Net Carbs', unit: 'g', derived: true },
+    { key: 'starch', code: 'STAR', label: 'Starch', unit: 'g' },
+    { key: 'sugars', code: 'TOTSUG', label: 'Sugars', unit: 'g' },
+    { key: 'calories', code: 'KCALS', label: 'Calories', unit: 'kcal' },
+    { key: 'fat', code: 'FAT', label: 'Fat', unit: 'g' },
+    { key: 'protein', code: 'PROT', label: 'Protein', unit: 'g' },
+    { key: 'cholesterol', code: 'CHOL', label: 'Cholesterol', unit: 'mg' }
+];
+
+// States for nutrient values that aren't a plain measurement. Both count as 0 in calculations.
+const NUTRIENT_STATES = {
+    TRACE: 'trace',     // 'Tr' in the CSV - present, but too little to measure
+    MISSING: 'missing'  // 'N' in the CSV (or no column) - not measured
+};
+
+// Dietary tags shown as badges on food cards. A 'contains' tag flags something people avoid (an allergen,
+// meat, alcohol); a 'diet' tag says what a food suits and is worked out from the 'contains' tags.
+const FOOD_TAGS = [
+    { id: 'vegetarian', label: 'Vegetarian', kind: 'diet' },
+    { id: 'vegan', label: 'Vegan', kind: 'diet' },
+    { id: 'meat', label: 'Meat', kind: 'contains' },
+    { id: 'fish', label: 'Fish', kind: 'contains' },
+    { id: 'shellfish', label: 'Shellfish', kind: 'contains' },
+    { id: 'dairy', label: 'Dairy', kind: 'contains' },
+    { id: 'egg', label: 'Egg', kind: 'contains' },
+    { id: 'gluten', label: 'Gluten', kind: 'contains' },
+    { id: 'nut', label: 'Nuts', kind: 'contains' },
+    { id: 'soy', label: 'Soy', kind: 'contains' },
+    { id: 'alcohol', label: 'Alcohol', kind: 'contains' }
+];
+
+// Words in the names of fish, and of shellfish (crustaceans and molluscs). The Seafood category has both.
+const FISH_NAME_PATTERN = /\b(fish|cod|haddock|salmon|tuna|mackerel|sardines?|pilchards?|anchov(y|ies)|herrings?|kippers?|trout|plaice|sole|hake|pollock|coley|whitebait|caviar|roe|taramasalata|hilsa|flounder|halibut|hoki|jackfish|john dory|katla|ling|monkfish|mullet|orange roughy|pangasius|pomfret|snapper|redfish|rohu|shark|skate|sprats?|swordfish|tilapia|turbot|whiting|bream|bass|catfish|carp|eels?|kedgeree)\b/i;
+const SHELLFISH_NAME_PATTERN = /\b(prawns?|shrimps?|crabs?|lobsters?|mussels|oysters?|scallops?|clams?|cockles|whelks|winkles|squid|calamari|octopus|cuttlefish|crayfish|langoustines?|scampi|seafood)\b/i;
+
+// Rules giving foods a 'contains' tag. A food matches if its category is listed (and its name doesn't match
+// categoryExcept) or its name matches the pattern, unless its name matches the exception (e.g. "peanut butter"
+// isn't dairy). Phrases matching `ignore` are taken out of the name first, without stopping the rest matching.
+const FOOD_TAG_RULES = [
+    {
+        tag: 'meat',
+        categories: ['Meat', 'Poultry', 'Processed Meats'],
+        pattern: /\b(beef|pork|lamb|mutton|veal|venison|chicken|turkey|duck|goose|rabbit|pheasant|bacon|ham|gammon|sausages?|salami|chorizo|pepperoni|frankfurters?|hot ?dogs?|burgers?|mince|liver|kidneys?|pate|lard|dripping|suet|gelatine)\b/i,
+        except: /\b(vegetarian|vegan|meat[- ]free|quorn|soya mince|vegetable suet|cod liver)\b|\b(tofu|tempeh|vegetable|veggie|bean|nut|soya|mushroom)\s+(burgers?|sausages?|mince)\b/i
+    },
+    {
+        tag: 'fish',
+        categories: ['Fish', 'Seafood'],
+        categoryExcept: SHELLFISH_NAME_PATTERN,
+        pattern: FISH_NAME_PATTERN,
+        except: /\bfish and chip shops?\b/i
+    },
+    {
+        tag: 'shellfish',
+        categories: ['Seafood'],
+        categoryExcept: FISH_NAME_PATTERN,
+        pattern: SHELLFISH_NAME_PATTERN,
+        ignore: /\boyster mushrooms?\b|\bmushrooms?, oyster\b/gi
+    },
+    {
+        tag: 'dairy',
+        categories: ['Dairy'],
+        pattern: /\b(milk|cheese|cheddar|stilton|brie|camembert|mozzarella|parmesan|feta|halloumi|paneer|ricotta|quark|fromage|mascarpone|gouda|edam|emmental|gruyere|wensleydale|red leicester|double gloucester|caerphilly|roquefort|gorgonzola|danish blue|dolcelatte|butter|buttermilk|ghee|cream|creme|yogh?urts?|custard|ice cream|whey|milkshake|lassi|cheeseburgers?)\b/i,
+        except: /^eggs?\b|\b(soya|soy|oat|almond|rice|coconut|peanut|nut|cocoa|shea)\s+(milk|drink|butter|cream|yogh?urt|cheese)\b|\bbutter\s*beans?\b|\bcream crackers?\b|\bdairy[- ]free\b|\bvegan\b|\bmade from vegetable oil\b/i
+    },
+    {
+        tag: 'egg',
+        pattern: /\b(eggs?|omelettes?|mayonnaise|meringues?|quiche|egg noodles|quorn)\b/i,
+        except: /\begg[- ]free\b|\bvegan\b/i
+    },
+    {
+        tag: 'gluten',
+        categories: ['Bakery'],
+        pattern: /\b(wheat|flour|breads?|buns?|rolls?|toast|bagels?|baguettes?|ciabatta|naan|chapatis?|pittas?|pasta|spaghetti|macaroni|lasagne|noodles|couscous|bulgur|semolina|barley|rye|spelt|oats|porridge|biscuits?|cakes?|crackers?|pastry|pies?|pizza|croissants?|muffins?|scones?|doughnuts?|crumpets?|pancakes?|batter|breadcrumbs|crumble|sponge|shortbread|wafers?|beer|lager|ale|stout|malt|seitan)\b/i,
+        except: /\bgluten[- ]free\b|\brice (noodles|cakes?|crackers?)\b|\bcorn(flour)?\b|\bbuckwheat\b/i
+    },
+    {
+        tag: 'nut',
+        categories: ['Nuts'],
+        pattern: /\b(nuts?|almonds?|brazils?|cashews?|hazelnuts?|macadamias?|pecans?|pistachios?|walnuts?|peanuts?|praline|marzipan|satay)\b/i,
+        except: /\b(seeds?|coconut|nut[- ]free)\b/i
+    },
+    {
+        tag: 'soy',
+        pattern: /\b(soya|soy|tofu|tempeh|edamame|miso)\b/i
+    },
+    {
+        tag: 'alcohol',
+        pattern: /\b(wine|beer|lager|ale|cider|stout|spirits?|vodka|whisky|whiskey|gin|rum|brandy|liqueurs?|sherry|port|champagne|shandy|sake|alcoholic)\b/i,
+        except: /\b(non[- ]alcoholic|alcohol[- ]free|low alcohol|vinegar|port salut)\b/i
+    }
+];
+
+// Diet tags a food gets when it has none of the listed 'contains' tags, unless its category or name matches
+// an exception. Baked goods, sweets, homemade dishes and made-up dishes such as pizzas, sandwiches and
+// vegetarian ready meals often have butter, cheese, milk or egg the name doesn't mention, so they're never
+// tagged vegan automatically.
+const DIET_TAG_RULES = [
+    { tag: 'vegetarian', without: ['meat', 'fish', 'shellfish'] },
+    {
+        tag: 'vegan',
+        without: ['meat', 'fish', 'shellfish', 'dairy', 'egg'],
+        exceptCategories: ['Bakery', 'Desserts', 'Sweets', 'Vegetarian', 'Fast Food', 'Savory Dishes', 'Sandwiches', 'Snacks'],
+        except: /\b(honey|homemade|cakes?|puddings?|biscuits?|pastry|chocolate|toffee|fudge|pancakes?|sponge)\b/i
+    }
+];
+
+// Global variable to store the user's corrections to foods' tags, which win over the rules
+let tagOverrides = {}; // { "foodName": { add: [tagId], remove: [tagId] } }
+
+// Global variable to store the user's dietary profile: the diets every food should suit, and the 'contains' tags to avoid
+let dietaryProfile = { diets: [], avoid: [] };
+
+// Global variable to store the report from the last dataset import (rejected rows, warnings)
+let dataReport = null;
+
+// Meals each diary day is split into, in display order
+const DIARY_MEALS = [
+    { id: 'breakfast', label: 'Breakfast' },
+    { id: 'lunch', label: 'Lunch' },
+    { id: 'dinner', label: 'Dinner' },
+    { id: 'snacks', label: 'Snacks' }
+];
+
+// Household measures a portion can be entered in. `grams` is the weight of one unit used when
+// neither the food nor its category has a weight of its own for that unit. `fromLabel` units are
+// only offered for packaged products, whose label gives their weight (see food.servingGrams).
+const PORTION_UNITS = [
+    { id: 'g', label: 'g', plural: 'g', grams: 1 },
+    { id: 'slice', label: 'slice', plural: 'slices', grams: 30 },
+    { id: 'cup', label: 'cup', plural: 'cups', grams: 240 },
+    { id: 'tbsp', label: 'tbsp', plural: 'tbsp', grams: 15 },
+    { id: 'piece', label: 'piece', plural: 'pieces', grams: 50 },
+    { id: 'can', label: 'can', plural: 'cans', grams: 400 },
+    { id: 'serving', label: 'serving', plural: 'servings', grams: 100, fromLabel: true }
+];
+
+// Built-in weights in grams of one unit, per category
+const CATEGORY_PORTION_WEIGHTS = {
+    'Bakery': { slice: 40, piece: 60 },
+    'Beverages': { cup: 250, tbsp: 15, can: 330 },
+    'Cereals': { cup: 30, tbsp: 5 },
+    'Dairy': { slice: 20, cup: 245, tbsp: 15, piece: 125 },
+    'Desserts': { slice: 90, cup: 150, piece: 60 },
+    'Fats and Oils': { tbsp: 14 },
+    'Fish': { piece: 140, can: 185 },
+    'Fruits': { slice: 20, cup: 150, piece: 120, can: 410 },
+    'Grains': { slice: 36, cup: 185, tbsp: 10 },
+    'Herbs and Spices': { tbsp: 6 },
+    'Legumes': { cup: 170, tbsp: 15, can: 240 },
+    'Meat': { slice: 30, piece: 150, can: 340 },
+    'Nuts': { cup: 140, tbsp: 9, piece: 1.5 },
+    'Poultry': { slice: 25, piece: 150 },
+    'Sauces and Condiments': { cup: 250, tbsp: 17 },
+    'Seafood': { piece: 15, can: 185 },
+    'Snacks': { cup: 30, piece: 25 },
+    'Sweets': { tbsp: 21, piece: 10 },
+    'Vegetables': { slice: 10, cup: 90, tbsp: 10, piece: 100, can: 400 }
+};
+
+// Built-in weights for foods whose name matches a pattern - these win over the category weights
+const FOOD_PORTION_WEIGHTS = [
+    { pattern: /\bbread\b/i, weights: { slice: 36 } },
+    { pattern: /\beggs?\b/i, weights: { piece: 58 } },
+    { pattern: /\bapples?\b/i, weights: { slice: 15, piece: 150 } },
+    { pattern: /\bbananas?\b/i, weights: { piece: 120 } },
+    { pattern: /\bcheddar\b/i, weights: { slice: 25 } },
+    { pattern: /\bbacon\b/i, weights: { slice: 25 } },
+    { pattern: /\brice\b/i, weights: { cup: 160 } },
+    { pattern: /\bmilk\b/i, weights: { cup: 245 } },
+    { pattern: /\bbutter\b/i, weights: { tbsp: 14 } },
+    { pattern: /\boil\b/i, weights: { tbsp: 13.5 } },
+    { pattern: /\bsugar\b/i, weights: { tbsp: 12.5 } }
+];
+
+// Global variable to store the user's own portion weights, which win over the built-in ones
+let portionWeights = { foods: {}, categories: {} }; // { foods: { "foodName": { unit: grams } }, categories: { "category": { unit: grams } } }
+
+// Global variable to store the food diary, keyed by date and then meal
+let foodDiary = {}; // { "YYYY-MM-DD": { breakfast: { "foodName": { count, multiplier, unit, quantity, grams } }, lunch: {...}, ... } }
+
+// Global variable to store each logged day's final totals, recorded whenever the day changes so the
+// history report doesn't change if the food data does
+let intakeHistory = {}; // { "YYYY-MM-DD": { recordedAt, carbLimit, totals: { key: amount }, foods: { "foodName": { grams, carbs, calories } } } }
+
+// Periods (in days) the history report averages over, and the nutrients it lists the top foods for
+const HISTORY_PERIODS = [7, 30];
+const HISTORY_TOP_FOOD_NUTRIENTS = ['carbs', 'calories'];
+const HISTORY_TOP_FOODS_COUNT = 5;
+
+// Global variables to store the diary day being viewed and the meal new items are logged into
+let currentDiaryDate = formatDateKey(new Date());
+let currentMeal = 'breakfast';
+
+// Global variable to store how the Meal Builder groups its items ('meal' or 'category')
+let mealBuilderGroupBy = 'meal';
+
+// Global variable to store the Meal Builder items whose swap suggestions are shown ("meal:foodName")
+const expandedSubstitutions = new Set();
+
+// Categories a food can be swapped between besides its own. Vegetables are grouped with grains
+// because they're the usual low-carb stand-ins for rice, pasta and bread.
+const SIMILAR_CATEGORIES = [
+    ['Grains', 'Bakery', 'Cereals', 'Vegetables'],
+    ['Vegetables', 'Legumes', 'Vegetarian'],
+    ['Meat', 'Poultry', 'Processed Meats'],
+    ['Fish', 'Seafood'],
+    ['Sweets', 'Desserts', 'Snacks'],
+    ['Nuts', 'Snacks'],
+    ['Sandwiches', 'Fast Food', 'Savory Dishes']
+];
+
+// Words that describe how a food is prepared, or what it looks like, rather than what it is, ignored when
+// comparing names (so white rice isn't matched with white mushrooms)
+const SUBSTITUTION_IGNORED_WORDS = ['raw', 'boiled', 'cooked', 'fried', 'grilled', 'baked', 'roasted', 'steamed',
+    'microwaved', 'stewed', 'fresh', 'frozen', 'dried', 'canned', 'drained', 'weighed', 'unsalted', 'salted', 'water',
+    'average', 'homemade', 'retail', 'with', 'without', 'and', 'in', 'of',
+    'white', 'brown', 'red', 'green', 'yellow', 'black', 'golden', 'whole', 'plain', 'light', 'dark', 'large', 'small',
+    'medium', 'mixed', 'flesh', 'skin', 'only', 'lean', 'sliced', 'chopped', 'pieces', 'premium', 'takeaway'];
+
+// How far protein may move for a swap to count as keeping it roughly the same: whichever is larger
+const SUBSTITUTION_PROTEIN_TOLERANCE = { grams: 3, fraction: 0.25 };
+
+// Number of swap suggestions shown for an item
+const SUBSTITUTION_LIMIT = 3;
+
+// Macros shown in the calorie split chart, with their energy per gram
+const MACRO_CHART_SEGMENTS = [
+    { key: 'carbs', label: 'Carbs', kcalPerGram: 4 },
+    { key: 'fat', label: 'Fat', kcalPerGram: 9 },
+    { key: 'protein', label: 'Protein', kcalPerGram: 4 }
+];
+
+// Global variable to store shopping list items with quantities and multipliers.
+// Always points at the current meal of the current diary day.
+let shoppingList = getMealList(currentDiaryDate, currentMeal); // { "foodName": { count: number, multiplier: number } }
+
+// localStorage key and schema version for the saved app state
+const STORAGE_KEY = 'carbsCals.appState';
+const STORAGE_SCHEMA_VERSION = 7;
+
+// Saving is held off until the saved state has been restored, so an early save can't overwrite it
+let appStateRestored = false;
+
+// Global variable to store where the food data came from: { source: 'network'|'cache', fetchedAt, version }
+let dataSource = null;
+
+// localStorage key for the version of the food data seen on the last visit, to spot an updated CSV
+const DATA_VERSION_KEY = 'carbsCals.dataVersion';
+
+// Format name and version written into exported Meal Builder JSON files
+const MEAL_EXPORT_FORMAT = 'carbscals-meal';
+const MEAL_EXPORT_VERSION = 1;
+
+// Share links carry a meal in the URL fragment, which browsers never send to a server:
+// #meal=<version>;<meal id>;<food name>@<grams>[*<count>];...
+const SHARE_LINK_PREFIX = '#meal=';
+const SHARE_LINK_VERSION = 1;
+
+// Name of the profile made on first use, and for data saved before there were profiles
+const DEFAULT_PROFILE_NAME = 'Me';
+
+// Global variable to store the profiles, each holding one person's diary, daily targets, dietary profile, history,
+// Meal Builder grouping and theme. The active profile's entry is brought up to date whenever the app state is saved.
+let profiles = []; // [{ id, name, diary, currentMeal, maxDailyCarbs, dailyTargets, dietaryProfile, mealBuilderGroupBy, theme, history }]
+
+// Global variable to store the id of the profile in use
+let activeProfileId = null;
+
+// Fields each profile saves, besides its id and name
+const PROFILE_FIELDS = ['diary', 'currentMeal', 'maxDailyCarbs', 'dailyTargets', 'dietaryProfile', 'mealBuilderGroupBy', 'theme', 'history'];
+
+// Format name and version written into exported profile files
+const PROFILE_EXPORT_FORMAT = 'carbscals-profile';
+const PROFILE_EXPORT_VERSION = 1;
+
+// Built-in themes, each a [data-theme] block in style.css. 'system' follows the device's light/dark setting.
+const BUILT_IN_THEMES = [
+    { id: 'system', label: 'System' },
+    { id: 'light', label: 'Light' },
+    { id: 'dark', label: 'Dark' },
+    { id: 'forest', label: 'Forest' },
+    { id: 'river', label: 'River' }
+];
+
+// Colours a custom theme can set - each is a CSS custom property (e.g. --primary-bg) - grouped for the editor
+const THEME_COLOURS = [
+    { key: 'primary-bg', label: 'Page background', group: 'Page' },
+    { key: 'container-bg', label: 'Panel background', group: 'Page' },
+    { key: 'text-color', label: 'Text', group: 'Page' },
+    { key: 'header-color', label: 'Headings', group: 'Page' },
+    { key: 'label-color', label: 'Labels', group: 'Page' },
+    { key: 'helper-color', label: 'Hints', group: 'Page' },
+    { key: 'border-color', label: 'Borders', group: 'Page' },
+    { key: 'error-color', label: 'Errors', group: 'Page' },
+    { key: 'button-bg', label: 'Buttons', group: 'Controls' },
+    { key: 'button-text', label: 'Button text', group: 'Controls' },
+    { key: 'input-bg', label: 'Inputs', group: 'Controls' },
+    { key: 'input-border', label: 'Input borders', group: 'Controls' },
+    { key: 'filter-bg', label: 'Filter panel', group: 'Controls' },
+    { key: 'filter-border', label: 'Filter panel border', group: 'Controls' },
+    { key: 'card-bg', label: 'Cards', group: 'Controls' },
+    { key: 'card-border', label: 'Card borders', group: 'Controls' },
+    { key: 'hover-bg', label: 'Hover', group: 'Controls' },
+    { key: 'keto-green', label: 'Within limits', group: 'Keto colours' },
+    { key: 'keto-green-bg', label: 'Within limits card', group: 'Keto colours' },
+    { key: 'keto-green-text', label: 'Within limits card text', group: 'Keto colours' },
+    { key: 'keto-orange', label: 'Near a limit', group: 'Keto colours' },
+    { key: 'keto-orange-bg', label: 'Near a limit card', group: 'Keto colours' },
+    { key: 'keto-orange-text', label: 'Near a limit card text', group: 'Keto colours' },
+    { key: 'keto-red', label: 'Over a limit', group: 'Keto colours' },
+    { key: 'keto-red-bg', label: 'Over a limit card', group: 'Keto colours' },
+    { key: 'keto-red-text', label: 'Over a limit card text', group: 'Keto colours' }
+];
+
+// Text and background colour pairs a custom theme must keep readable, with the contrast ratio each needs
+// (WCAG AA: 4.5:1 for normal text, 3:1 for large or bold text such as headings and buttons)
+const THEME_CONTRAST_CHECKS = [
+    { text: 'text-color', background: 'container-bg', minimum: 4.5 },
+    { text: 'text-color', background: 'card-bg', minimum: 4.5 },
+    { text: 'text-color', background: 'input-bg', minimum: 4.5 },
+    { text: 'label-color', background: 'filter-bg', minimum: 4.5 },
+    { text: 'helper-color', background: 'container-bg', minimum: 4.5 },
+    { text: 'error-color', background: 'container-bg', minimum: 4.5 },
+    { text: 'header-color', background: 'container-bg', minimum: 3 },
+    { text: 'button-text', background: 'button-bg', minimum: 3 },
+    { text: 'keto-green-text', background: 'keto-green-bg', minimum: 4.5 },
+    { text: 'keto-orange-text', background: 'keto-orange-bg', minimum: 4.5 },
+    { text: 'keto-red-text', background: 'keto-red-bg', minimum: 4.5 }
+];
+
+// Global variable to store the user's custom themes: [{ id, name, base, colours: { key: '#rrggbb' } }].
+// `base` is the built-in theme giving any colour the theme doesn't set.
+let customThemes = [];
 
-// Global variable to store shopping list items with quantities and multipliers
-let shoppingList = {}; // { "foodName": { count: number, multiplier: number } }
+// Global variable to store the chosen theme id (a BUILT_IN_THEMES id or a custom theme id)
+let currentTheme = 'system';
+
+// Media query for the device's dark mode setting, followed by the 'system' theme
+let systemDarkQuery = null;
+
+// localStorage key and schema version for custom themes, and the format written into exported theme files
+const CUSTOM_THEMES_KEY = 'carbsCals.customThemes';
+const CUSTOM_THEMES_SCHEMA_VERSION = 1;
+const THEME_EXPORT_FORMAT = 'carbscals-theme';
+const THEME_EXPORT_VERSION = 1;
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
+    // Cache the app and its data so it works offline
+    registerServiceWorker();
+
     // Load food data from CSV file
     loadFoodData();
 
@@ -20,7 +468,20 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 /**
- * Load food data from CSV file using fetch API
+ * Register the service worker that caches the app and the food data for offline use
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+        return;
+    }
+
+    navigator.serviceWorker.register('service-worker.js')
+        .catch(error => console.error('Error registering service worker:', error));
+}
+
+/**
+ * Load food data from CSV file using fetch API. When offline the service worker answers
+ * with its cached copy and says so in the response headers.
  */
 function loadFoodData() {
     fetch('data/foodData.csv')
@@ -28,23 +489,113 @@ function loadFoodData() {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
+            dataSource = {
+                source: response.headers.get('X-CarbsCals-Source') || 'network',
+                fetchedAt: response.headers.get('X-CarbsCals-Fetched')
+            };
             return response.text();
         })
         .then(csvText => {
-            allFoods = parseCSVToFoods(csvText);
+            dataSource.version = getDataVersion(csvText);
+            displayDataStatus();
+
+            const result = parseCSVToFoods(csvText);
+            datasetFoods = result.foods;
+            dataReport = result.report;
+            if (datasetFoods.length === 0) {
+                throw new Error(result.report.errors.join(' ') || 'No foods found in data file');
+            }
+            displayDataReport(dataReport);
+            // Merge in the user's custom foods and recipes
+            customFoods = loadCustomFoods();
+            mergeCustomFoods();
+            displayCustomFoodsList();
+            // Build the search index once all foods are known
+            searchIndex = buildSearchIndex(allFoods);
             // Populate dropdowns once data is loaded
             populateDropdowns();
-            // Display all foods initially
-            displayFoods(allFoods);
-            // Apply keto coloring if max carbs is set
-            colorFoodCardsBasedOnKeto();
+            // Restore the saved Meal Builder and keto limit (the theme is applied as soon as the page loads)
+            restoreAppState();
+            // Apply any filter from the URL query string, then display the matching foods
+            applyFilterToControls(decodeFilterFromQuery(window.location.search));
+            filterFoods();
+            // Load a meal from a share link, now the foods it names can be looked up
+            applySharedMealFromURL();
         })
         .catch(error => {
             console.error('Error loading food data:', error);
-            displayError('Failed to load food data. Please check the console for details.');
+            displayError(navigator.onLine
+                ? 'Failed to load food data. Please check the console for details.'
+                : 'You are offline and the food data hasn\'t been saved for offline use yet. Please connect and reload.');
         });
 }
 
+/**
+ * Work out a short version id for the food data from its contents, so any change to the CSV
+ * gives a new version without anyone having to bump a number
+ * @param {string} text - The CSV text
+ * @returns {string} - 8 hex digits (FNV-1a hash of the text)
+ */
+function getDataVersion(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Show whether the app is running on cached food data, or on data that changed since the last visit
+ */
+function displayDataStatus() {
+    const status = document.getElementById('dataStatus');
+    if (!dataSource) {
+        return;
+    }
+
+    let previousVersion = null;
+    try {
+        previousVersion = localStorage.getItem(DATA_VERSION_KEY);
+        localStorage.setItem(DATA_VERSION_KEY, dataSource.version);
+    } catch (error) {
+        // Storage can be disabled - the status just won't mention updates
+    }
+
+    const fetchedAt = dataSource.fetchedAt ? new Date(dataSource.fetchedAt) : null;
+    const savedOn = fetchedAt && !isNaN(fetchedAt) ? ` saved on ${fetchedAt.toLocaleDateString()}` : '';
+
+    status.classList.toggle('data-status-offline', dataSource.source === 'cache');
+    if (dataSource.source === 'cache') {
+        status.textContent = `Offline - using cached food data${savedOn} (version ${dataSource.version}).`;
+        status.hidden = false;
+    } else if (previousVersion && previousVersion !== dataSource.version) {
+        status.textContent = `The food data has been updated since your last visit (version ${dataSource.version}).`;
+        status.hidden = false;
+    } else {
+        status.hidden = true;
+    }
+}
+
+/**
+ * Update the data status when the connection comes back or drops
+ */
+function handleConnectionChange() {
+    if (!dataSource) {
+        return;
+    }
+
+    const status = document.getElementById('dataStatus');
+    if (navigator.onLine && dataSource.source === 'cache') {
+        status.textContent = 'Back online - reload to check for newer food data.';
+        status.hidden = false;
+    } else if (!navigator.onLine && dataSource.source === 'network') {
+        status.textContent = `Offline - the food data is already loaded (version ${dataSource.version}).`;
+        status.classList.add('data-status-offline');
+        status.hidden = false;
+    }
+}
+
 /**
  * Populate all dropdown menus with unique values from the dataset
  */
@@ -55,22 +606,66 @@ function populateDropdowns() {
     // Get unique categories and sort them alphabetically
     const categories = [...new Set(allFoods.map(food => food.category))].sort();
 
-    // Populate food name dropdown
+    // Populate food name dropdown, clearing any options from a previous call (keeping "All Foods")
     const foodNameSelect = document.getElementById('foodName');
+    const selectedFoodName = foodNameSelect.value;
+    foodNameSelect.length = 1;
     foodNames.forEach(name => {
         const option = document.createElement('option');
         option.value = name;
         option.textContent = name;
         foodNameSelect.appendChild(option);
     });
+    foodNameSelect.value = foodNames.includes(selectedFoodName) ? selectedFoodName : '';
+
+    // Populate category checkboxes for the filters and the meal planner
+    populateCategoryCheckboxes('categoryFilter', categories);
+    updateCategorySummary();
+    populateCategoryCheckboxes('mealPlanIncludeCategories', categories);
+    populateCategoryCheckboxes('mealPlanExcludeCategories', categories);
+    updateMealPlanCategorySummaries();
 
-    // Populate category dropdown
-    const categorySelect = document.getElementById('categoryFilter');
+    // Populate the suggestion lists used by the custom food and recipe forms
+    populateDatalist('categoryOptions', categories);
+    populateDatalist('foodNameOptions', foodNames);
+}
+
+/**
+ * Replace the checkboxes of a category picker, keeping any that were already ticked
+ * @param {string} id - The id of the element holding the checkboxes
+ * @param {Array} categories - Category names, in the order to show them
+ */
+function populateCategoryCheckboxes(id, categories) {
+    const container = document.getElementById(id);
+    const selectedCategories = getCheckedCategories(id);
+    container.innerHTML = '';
     categories.forEach(category => {
+        const label = document.createElement('label');
+        label.className = 'category-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = category;
+        checkbox.checked = selectedCategories.includes(category);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${category}`));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Replace the options of a <datalist> element
+ * @param {string} id - The datalist element id
+ * @param {Array} values - Option values
+ */
+function populateDatalist(id, values) {
+    const datalist = document.getElementById(id);
+    datalist.innerHTML = '';
+    values.forEach(value => {
         const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
+        option.value = value;
+        datalist.appendChild(option);
     });
 }
 
@@ -78,22 +673,37 @@ function populateDropdowns() {
  * Set up event listeners for all filter dropdowns
  */
 function setupEventListeners() {
-    // Add change event listeners to all filter dropdowns
+    // Add change event listeners to all filter controls
     document.getElementById('foodName').addEventListener('change', filterFoods);
-    document.getElementById('carbsFilter').addEventListener('change', filterFoods);
-    document.getElementById('caloriesFilter').addEventListener('change', filterFoods);
-    document.getElementById('categoryFilter').addEventListener('change', filterFoods);
+    document.getElementById('categoryFilter').addEventListener('change', function() {
+        updateCategorySummary();
+        filterFoods();
+    });
+    document.getElementById('excludeInput').addEventListener('input', function() {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(filterFoods, 150);
+    });
+
+    // Add event listeners for the nutrient rule builder
+    document.getElementById('addFilterRuleBtn').addEventListener('click', function() {
+        addFilterRuleRow({ nutrient: 'carbs', per: '', min: null, max: null });
+    });
+    document.getElementById('filterRules').addEventListener('input', filterFoods);
+    document.getElementById('filterRules').addEventListener('change', filterFoods);
+    document.getElementById('clearFiltersBtn').addEventListener('click', function() {
+        applyFilterToControls(decodeFilterFromQuery(''));
+        filterFoods();
+    });
 
     // Add event listener for sort dropdown
+    populateSortOptions();
     document.getElementById('sortBy').addEventListener('change', function() {
         currentSortOption = this.value;
         filterFoods();
     });
 
-    // Add event listener for theme dropdown
-    document.getElementById('themeSelect').addEventListener('change', function() {
-        document.documentElement.setAttribute('data-theme', this.value);
-    });
+    // Set up the theme dropdown and editor, and apply the saved theme
+    setupThemes();
 
     // Add event listeners for max carbs input
     const maxCarbsInput = document.getElementById('maxCarbsInput');
@@ -104,583 +714,7282 @@ function setupEventListeners() {
         }
     });
 
+    // Add event listeners for the other daily target inputs
+    TARGET_NUTRIENTS.filter(target => target.key !== 'carbs').forEach(target => {
+        const targetInput = document.getElementById(target.inputId);
+        targetInput.addEventListener('blur', () => updateDailyTarget(target.key));
+        targetInput.addEventListener('keypress', function(event) {
+            if (event.key === 'Enter') {
+                updateDailyTarget(target.key);
+            }
+        });
+    });
+
+    // Add event listener for the target presets dropdown
+    populateTargetPresets();
+    document.getElementById('targetPreset').addEventListener('change', function() {
+        if (this.value) {
+            applyTargetPreset(this.value);
+        }
+    });
+
     // Add event listener for search input
     const searchInput = document.getElementById('searchInput');
     searchInput.addEventListener('input', function() {
-        // Only filter if search term has 3 or more characters
-        if (searchInput.value.length >= 3) {
-            filterFoods();
-        } else if (searchInput.value.length === 0) {
-            // If search is cleared, also refilter
-            filterFoods();
-        }
+        // Wait for a short pause in typing so every keystroke doesn't re-render the results
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(filterFoods, 150);
     });
 
     // Add event listener for reset button
     document.getElementById('resetShoppingListBtn').addEventListener('click', resetShoppingList);
 
+    // Add delegated event listeners for the buttons and quantity inputs on every food card
+    const resultsContainer = document.getElementById('resultsContainer');
+    resultsContainer.addEventListener('click', handleResultsClick);
+    resultsContainer.addEventListener('input', handleResultsQuantityInput);
+    resultsContainer.addEventListener('change', handleResultsQuantityChange);
+    resultsContainer.addEventListener('change', handleCompareToggle);
+    resultsContainer.addEventListener('keydown', handleResultsKeydown);
+    resultsContainer.addEventListener('focusin', function(event) {
+        const card = event.target.closest('.food-card');
+        if (card) {
+            setFocusedCard(card);
+        }
+    });
+
+    // "/" jumps to the search box from anywhere that isn't a text field
+    document.addEventListener('keydown', function(event) {
+        if (event.key === '/' && !event.ctrlKey && !event.metaKey && !event.altKey && !isTextEntry(event.target)) {
+            event.preventDefault();
+            document.getElementById('searchInput').focus();
+        }
+    });
+
+    // Tell the user when the connection changes while running on cached data
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
+
+    // Add event listeners for the charts
+    const contributionNutrient = document.getElementById('contributionNutrient');
+    contributionNutrient.innerHTML = NUTRIENTS.map(nutrient => `<option value="${nutrient.key}">${nutrient.label}</option>`).join('');
+    contributionNutrient.addEventListener('change', updateMealCharts);
+    document.getElementById('resultsScatterSection').addEventListener('toggle', updateResultsScatter);
+
+    // Add event listeners for compare mode
+    document.getElementById('compareOpenBtn').addEventListener('click', openComparePanel);
+    document.getElementById('compareClearBtn').addEventListener('click', clearCompareSelection);
+    document.getElementById('compareCloseBtn').addEventListener('click', closeComparePanel);
+    document.getElementById('compareBasis').addEventListener('change', displayComparison);
+    document.getElementById('comparePortionQuantity').addEventListener('input', displayComparison);
+    document.getElementById('comparePortionUnit').addEventListener('change', displayComparison);
+    document.getElementById('comparePortionUnit').innerHTML = PORTION_UNITS.filter(unit => unit.id !== 'g' && !unit.fromLabel)
+        .map(unit => `<option value="${unit.id}">${unit.label}</option>`).join('');
+    document.getElementById('comparePanel').addEventListener('keydown', function(event) {
+        if (event.key === 'Escape') {
+            closeComparePanel();
+        }
+    });
+
+    // Render the cards that scroll into view
+    window.addEventListener('scroll', scheduleResultsRender, { passive: true });
+    window.addEventListener('resize', scheduleResultsRender);
+
+    // Add event listeners for Meal Builder export, import and print
+    document.getElementById('exportCsvBtn').addEventListener('click', exportShoppingListCSV);
+    document.getElementById('exportJsonBtn').addEventListener('click', exportShoppingListJSON);
+    document.getElementById('printListBtn').addEventListener('click', printShoppingList);
+    document.getElementById('importJsonBtn').addEventListener('click', function() {
+        document.getElementById('importJsonInput').click();
+    });
+    document.getElementById('importJsonInput').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importShoppingListJSON(this.files[0]);
+        }
+        this.value = ''; // Allow the same file to be imported again
+    });
+
+    // Add event listeners for sharing the meal as a link
+    document.getElementById('shareMealBtn').addEventListener('click', openSharePanel);
+    document.getElementById('shareCloseBtn').addEventListener('click', closeSharePanel);
+    document.getElementById('shareCopyBtn').addEventListener('click', copyShareLink);
+    document.getElementById('shareNativeBtn').addEventListener('click', function() {
+        navigator.share({ title: document.title, url: document.getElementById('shareLinkInput').value })
+            .catch(error => {
+                // AbortError means the user closed the share sheet
+                if (error.name !== 'AbortError') {
+                    showNotification(`Couldn't share the link: ${error.message}`, { type: 'error' });
+                }
+            });
+    });
+    document.getElementById('shareLinkInput').addEventListener('focus', function() {
+        this.select();
+    });
+    document.getElementById('sharePanel').addEventListener('keydown', function(event) {
+        if (event.key === 'Escape') {
+            closeSharePanel();
+        }
+    });
+    // A share link pasted into the address bar of an open page only changes the fragment
+    window.addEventListener('hashchange', function() {
+        if (appStateRestored) {
+            applySharedMealFromURL();
+        }
+    });
+
+    // Set up the custom food, recipe and portion size forms
+    setupCustomFoodForms();
+    setupPortionWeightsForm();
+    setupDietaryTags();
+    setupMealPlanner();
+    setupHistoryReport();
+    setupProfiles();
+
+    // Add event listeners for the diary date and meal controls
+    document.getElementById('prevDayBtn').addEventListener('click', function() {
+        changeDiaryDate(shiftDateKey(currentDiaryDate, -1));
+    });
+    document.getElementById('nextDayBtn').addEventListener('click', function() {
+        changeDiaryDate(shiftDateKey(currentDiaryDate, 1));
+    });
+    document.getElementById('todayBtn').addEventListener('click', function() {
+        changeDiaryDate(formatDateKey(new Date()));
+    });
+    document.getElementById('diaryDate').addEventListener('change', function() {
+        if (this.value) {
+            changeDiaryDate(this.value);
+        }
+    });
+    document.getElementById('mealSelect').addEventListener('change', function() {
+        changeCurrentMeal(this.value);
+    });
+    document.getElementById('groupBySelect').addEventListener('change', function() {
+        changeMealBuilderGrouping(this.value);
+    });
+    populateMealSelect();
+    document.getElementById('diaryDate').value = currentDiaryDate;
+
     // Display initial shopping list
     displayShoppingList();
 }
 
 /**
- * Filter foods based on current dropdown selections and search input, then display results
+ * Filter foods based on the current filter controls and search input, then display results
  */
 function filterFoods() {
-    // Get current filter values
-    const selectedFoodName = document.getElementById('foodName').value;
-    const selectedCarbsFilter = document.getElementById('carbsFilter').value;
-    const selectedCaloriesFilter = document.getElementById('caloriesFilter').value;
-    const selectedCategoryFilter = document.getElementById('categoryFilter').value;
-    const searchTerm = document.getElementById('searchInput').value.trim();
-
-    // Start with all foods and apply filters progressively
-    let filteredFoods = allFoods;
-
-    // Filter by food name (exact match)
-    if (selectedFoodName) {
-        filteredFoods = filteredFoods.filter(food => food.name === selectedFoodName);
-    }
-
-    // Filter by carbs range
-    if (selectedCarbsFilter) {
-        filteredFoods = filteredFoods.filter(food => {
-            switch (selectedCarbsFilter) {
-                case 'very-low':
-                    return food.carbs < 10;
-                case 'low':
-                    return food.carbs >= 10 && food.carbs < 20;
-                case 'medium-low':
-                    return food.carbs >= 20 && food.carbs < 30;
-                case 'medium':
-                    return food.carbs >= 30 && food.carbs < 40;
-                case 'medium-high':
-                    return food.carbs >= 40 && food.carbs < 50;
-                case 'high':
-                    return food.carbs >= 50;
-                default:
-                    return true;
-            }
-        });
-    }
-
-    // Filter by calories range
-    if (selectedCaloriesFilter) {
-        filteredFoods = filteredFoods.filter(food => {
-            switch (selectedCaloriesFilter) {
-                case 'low':
-                    return food.calories < 200;
-                case 'medium':
-                    return food.calories >= 200 && food.calories <= 500;
-                case 'high':
-                    return food.calories > 500;
-                default:
-                    return true;
-            }
-        });
-    }
-
-    // Filter by category (exact match)
-    if (selectedCategoryFilter) {
-        filteredFoods = filteredFoods.filter(food => food.category === selectedCategoryFilter);
-    }
-
-    // Filter by search term (only if 3 or more characters)
-    if (searchTerm.length >= 3) {
-        const searchLower = searchTerm.toLowerCase();
-        filteredFoods = filteredFoods.filter(food =>
-            food.name.toLowerCase().includes(searchLower)
-        );
+    const filter = readFilterFromControls();
+
+    // Apply the food name, category, nutrient rule and exclusion filters
+    let filteredFoods = applyFoodFilter(allFoods, filter);
+
+    // Filter by search term using the fuzzy search index
+    let searchResults = null;
+    if (filter.search && searchIndex) {
+        searchResults = searchFoods(filter.search);
+        filteredFoods = filteredFoods.filter(food => searchResults.has(food.name));
     }
 
     // Sort the filtered results
-    sortFoods(filteredFoods, currentSortOption);
+    sortFoods(filteredFoods, currentSortOption, searchResults);
 
     // Display the filtered and sorted results
-    displayFoods(filteredFoods);
+    displayFoods(filteredFoods, searchResults);
 
     // Color the displayed cards based on keto limits
     colorFoodCardsBasedOnKeto();
+
+    // Plot the filtered results
+    updateResultsScatter();
+
+    // Keep the URL in step so the filtered view can be bookmarked and shared
+    updateFilterURL(filter);
 }
 
 /**
- * Sort the foods array based on the specified sort option
- * @param {Array} foods - Array of food objects to sort
- * @param {string} sortOption - The sort option ('alphabetical', 'carbs-high-low', etc.)
+ * Read the active filter from the filter controls
+ * @returns {Object} - { food, categories, tags, excludeTags, rules: [{ nutrient, per, min, max }], exclude: [terms], search, sort }
  */
-function sortFoods(foods, sortOption) {
-    foods.sort((a, b) => {
-        switch (sortOption) {
-            case 'alphabetical':
-                return a.name.localeCompare(b.name);
-            case 'carbs-high-low':
-                return b.carbs - a.carbs;
-            case 'carbs-low-high':
-                return a.carbs - b.carbs;
-            case 'calories-high-low':
-                return b.calories - a.calories;
-            case 'calories-low-high':
-                return a.calories - b.calories;
-            case 'fat-high-low':
-                return b.fat - a.fat;
-            case 'fat-low-high':
-                return a.fat - b.fat;
-            default:
-                return 0;
-        }
+function readFilterFromControls() {
+    const rules = [];
+    document.querySelectorAll('#filterRules .filter-rule').forEach(row => {
+        const min = parseFloat(row.querySelector('.filter-rule-min').value);
+        const max = parseFloat(row.querySelector('.filter-rule-max').value);
+        rules.push({
+            nutrient: row.querySelector('.filter-rule-nutrient').value,
+            per: row.querySelector('.filter-rule-per').value,
+            min: isNaN(min) ? null : min,
+            max: isNaN(max) ? null : max
+        });
     });
+
+    return {
+        food: document.getElementById('foodName').value,
+        categories: getSelectedCategories(),
+        tags: getTagFilterSelection().include,
+        excludeTags: getTagFilterSelection().exclude,
+        rules: rules,
+        exclude: document.getElementById('excludeInput').value.split(',').map(term => term.trim()).filter(term => term),
+        search: document.getElementById('searchInput').value.trim(),
+        sort: currentSortOption
+    };
 }
 
 /**
- * Display foods in the results container
- * @param {Array} foods - Array of food objects to display
+ * Set the filter controls to show a filter
+ * @param {Object} filter - Filter as returned by readFilterFromControls or decodeFilterFromQuery
  */
-function displayFoods(foods) {
-    const resultsContainer = document.getElementById('resultsContainer');
-
-    if (!resultsContainer) {
-        console.error('Results container not found!');
-        return;
-    }
-
-    // Clear previous results
-    resultsContainer.innerHTML = '';
-
-    // If no foods match the filters, show a message
-    if (foods.length === 0) {
-        const noResultsDiv = document.createElement('div');
-        noResultsDiv.className = 'no-results';
-        noResultsDiv.textContent = 'No foods match the selected filters. Try adjusting your criteria.';
-        resultsContainer.appendChild(noResultsDiv);
-        return;
+function applyFilterToControls(filter) {
+    const foodNameSelect = document.getElementById('foodName');
+    foodNameSelect.value = filter.food;
+    if (foodNameSelect.value !== filter.food) {
+        foodNameSelect.value = ''; // Food no longer exists
     }
 
-    // Create a card for each food item
-    foods.forEach(food => {
-        const foodCard = document.createElement('div');
-        foodCard.className = 'food-card';
-
-        // Create the food card HTML structure
-        foodCard.innerHTML = `
-            <div class="quantity-input-container">
-                <input type="number" class="quantity-input" data-food-name="${food.name}" value="100" min="1" step="1">
-                <label class="quantity-label">g</label>
-            </div>
-            <button class="remove-from-shopping-btn ${shoppingList[food.name] ? 'enabled' : ''}" data-food-name="${food.name}">-</button>
-            <button class="add-to-shopping-btn" data-food-name="${food.name}">+</button>
-            <h3>${food.name}</h3>
-            <p class="food-category">${food.category}</p>
-            <div class="food-info">
-                <div class="food-info-item">
-                    <span class="food-info-label">Carbs:</span>
-                    <span class="food-info-value">${food.carbs}g</span>
-                </div>
-                <div class="food-info-item">
-                    <span class="food-info-label">Calories:</span>
-                    <span class="food-info-value">${food.calories} kcal</span>
-                </div>
-                <div class="food-info-item">
-                    <span class="food-info-label">Fat:</span>
-                    <span class="food-info-value">${food.fat}g</span>
-                </div>
-                <div class="food-info-item">
-                    <span class="food-info-label">Protein:</span>
-                    <span class="food-info-value">${food.protein}g</span>
-                </div>
-                <div class="food-info-item">
-                    <span class="food-info-label">Cholesterol:</span>
-                    <span class="food-info-value">${food.cholesterol}mg</span>
-                </div>
-            </div>
-        `;
-
-        // Add click event listener to the + button
-        const addButton = foodCard.querySelector('.add-to-shopping-btn');
-        addButton.addEventListener('click', function() {
-            const quantityInput = foodCard.querySelector('.quantity-input');
-            const quantityValue = parseInt(quantityInput.value, 10) || 100;
-            const multiplier = quantityValue / 100; // Convert to decimal multiplier
-            addToShoppingList(food, multiplier);
-        });
+    document.querySelectorAll('#categoryFilter input').forEach(checkbox => {
+        checkbox.checked = filter.categories.includes(checkbox.value);
+    });
+    updateCategorySummary();
+    applyTagFilterSelection(filter.tags, filter.excludeTags);
 
-        // Add click event listener to the - button
-        const removeButton = foodCard.querySelector('.remove-from-shopping-btn');
-        removeButton.addEventListener('click', function() {
-            const quantityInput = foodCard.querySelector('.quantity-input');
-            const quantityValue = parseInt(quantityInput.value, 10) || 100;
-            const multiplier = quantityValue / 100; // Convert to decimal multiplier
-            removeFromShoppingList(food, multiplier);
-        });
+    document.getElementById('filterRules').innerHTML = '';
+    filter.rules.forEach(addFilterRuleRow);
 
-        // Add event listener for quantity input changes to update existing items
-        const quantityInput = foodCard.querySelector('.quantity-input');
-        quantityInput.addEventListener('change', function() {
-            if (shoppingList[food.name]) {
-                const quantityValue = parseInt(this.value, 10) || 100;
-                const multiplier = quantityValue / 100;
-                shoppingList[food.name].multiplier = multiplier;
-                updateTotals(); // Recalculate totals with new multiplier
-            }
-        });
+    document.getElementById('excludeInput').value = filter.exclude.join(', ');
+    document.getElementById('searchInput').value = filter.search;
 
-        resultsContainer.appendChild(foodCard);
-    });
+    const sortSelect = document.getElementById('sortBy');
+    sortSelect.value = filter.sort;
+    currentSortOption = sortSelect.value === filter.sort ? filter.sort : 'relevance';
+    sortSelect.value = currentSortOption;
 }
 
 /**
- * Refresh button states on all food cards based on current shopping list
+ * Apply a filter's food name, categories, tags, nutrient rules and exclusion terms (not the search)
+ * @param {Array} foods - Array of food objects
+ * @param {Object} filter - Filter as returned by readFilterFromControls
+ * @returns {Array} - A new array of the foods that pass
  */
-function refreshButtonStates() {
-    const foodCards = document.querySelectorAll('.food-card');
+function applyFoodFilter(foods, filter) {
+    const activeRules = filter.rules.filter(rule => getNutrient(rule.nutrient) && (rule.min !== null || rule.max !== null));
+    const excludeTerms = filter.exclude.map(term => tokenizeSearchText(term).join(' ')).filter(term => term);
 
-    foodCards.forEach(card => {
-        const foodName = card.querySelector('h3').textContent;
-        const removeButton = card.querySelector('.remove-from-shopping-btn');
+    return foods.filter(food => {
+        // Filter by food name (exact match)
+        if (filter.food && food.name !== filter.food) {
+            return false;
+        }
 
-        if (removeButton) {
-            if (shoppingList[foodName] && shoppingList[foodName].count > 0) {
-                removeButton.classList.add('enabled');
-            } else {
-                removeButton.classList.remove('enabled');
+        // Filter by category (any of the selected ones)
+        if (filter.categories.length > 0 && !filter.categories.includes(food.category)) {
+            return false;
+        }
+
+        // Filter by dietary tags (all of the included ones and none of the excluded ones)
+        if (filter.tags.length > 0 || filter.excludeTags.length > 0) {
+            const tags = getFoodTags(food);
+            if (!filter.tags.every(tag => tags.includes(tag)) || filter.excludeTags.some(tag => tags.includes(tag))) {
+                return false;
             }
         }
+
+        // Every nutrient rule must pass
+        if (!activeRules.every(rule => foodPassesRule(food, rule))) {
+            return false;
+        }
+
+        // Drop foods whose name contains an excluded word or phrase (matching the start of words)
+        if (excludeTerms.length > 0) {
+            const text = getSearchText(food);
+            if (excludeTerms.some(term => text.includes(` ${term}`))) {
+                return false;
+            }
+        }
+
+        return true;
     });
 }
 
 /**
- * Determine the appropriate color for a food card based on max daily carbs limit
- * @param {Object} food - The food object with carbs property
- * @returns {string} - The color to apply ('green', 'orange', 'red', or null for no color)
+ * Check a food against one nutrient rule. Foods where the nutrient wasn't measured never pass.
+ * @param {Object} food - The food object
+ * @param {Object} rule - { nutrient, per: '' for per 100g or 'kcal' for per 100 kcal, min, max }
+ * @returns {boolean} - True if the value is within the rule's min/max
  */
-function getCardColor(food) {
-    if (maxDailyCarbs === null) {
-        return null; // No coloring if no max carbs set
+function foodPassesRule(food, rule) {
+    if (getNutrientState(food, rule.nutrient) === NUTRIENT_STATES.MISSING) {
+        return false;
     }
 
-    const foodCarbs = food.carbs;
-
-    if (maxDailyCarbs < foodCarbs) {
-        return 'red'; // Too many carbs for keto limit
-    } else if (maxDailyCarbs < foodCarbs * 1.2) {
-        return 'orange'; // Close to keto limit (within 20%)
-    } else {
-        return 'green'; // Well under keto limit
+    let value = food[rule.nutrient];
+    if (rule.per === 'kcal') {
+        if (!(food.calories > 0) || getNutrientState(food, 'calories') === NUTRIENT_STATES.MISSING) {
+            return false;
+        }
+        value = value / food.calories * 100;
     }
+
+    return (rule.min === null || value >= rule.min) && (rule.max === null || value <= rule.max);
 }
 
 /**
- * Color all currently displayed food cards based on keto limits
+ * Get the normalised " token token " text of a food name, as stored in the search index
+ * @param {Object} food - The food object
+ * @returns {string} - Space-padded lower-case tokens
  */
-function colorFoodCardsBasedOnKeto() {
-    if (maxDailyCarbs === null) {
-        // Clear any existing color classes if no max carbs set
-        colorFoodCards(null);
-        return;
-    }
-
-    const foodCards = document.querySelectorAll('.food-card');
+function getSearchText(food) {
+    const text = searchIndex && searchIndex.textByName.get(food.name);
+    return text || ` ${tokenizeSearchText(food.name).join(' ')} `;
+}
 
-    foodCards.forEach(card => {
-        // Get the food name from the card
-        const foodName = card.querySelector('h3').textContent;
+/**
+ * Add a nutrient rule row to the rule builder
+ * @param {Object} rule - { nutrient, per, min, max } to prefill
+ */
+function addFilterRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'filter-rule';
+    row.innerHTML = `
+        <select class="filter-rule-nutrient" aria-label="Nutrient">
+            ${NUTRIENTS.map(nutrient => `<option value="${nutrient.key}">${nutrient.label} (${nutrient.unit})</option>`).join('')}
+        </select>
+        <input type="number" class="filter-rule-min" placeholder="Min" min="0" step="any" aria-label="Minimum">
+        <input type="number" class="filter-rule-max" placeholder="Max" min="0" step="any" aria-label="Maximum">
+        <select class="filter-rule-per" aria-label="Measured per">
+            <option value="">per 100g</option>
+            <option value="kcal">per 100 kcal</option>
+        </select>
+        <button type="button" class="filter-rule-remove" title="Remove rule">&times;</button>
+    `;
 
-        // Find the corresponding food object
-        const food = allFoods.find(f => f.name === foodName);
+    row.querySelector('.filter-rule-nutrient').value = getNutrient(rule.nutrient) ? rule.nutrient : 'carbs';
+    row.querySelector('.filter-rule-per').value = rule.per === 'kcal' ? 'kcal' : '';
+    row.querySelector('.filter-rule-min').value = rule.min !== null ? rule.min : '';
+    row.querySelector('.filter-rule-max').value = rule.max !== null ? rule.max : '';
+    row.querySelector('.filter-rule-remove').addEventListener('click', function() {
+        row.remove();
+        filterFoods();
+    });
 
-        if (food) {
-            const cardColor = getCardColor(food);
+    document.getElementById('filterRules').appendChild(row);
+}
 
-            // Remove existing color classes
-            card.classList.remove('card-green', 'card-orange', 'card-red');
+/**
+ * Get the ticked categories in the category filter
+ * @returns {Array} - Category names
+ */
+function getSelectedCategories() {
+    return getCheckedCategories('categoryFilter');
+}
 
-            // Apply new color class if one is determined
-            if (cardColor) {
-                card.classList.add(`card-${cardColor}`);
-            }
-        }
-    });
+/**
+ * Get the categories ticked in a category picker
+ * @param {string} id - The id of the element holding the checkboxes
+ * @returns {Array} - Selected category names
+ */
+function getCheckedCategories(id) {
+    return [...document.querySelectorAll(`#${id} input:checked`)].map(checkbox => checkbox.value);
 }
 
 /**
- * Change the color of food cards based on the specified color scheme
- * @param {string} color - The color to apply ('green', 'orange', 'red')
+ * Show which categories are selected in the category picker's summary
  */
-function colorFoodCards(color) {
-    const foodCards = document.querySelectorAll('.food-card');
+function updateCategorySummary() {
+    document.getElementById('categorySummary').textContent = describeCategories(getSelectedCategories(), 'All Categories');
+}
 
-    foodCards.forEach(card => {
-        // Remove existing color classes
-        card.classList.remove('card-green', 'card-orange', 'card-red');
+/**
+ * Describe a selection of categories briefly enough for a picker's summary
+ * @param {Array} selected - Selected category names
+ * @param {string} noneText - What to show when none are selected
+ * @returns {string} - e.g. "Dairy, Fish" or "5 categories"
+ */
+function describeCategories(selected, noneText) {
+    if (selected.length === 0) {
+        return noneText;
+    }
+    return selected.length <= 2 ? selected.join(', ') : `${selected.length} categories`;
+}
 
-        // Apply new color class based on parameter
-        if (color) {
-            card.classList.add(`card-${color}`);
-        }
-    });
+/**
+ * Encode a filter as a URL query string. Rules are written as nutrient[/kcal]:min:max,
+ * e.g. ?rule=protein:20:&rule=fat::5&cat=Dairy&tag=vegetarian&notag=nut&exclude=fried
+ * @param {Object} filter - Filter as returned by readFilterFromControls
+ * @returns {string} - Query string including the leading '?', or '' for no filter
+ */
+function encodeFilterToQuery(filter) {
+    const params = new URLSearchParams();
+
+    if (filter.search) {
+        params.set('q', filter.search);
+    }
+    if (filter.food) {
+        params.set('food', filter.food);
+    }
+    filter.categories.forEach(category => params.append('cat', category));
+    filter.tags.forEach(tag => params.append('tag', tag));
+    filter.excludeTags.forEach(tag => params.append('notag', tag));
+    filter.rules
+        .filter(rule => rule.min !== null || rule.max !== null)
+        .forEach(rule => {
+            const min = rule.min !== null ? rule.min : '';
+            const max = rule.max !== null ? rule.max : '';
+            params.append('rule', `${rule.nutrient}${rule.per === 'kcal' ? '/kcal' : ''}:${min}:${max}`);
+        });
+    if (filter.exclude.length > 0) {
+        params.set('exclude', filter.exclude.join(','));
+    }
+    if (filter.sort && filter.sort !== 'relevance') {
+        params.set('sort', filter.sort);
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
 }
 
 /**
- * Update the global maxDailyCarbs variable when user enters a value
+ * Decode a filter from a URL query string made by encodeFilterToQuery, ignoring anything malformed
+ * @param {string} query - The query string (with or without the leading '?')
+ * @returns {Object} - Filter in the shape returned by readFilterFromControls
  */
-function updateMaxDailyCarbs() {
-    const maxCarbsInput = document.getElementById('maxCarbsInput');
-    const value = maxCarbsInput.value.trim();
+function decodeFilterFromQuery(query) {
+    const params = new URLSearchParams(query);
+    const parseBound = text => (text === '' || isNaN(Number(text)) ? null : Number(text));
 
-    if (value === '' || value === null) {
-        maxDailyCarbs = null;
-        console.log('Max daily carbs cleared');
+    const rules = params.getAll('rule').map(text => {
+        const match = /^(\w+)(\/kcal)?:([^:]*):([^:]*)$/.exec(text);
+        if (!match || !getNutrient(match[1])) {
+            return null;
+        }
+        return { nutrient: match[1], per: match[2] ? 'kcal' : '', min: parseBound(match[3]), max: parseBound(match[4]) };
+    }).filter(rule => rule);
+
+    return {
+        food: params.get('food') || '',
+        categories: params.getAll('cat'),
+        tags: params.getAll('tag').filter(getFoodTag),
+        excludeTags: params.getAll('notag').filter(getFoodTag),
+        rules: rules,
+        exclude: (params.get('exclude') || '').split(',').map(term => term.trim()).filter(term => term),
+        search: params.get('q') || '',
+        sort: params.get('sort') || 'relevance'
+    };
+}
+
+/**
+ * Replace the URL query string with the active filter, without adding a history entry
+ * @param {Object} filter - Filter as returned by readFilterFromControls
+ */
+function updateFilterURL(filter) {
+    const query = encodeFilterToQuery(filter);
+    if (query !== window.location.search) {
+        history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+}
 
-        // Clear any keto-based coloring from existing cards
-        colorFoodCardsBasedOnKeto();
+/**
+ * Sort the foods array based on the specified sort option
+ * @param {Array} foods - Array of food objects to sort
+ * @param {string} sortOption - 'relevance', 'alphabetical' or '<nutrientKey>-high-low' / '<nutrientKey>-low-high'
+ * @param {Map} searchResults - Results from searchFoods, used by 'relevance' (alphabetical when not searching)
+ */
+function sortFoods(foods, sortOption, searchResults = null) {
+    if (sortOption === 'relevance' && searchResults) {
+        foods.sort((a, b) => searchResults.get(b.name).score - searchResults.get(a.name).score ||
+            a.name.length - b.name.length || a.name.localeCompare(b.name));
         return;
     }
 
-    const numericValue = parseInt(value, 10);
+    if (sortOption === 'alphabetical' || sortOption === 'relevance') {
+        foods.sort((a, b) => a.name.localeCompare(b.name));
+        return;
+    }
 
-    if (isNaN(numericValue) || numericValue < 0) {
-        alert('Please enter a valid positive number for max daily carbs.');
-        maxCarbsInput.value = maxDailyCarbs !== null ? maxDailyCarbs : '';
+    const match = /^(\w+)-(high-low|low-high)$/.exec(sortOption);
+    if (!match || !getNutrient(match[1])) {
         return;
     }
 
-    maxDailyCarbs = numericValue;
-    console.log(`Max daily carbs set to: ${maxDailyCarbs}`);
+    const key = match[1];
+    const direction = match[2] === 'high-low' ? -1 : 1;
+    foods.sort((a, b) => (a[key] - b[key]) * direction);
+}
 
-    // Color existing cards based on the new keto limit
-    colorFoodCardsBasedOnKeto();
+/**
+ * Add a high/low sort option pair for every nutrient to the sort dropdown
+ */
+function populateSortOptions() {
+    const sortSelect = document.getElementById('sortBy');
+
+    NUTRIENTS.forEach(nutrient => {
+        [['high-low', 'High -> Low'], ['low-high', 'Low -> High']].forEach(([direction, label]) => {
+            const option = document.createElement('option');
+            option.value = `${nutrient.key}-${direction}`;
+            option.textContent = `${nutrient.label} (${label})`;
+            sortSelect.appendChild(option);
+        });
+    });
 
-    // Optional: You could add visual feedback here
-    // For example, show a brief success message or highlight the input
+    sortSelect.value = currentSortOption;
 }
 
 /**
- * Display an error message in the results container
- * @param {string} message - Error message to display
+ * Look up a nutrient definition by key
+ * @param {string} key - Nutrient key (e.g. 'carbs', 'protein')
+ * @returns {Object|undefined} - The matching entry from NUTRIENTS
  */
-function displayError(message) {
-    const resultsContainer = document.getElementById('resultsContainer');
-    resultsContainer.innerHTML = `
-        <div class="no-results">
-            <strong>Error:</strong> ${message}
-        </div>
-    `;
+function getNutrient(key) {
+    return NUTRIENTS.find(nutrient => nutrient.key === key);
 }
 
 /**
- * Parse CSV data and convert it to food objects
- * @param {string} csvText - Raw CSV text to parse
- * @returns {Array} - Array of food objects
+ * Get the state of one of a food's nutrient values
+ * @param {Object} food - The food object
+ * @param {string} key - Nutrient key (e.g. 'carbs')
+ * @returns {string} - 'measured', or one of NUTRIENT_STATES
  */
-function parseCSVToFoods(csvText) {
-    // Handle both Windows (CR LF) and Unix (LF) line endings
-    const lines = csvText.split(/\r?\n/);
+function getNutrientState(food, key) {
+    return (food.nutrientStates && food.nutrientStates[key]) || 'measured';
+}
 
-    const foods = [];
+/**
+ * Build the value element for a nutrient on a food card, showing trace and
+ * not-measured values explicitly instead of as numbers
+ * @param {Object} food - The food object
+ * @param {Object} nutrient - Entry from NUTRIENTS
+ * @returns {string} - HTML for the value span
+ */
+function formatFoodNutrient(food, nutrient) {
+    switch (getNutrientState(food, nutrient.key)) {
+        case NUTRIENT_STATES.TRACE:
+            return '<span class="food-info-value nutrient-trace" title="Trace - too little to measure">Tr</span>';
+        case NUTRIENT_STATES.MISSING:
+            return '<span class="food-info-value nutrient-missing" title="Not measured">N/A</span>';
+        default:
+            return `<span class="food-info-value">${formatNutrientValue(food[nutrient.key], nutrient)}</span>`;
+    }
+}
 
-    // Skip header lines (first 3 lines are headers/metadata)
-    for (let i = 3; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue; // Skip empty lines
+/**
+ * Format a nutrient value with its unit for display
+ * @param {number} value - The nutrient amount
+ * @param {Object} nutrient - Entry from NUTRIENTS
+ * @returns {string} - e.g. "12.5g", "151 kcal", "52.3mg"
+ */
+function formatNutrientValue(value, nutrient) {
+    return nutrient.unit === 'kcal' ? `${value} kcal` : `${value}${nutrient.unit}`;
+}
 
-        // Parse CSV line properly handling quoted fields
-        const fields = parseCSVLine(line);
+/**
+ * Display foods in the results container. Only the rows near the visible area are rendered;
+ * the container is sized for all of them so the page scrolls as if every card were there.
+ * @param {Array} foods - Array of food objects to display
+ * @param {Map} searchResults - Results from searchFoods, used to highlight matched words in names
+ */
+function displayFoods(foods, searchResults = null) {
+    const resultsContainer = document.getElementById('resultsContainer');
 
-        if (fields.length >= 9) { // Ensure we have at least 9 fields (including category)
-            const food = {
-                name: fields[0].replace(/"/g, '').trim(),
-                protein: (fields[1] === 'Tr' || fields[1] === 'N') ? 0.1 : (parseFloat(fields[1]) || 0),
-                fat: (fields[2] === 'Tr' || fields[2] === 'N') ? 0.1 : (parseFloat(fields[2]) || 0),
-                carbs: (fields[3] === 'Tr' || fields[3] === 'N') ? 0.1 : (parseFloat(fields[3]) || 0),
-                calories: parseInt(fields[4]) || 0,
-                category: fields[8].replace(/"/g, '').trim(),
-                cholesterol: (fields[7] === 'Tr' || fields[7] === 'N') ? 0.1 : (parseFloat(fields[7]) || 0)
-            };
+    if (!resultsContainer) {
+        console.error('Results container not found!');
+        return;
+    }
 
-            // Only add if we have valid numeric data
-            if (food.name && (food.protein > 0 || food.fat > 0 || food.carbs > 0 || food.calories > 0)) {
-                foods.push(food);
-            }
-        }
+    renderedFoods = foods;
+    renderedSearchResults = searchResults;
+    focusedCardIndex = 0;
+
+    // Clear previous results
+    resultsContainer.innerHTML = '';
+    resultsContainer.style.height = '';
+
+    // If no foods match the filters, show a message
+    if (foods.length === 0) {
+        const noResultsDiv = document.createElement('div');
+        noResultsDiv.className = 'no-results';
+        noResultsDiv.textContent = 'No foods match the selected filters. Try adjusting your criteria.';
+        resultsContainer.appendChild(noResultsDiv);
+        return;
     }
 
-    return foods;
+    const resultsWindow = document.createElement('div');
+    resultsWindow.className = 'results-window';
+    resultsContainer.appendChild(resultsWindow);
+
+    renderVisibleFoods();
 }
 
 /**
- * Parse a single CSV line handling quoted fields properly
- * @param {string} line - CSV line to parse
- * @returns {Array} - Array of field values
+ * Render the cards for the rows in (or near) the visible part of the results
  */
-function parseCSVLine(line) {
-    const fields = [];
-    let current = '';
-    let inQuotes = false;
+function renderVisibleFoods() {
+    resultsRenderFrame = null;
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+    const resultsContainer = document.getElementById('resultsContainer');
+    const resultsWindow = resultsContainer.querySelector('.results-window');
+    if (!resultsWindow) {
+        return;
+    }
 
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                // Escaped quote
-                current += '"';
-                i++; // Skip next quote
-            } else {
-                // Toggle quote mode
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            // Field separator outside quotes
-            fields.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
+    const layout = getResultsLayout(resultsWindow);
+    const totalRows = Math.ceil(renderedFoods.length / layout.columns);
+    resultsContainer.style.height = `${totalRows * layout.rowHeight}px`;
+
+    // Work out which rows overlap the viewport
+    const containerTop = resultsContainer.getBoundingClientRect().top;
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    const firstVisibleRow = Math.floor(Math.max(0, -containerTop) / layout.rowHeight);
+    const lastVisibleRow = Math.floor(Math.max(0, viewportHeight - containerTop) / layout.rowHeight);
+
+    const startRow = Math.max(0, firstVisibleRow - RESULTS_OVERSCAN_ROWS);
+    const endRow = Math.min(totalRows - 1, lastVisibleRow + RESULTS_OVERSCAN_ROWS);
+    const startIndex = startRow * layout.columns;
+    const endIndex = Math.min(renderedFoods.length, (endRow + 1) * layout.columns);
+
+    // Nothing to do if the same range is already rendered
+    const range = `${startIndex}-${endIndex}`;
+    if (resultsWindow.dataset.range === range) {
+        return;
     }
+    resultsWindow.dataset.range = range;
+    resultsWindow.style.top = `${startRow * layout.rowHeight}px`;
 
-    // Add the last field
-    fields.push(current);
+    // Keep keyboard focus on the focused card if it's re-rendered
+    const hadFocus = resultsWindow.contains(document.activeElement);
 
-    return fields;
+    // The focused card is the one in the tab order, or the first rendered card if it's scrolled away
+    const tabbableIndex = focusedCardIndex >= startIndex && focusedCardIndex < endIndex ? focusedCardIndex : startIndex;
+
+    const dayTotals = calculateDayTotals();
+    const fragment = document.createDocumentFragment();
+    renderedFoods.slice(startIndex, endIndex).forEach((food, offset) => {
+        const foodCard = createFoodCard(food, renderedSearchResults);
+        foodCard.dataset.index = startIndex + offset;
+        foodCard.tabIndex = startIndex + offset === tabbableIndex ? 0 : -1;
+        colorFoodCard(foodCard, food, dayTotals);
+        fragment.appendChild(foodCard);
+    });
+
+    resultsWindow.innerHTML = '';
+    resultsWindow.appendChild(fragment);
+
+    if (hadFocus) {
+        const focusedCard = resultsWindow.querySelector(`.food-card[data-index="${focusedCardIndex}"]`);
+        if (focusedCard) {
+            focusedCard.focus({ preventScroll: true });
+        }
+    }
 }
 
 /**
- * Add a food item to the shopping list (or increment quantity if already present)
- * @param {Object} food - The food object to add
- * @param {number} multiplier - The multiplier to apply to nutritional values (e.g., 1.0 for 100%)
+ * Re-render the visible results on the next animation frame (used for scroll and resize)
  */
-function addToShoppingList(food, multiplier = 1.0) {
-    // Initialize or update the shopping list entry
-    if (shoppingList[food.name]) {
-        shoppingList[food.name].count++;
-        shoppingList[food.name].multiplier = multiplier; // Update multiplier in case it changed
-    } else {
-        shoppingList[food.name] = {
-            count: 1,
-            multiplier: multiplier
-        };
+function scheduleResultsRender() {
+    if (resultsRenderFrame === null) {
+        resultsRenderFrame = requestAnimationFrame(function() {
+            // Columns or row height may have changed, so force the range to be rebuilt on resize
+            const resultsWindow = document.querySelector('#resultsContainer .results-window');
+            if (resultsWindow && resultsWindow.dataset.layout !== getResultsLayoutKey(resultsWindow)) {
+                resultsWindow.dataset.range = '';
+            }
+            renderVisibleFoods();
+        });
     }
+}
 
-    // Update the display and totals
-    displayShoppingList();
-    updateTotals();
-    refreshButtonStates();
-    console.log(`Added ${food.name} to shopping list (count: ${shoppingList[food.name].count}, multiplier: ${multiplier})`);
+/**
+ * Measure the results grid: how many columns it has and the height of one row including the gap
+ * @param {HTMLElement} resultsWindow - The grid element holding the rendered cards
+ * @returns {Object} - { columns, rowHeight }
+ */
+function getResultsLayout(resultsWindow) {
+    const style = getComputedStyle(resultsWindow);
+    const columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(track => track).length);
+
+    const sampleCard = resultsWindow.querySelector('.food-card');
+    const rowGap = parseFloat(style.rowGap) || 0;
+    const rowHeight = sampleCard && sampleCard.offsetHeight > 0 ? sampleCard.offsetHeight + rowGap : DEFAULT_RESULTS_ROW_HEIGHT;
+
+    resultsWindow.dataset.layout = `${columns}x${rowHeight}`;
+    return { columns, rowHeight };
 }
+
 /**
- * Remove a food item from the shopping list (or decrement quantity if more than 1)
- * @param {Object} food - The food object to remove
- * @param {number} multiplier - The multiplier to apply to nutritional values (e.g., 1.0 for 100%)
+ * Get the current layout of the results grid as a string, to tell when a resize changed it
+ * @param {HTMLElement} resultsWindow - The grid element holding the rendered cards
+ * @returns {string} - e.g. "3x360"
  */
-function removeFromShoppingList(food, multiplier = 1.0) {
-    if (shoppingList[food.name]) {
-        if (shoppingList[food.name].count > 1) {
-            // Decrement count
-            shoppingList[food.name].count--;
-        } else {
-            // Remove item completely
-            delete shoppingList[food.name];
-        }
+function getResultsLayoutKey(resultsWindow) {
+    const layout = getResultsLayout(resultsWindow);
+    return `${layout.columns}x${layout.rowHeight}`;
+}
 
-        // Update the display and totals
-        displayShoppingList();
-        updateTotals();
-        refreshButtonStates();
-        console.log(`Removed ${food.name} from shopping list`);
+/**
+ * Create the card element for one food. Its buttons and input are handled by the
+ * delegated listeners on the results container.
+ * @param {Object} food - The food object
+ * @param {Map} searchResults - Results from searchFoods, used to highlight matched words in the name
+ * @returns {HTMLElement} - The card element
+ */
+function createFoodCard(food, searchResults) {
+    const foodCard = document.createElement('div');
+    foodCard.className = food.custom ? 'food-card custom-food' : 'food-card';
+    foodCard.dataset.foodName = food.name;
+    foodCard.setAttribute('role', 'group');
+    foodCard.setAttribute('aria-label', food.name);
+    const name = escapeHTML(food.name);
+    const portion = cardPortions.get(food.name) || getDefaultPortion(food);
+    const searchResult = searchResults && searchResults.get(food.name);
+    const tags = getFoodTags(food);
+    const avoided = dietaryProfile.avoid;
+
+    // Create the food card HTML structure
+    foodCard.innerHTML = `
+        <div class="quantity-input-container">
+            <input type="number" class="quantity-input" value="${portion.quantity}" min="0" step="any" aria-label="Amount of ${name}">
+            <select class="unit-select" aria-label="Unit for ${name}">${createUnitOptions(food, portion.unit)}</select>
+        </div>
+        <button class="remove-from-shopping-btn ${shoppingList[food.name] ? 'enabled' : ''}" aria-label="Remove ${name} from Meal Builder"
+            aria-keyshortcuts="-" aria-disabled="${shoppingList[food.name] ? 'false' : 'true'}">-</button>
+        <button class="add-to-shopping-btn" aria-label="Add ${name} to Meal Builder" aria-keyshortcuts="+">+</button>
+        <h3 title="${name}">${searchResult ? highlightFoodName(food.name, searchResult.matchedTokens) : name}</h3>
+        <p class="food-category">${escapeHTML(food.category)}</p>
+        <div class="food-tags">
+            ${tags.map(id => `<span class="food-tag food-tag-${getFoodTag(id).kind}${avoided.includes(id) ? ' food-tag-avoided' : ''}">${getFoodTag(id).label}</span>`).join('')}
+        </div>
+        <div class="card-meta">
+            <label class="compare-label">
+                <input type="checkbox" class="compare-checkbox"${compareSelection.includes(food.name) ? ' checked' : ''}> Compare
+            </label>
+            <span class="card-status" hidden></span>
+        </div>
+        ${food.custom ? `
+        <div class="custom-food-marker">
+            <span class="custom-badge">${CUSTOM_FOOD_BADGES[food.custom]}</span>
+            <button type="button" class="custom-food-edit-btn" aria-label="Edit ${name}">Edit</button>
+            <button type="button" class="custom-food-delete-btn" aria-label="Delete ${name}">Delete</button>
+        </div>` : ''}
+        <div class="food-info">
+            ${NUTRIENTS.map(nutrient => `
+            <div class="food-info-item">
+                <span class="food-info-label">${nutrient.label}:</span>
+                ${formatFoodNutrient(food, nutrient)}
+            </div>`).join('')}
+        </div>
+    `;
+
+    return foodCard;
+}
+
+/**
+ * Find the card and food for an event inside the results container
+ * @param {Event} event - The event
+ * @returns {Object|null} - { card, food } or null if the event wasn't inside a food card
+ */
+function getEventFoodCard(event) {
+    const card = event.target.closest('.food-card');
+    const food = card && getFoodByName(card.dataset.foodName);
+    return food ? { card, food } : null;
+}
+
+/**
+ * Get the portion entered in a card's quantity input and unit select
+ * @param {HTMLElement} card - The food card element
+ * @param {Object} food - The food object for the card
+ * @returns {Object} - The resolved portion (see resolvePortion), defaulting to one unit (or 100g)
+ */
+function getCardPortion(card, food) {
+    const unit = card.querySelector('.unit-select').value;
+    const quantity = parseFloat(card.querySelector('.quantity-input').value);
+    return resolvePortion(food, quantity > 0 ? quantity : getDefaultQuantity(unit), unit);
+}
+
+/**
+ * Handle clicks on the +/- and custom food buttons of any food card
+ * @param {Event} event - The click event
+ */
+function handleResultsClick(event) {
+    const target = getEventFoodCard(event);
+    if (!target || !event.target.closest('button')) {
+        return;
+    }
+
+    const button = event.target.closest('button');
+    const portion = getCardPortion(target.card, target.food);
+
+    if (button.classList.contains('add-to-shopping-btn')) {
+        addToShoppingList(target.food, portion);
+    } else if (button.classList.contains('remove-from-shopping-btn')) {
+        removeFromShoppingList(target.food, portion.multiplier);
+    } else if (button.classList.contains('custom-food-edit-btn')) {
+        editCustomFood(target.food.name);
+    } else if (button.classList.contains('custom-food-delete-btn')) {
+        deleteCustomFood(target.food.name);
     }
 }
 
 /**
- * Update and display the total nutritional values
+ * Recolor a card for the quantity being typed into its quantity input
+ * @param {Event} event - The input event
  */
-function updateTotals() {
-    let totalCarbs = 0;
-    let totalCalories = 0;
-    let totalFat = 0;
-    let totalCholesterol = 0;
+function handleResultsQuantityInput(event) {
+    const target = event.target.classList.contains('quantity-input') && getEventFoodCard(event);
+    if (!target) {
+        return;
+    }
 
-    // Calculate totals from shopping list items using multipliers
-    Object.keys(shoppingList).forEach(foodName => {
-        const item = shoppingList[foodName];
-        const food = allFoods.find(f => f.name === foodName);
+    rememberCardPortion(target.card, target.food);
+    colorFoodCard(target.card, target.food, calculateDayTotals());
+}
 
-        if (food) {
-            totalCarbs += food.carbs * item.multiplier * item.count;
-            totalCalories += food.calories * item.multiplier * item.count;
-            totalFat += food.fat * item.multiplier * item.count;
-            totalCholesterol += food.cholesterol * item.multiplier * item.count;
-        }
-    });
+/**
+ * Handle a card's unit or quantity being changed: a new unit starts at its default quantity,
+ * and an item already in the shopping list is updated to the new portion
+ * @param {Event} event - The change event
+ */
+function handleResultsQuantityChange(event) {
+    const isUnitSelect = event.target.classList.contains('unit-select');
+    const target = (isUnitSelect || event.target.classList.contains('quantity-input')) && getEventFoodCard(event);
+    if (!target) {
+        return;
+    }
+
+    if (isUnitSelect) {
+        target.card.querySelector('.quantity-input').value = getDefaultQuantity(event.target.value);
+        rememberCardPortion(target.card, target.food);
+        colorFoodCard(target.card, target.food, calculateDayTotals());
+    }
+
+    if (!shoppingList[target.food.name]) {
+        return;
+    }
 
-    // Update the display
-    document.getElementById('totalCarbs').textContent = `${Math.round(totalCarbs)}g`;
-    document.getElementById('totalCalories').textContent = `${Math.round(totalCalories)} kcal`;
-    document.getElementById('totalFat').textContent = `${Math.round(totalFat)}g`;
-    document.getElementById('totalCholesterol').textContent = `${Math.round(totalCholesterol)}mg`;
+    Object.assign(shoppingList[target.food.name], getCardPortion(target.card, target.food));
+    displayShoppingList();
+    updateTotals(); // Recalculate totals with new multiplier
+    saveAppState();
 }
 
 /**
- * Display the shopping list in the UI
+ * Remember the quantity and unit on a card so they survive the card being re-rendered
+ * @param {HTMLElement} card - The food card element
+ * @param {Object} food - The food object for the card
  */
-function displayShoppingList() {
-    const shoppingListContainer = document.getElementById('shoppingListContainer');
+function rememberCardPortion(card, food) {
+    const portion = getCardPortion(card, food);
+    if (portion.unit === 'g' && portion.quantity === 100) {
+        cardPortions.delete(food.name);
+    } else {
+        cardPortions.set(food.name, { quantity: portion.quantity, unit: portion.unit });
+    }
+}
 
-    if (!shoppingListContainer) {
-        console.error('Shopping list container not found!');
+/**
+ * Handle keyboard operation of the results: arrow keys, Home and End move between cards,
+ * "+" adds the focused card's food to the Meal Builder and "-" removes it
+ * @param {Event} event - The keydown event
+ */
+function handleResultsKeydown(event) {
+    // Keys typed into a card's inputs are left alone
+    if (!event.target.classList.contains('food-card') || event.ctrlKey || event.metaKey || event.altKey) {
         return;
     }
 
-    // Clear previous content
-    shoppingListContainer.innerHTML = '';
+    const card = event.target;
+    const index = Number(card.dataset.index);
+    const resultsWindow = document.querySelector('#resultsContainer .results-window');
+    const columns = getResultsLayout(resultsWindow).columns;
 
-    // Get all food names from the shopping list
-    const foodNames = Object.keys(shoppingList);
+    switch (event.key) {
+        case 'ArrowRight':
+            focusFoodCard(index + 1);
+            break;
+        case 'ArrowLeft':
+            focusFoodCard(index - 1);
+            break;
+        case 'ArrowDown':
+            focusFoodCard(index + columns);
+            break;
+        case 'ArrowUp':
+            focusFoodCard(index - columns);
+            break;
+        case 'Home':
+            focusFoodCard(0);
+            break;
+        case 'End':
+            focusFoodCard(renderedFoods.length - 1);
+            break;
+        case '+':
+        case '=':
+            card.querySelector('.add-to-shopping-btn').click();
+            break;
+        case '-':
+        case '_':
+            card.querySelector('.remove-from-shopping-btn').click();
+            break;
+        default:
+            return;
+    }
 
-    // If shopping list is empty, show "Nothing..." message
-    if (foodNames.length === 0) {
-        const emptyDiv = document.createElement('div');
-        emptyDiv.className = 'shopping-list-empty';
-        emptyDiv.textContent = 'Nothing...';
-        shoppingListContainer.appendChild(emptyDiv);
+    event.preventDefault();
+}
+
+/**
+ * Make a card the one in the tab order
+ * @param {HTMLElement} card - The food card element
+ */
+function setFocusedCard(card) {
+    focusedCardIndex = Number(card.dataset.index);
+    document.querySelectorAll('#resultsContainer .food-card').forEach(otherCard => {
+        otherCard.tabIndex = otherCard === card ? 0 : -1;
+    });
+}
+
+/**
+ * Move keyboard focus to a result, scrolling it into view (and so rendering it) first if needed
+ * @param {number} index - Index into renderedFoods
+ */
+function focusFoodCard(index) {
+    if (renderedFoods.length === 0) {
         return;
     }
+    index = Math.max(0, Math.min(renderedFoods.length - 1, index));
 
-    // Display each shopping list item with quantity and multiplier info
-    foodNames.forEach(foodName => {
-        const item = shoppingList[foodName];
-        if (item.count > 0) {  // Only display items with count > 0
-            const itemDiv = document.createElement('div');
-            itemDiv.className = 'shopping-list-item';
+    const resultsContainer = document.getElementById('resultsContainer');
+    let card = resultsContainer.querySelector(`.food-card[data-index="${index}"]`);
 
-            const nameSpan = document.createElement('span');
-            nameSpan.className = 'shopping-list-item-name';
-            nameSpan.textContent = foodName;
+    if (!card) {
+        // Scroll the card's row to about a third of the way down the screen, then render it
+        const resultsWindow = resultsContainer.querySelector('.results-window');
+        const layout = getResultsLayout(resultsWindow);
+        const rowTop = resultsContainer.getBoundingClientRect().top + window.scrollY + Math.floor(index / layout.columns) * layout.rowHeight;
+        window.scrollTo(0, Math.max(0, rowTop - window.innerHeight / 3));
+        focusedCardIndex = index;
+        resultsWindow.dataset.range = '';
+        renderVisibleFoods();
+        card = resultsContainer.querySelector(`.food-card[data-index="${index}"]`);
+    }
 
-            const qtySpan = document.createElement('span');
-            qtySpan.className = 'shopping-list-item-qty';
-            qtySpan.textContent = `qty: ${item.count} (${Math.round(item.multiplier * 100)}g)`;
+    if (card) {
+        setFocusedCard(card);
+        card.focus();
+    }
+}
 
-            itemDiv.appendChild(nameSpan);
-            itemDiv.appendChild(qtySpan);
-            shoppingListContainer.appendChild(itemDiv);
-        }
+/**
+ * Check whether an element takes typed text, so single-key shortcuts don't fire while typing
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} - True for text inputs, text areas, selects and editable content
+ */
+function isTextEntry(element) {
+    return Boolean(element && (element.isContentEditable || element.closest('input, textarea, select')));
+}
+
+/**
+ * Read the day's totals out through the live region when they change
+ * @param {Object} totals - Totals keyed by nutrient key
+ */
+function announceTotals(totals) {
+    const parts = ['carbs', 'calories', 'fat', 'protein'].map(key => {
+        const nutrient = getNutrient(key);
+        const target = getDailyTarget(key);
+        const amount = formatNutrientValue(Math.round(totals[key]), nutrient);
+        const label = key === 'calories' ? '' : ` ${nutrient.label.toLowerCase()}`;
+        return target !== null ? `${amount}${label} of ${formatNutrientValue(target, nutrient)}` : `${amount}${label}`;
     });
+    const announcement = `Day totals: ${parts.join(', ')}.`;
 
-    // If no items were displayed (all had count 0), show "Nothing..."
-    if (shoppingListContainer.children.length === 0) {
-        const emptyDiv = document.createElement('div');
-        emptyDiv.className = 'shopping-list-empty';
-        emptyDiv.textContent = 'Nothing...';
-        shoppingListContainer.appendChild(emptyDiv);
+    // The first totals are the starting point, not a change
+    if (lastTotalsAnnouncement !== null && announcement !== lastTotalsAnnouncement) {
+        document.getElementById('totalsAnnouncement').textContent = announcement;
     }
+    lastTotalsAnnouncement = announcement;
 }
 
 /**
- * Reset the shopping list to contain only "Nothing..."
+ * Add or remove a food from the comparison when its card's Compare box is ticked
+ * @param {Event} event - The change event
  */
-function resetShoppingList() {
-    shoppingList = {};
-    displayShoppingList();
-    updateTotals();
-    refreshButtonStates();
-    console.log('Shopping list reset');
+function handleCompareToggle(event) {
+    const target = event.target.classList.contains('compare-checkbox') && getEventFoodCard(event);
+    if (!target) {
+        return;
+    }
+
+    if (!toggleCompareFood(target.food.name, event.target.checked)) {
+        event.target.checked = false;
+    }
+}
+
+/**
+ * Add or remove a food from the comparison
+ * @param {string} foodName - The food name
+ * @param {boolean} selected - True to add it, false to remove it
+ * @returns {boolean} - False if the food couldn't be added because the comparison is full
+ */
+function toggleCompareFood(foodName, selected) {
+    compareSelection = compareSelection.filter(name => name !== foodName);
+
+    if (selected) {
+        if (compareSelection.length >= COMPARE_MAX_FOODS) {
+            showNotification(`You can compare up to ${COMPARE_MAX_FOODS} foods. Remove one first.`, { type: 'warning', key: 'compare' });
+            updateCompareBar();
+            return false;
+        }
+        compareSelection.push(foodName);
+    }
+
+    updateCompareBar();
+    if (!document.getElementById('comparePanel').hidden) {
+        displayComparison();
+    }
+    return true;
+}
+
+/**
+ * Clear the comparison and untick every Compare box
+ */
+function clearCompareSelection() {
+    compareSelection = [];
+    document.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+        checkbox.checked = false;
+    });
+    updateCompareBar();
+    closeComparePanel();
+}
+
+/**
+ * Show the bar listing the foods picked for comparison, or hide it if none are picked
+ */
+function updateCompareBar() {
+    // Custom foods can be deleted while they're picked
+    compareSelection = compareSelection.filter(name => getFoodByName(name));
+
+    const compareBar = document.getElementById('compareBar');
+    compareBar.hidden = compareSelection.length === 0;
+    document.getElementById('compareSummary').textContent =
+        `Compare (${compareSelection.length}/${COMPARE_MAX_FOODS}): ${compareSelection.join(', ')}`;
+    document.getElementById('compareOpenBtn').disabled = compareSelection.length < 2;
+}
+
+/**
+ * Open the comparison table for the picked foods
+ */
+function openComparePanel() {
+    document.getElementById('comparePanel').hidden = false;
+    displayComparison();
+    document.getElementById('compareCloseBtn').focus();
+}
+
+/**
+ * Close the comparison table
+ */
+function closeComparePanel() {
+    document.getElementById('comparePanel').hidden = true;
+}
+
+/**
+ * Work out how to scale a food's per-100g values for the chosen basis
+ * @param {Object} food - The food object
+ * @param {string} basis - '100g', 'portion' or '100kcal'
+ * @returns {Object|null} - { factor, grams }, or null if the food can't be shown on that basis
+ */
+function getCompareScale(food, basis) {
+    if (basis === 'portion') {
+        const quantity = parseFloat(document.getElementById('comparePortionQuantity').value);
+        const portion = resolvePortion(food, quantity > 0 ? quantity : 1, document.getElementById('comparePortionUnit').value);
+        return { factor: portion.multiplier, grams: portion.grams };
+    }
+
+    if (basis === '100kcal') {
+        if (!(food.calories > 0) || getNutrientState(food, 'calories') !== 'measured') {
+            return null;
+        }
+        return { factor: 100 / food.calories, grams: Math.round(10000 / food.calories * 10) / 10 };
+    }
+
+    return { factor: 1, grams: 100 };
+}
+
+/**
+ * Get which way is better for a nutrient under the active targets. Starch, sugars and net carbs
+ * follow the carbs limit.
+ * @param {string} key - Nutrient key
+ * @returns {string|null} - 'lower', 'higher', or null if no active target covers the nutrient
+ */
+function getCompareGoal(key) {
+    const targetKey = ['netCarbs', 'starch', 'sugars'].includes(key) ? 'carbs' : key;
+    const target = TARGET_NUTRIENTS.find(t => t.key === targetKey);
+
+    if (!target || getDailyTarget(target.key) === null) {
+        return null;
+    }
+    return target.type === 'minimum' ? 'higher' : 'lower';
+}
+
+/**
+ * Build the comparison table: one column per picked food and one row per nutrient,
+ * with the best and worst value in each row highlighted for the active targets
+ */
+function displayComparison() {
+    const basis = document.getElementById('compareBasis').value;
+    const foods = compareSelection.map(getFoodByName).filter(food => food);
+    const table = document.getElementById('compareTable');
+    document.getElementById('comparePortion').hidden = basis !== 'portion';
+
+    const scales = foods.map(food => getCompareScale(food, basis));
+
+    // Header row, with a button to drop each food from the comparison
+    let html = '<thead><tr><th scope="col">Nutrient</th>';
+    foods.forEach(food => {
+        html += `<th scope="col">${escapeHTML(food.name)}
+            <button type="button" class="compare-remove-btn" data-food-name="${escapeHTML(food.name)}" aria-label="Remove ${escapeHTML(food.name)} from comparison">&times;</button></th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    html += '<tr><th scope="row">Category</th>' + foods.map(food => `<td>${escapeHTML(food.category)}</td>`).join('') + '</tr>';
+    html += '<tr><th scope="row">Weight</th>' + scales.map(scale => `<td>${scale ? `${formatWeight(scale.grams)}g` : 'N/A'}</td>`).join('') + '</tr>';
+
+    NUTRIENTS.forEach(nutrient => {
+        // Values that weren't measured (or can't be scaled) are left out of the best/worst
+        const values = foods.map((food, index) => {
+            const state = getNutrientState(food, nutrient.key);
+            if (!scales[index] || state === NUTRIENT_STATES.MISSING) {
+                return null;
+            }
+            return { value: food[nutrient.key] * scales[index].factor, state };
+        });
+
+        const goal = getCompareGoal(nutrient.key);
+        const numbers = values.filter(v => v).map(v => v.value);
+        const best = goal === 'higher' ? Math.max(...numbers) : Math.min(...numbers);
+        const worst = goal === 'higher' ? Math.min(...numbers) : Math.max(...numbers);
+        const highlight = goal && numbers.length >= 2 && best !== worst;
+
+        html += `<tr><th scope="row">${nutrient.label} (${nutrient.unit})</th>`;
+        values.forEach(v => {
+            if (!v) {
+                html += '<td class="nutrient-missing" title="Not measured">N/A</td>';
+                return;
+            }
+            const classes = [];
+            if (highlight && v.value === best) {
+                classes.push('compare-best');
+            } else if (highlight && v.value === worst) {
+                classes.push('compare-worst');
+            }
+            const text = v.state === NUTRIENT_STATES.TRACE ? 'Tr' : formatWeight(v.value);
+            html += `<td${classes.length ? ` class="${classes.join(' ')}"` : ''}>${text}</td>`;
+        });
+        html += '</tr>';
+    });
+
+    table.innerHTML = html + '</tbody>';
+
+    table.querySelectorAll('.compare-remove-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const foodName = this.dataset.foodName;
+            toggleCompareFood(foodName, false);
+            document.querySelectorAll('.food-card').forEach(card => {
+                if (card.dataset.foodName === foodName) {
+                    card.querySelector('.compare-checkbox').checked = false;
+                }
+            });
+        });
+    });
+
+    const goals = NUTRIENTS.filter(nutrient => getCompareGoal(nutrient.key));
+    document.getElementById('compareHelper').textContent = goals.length > 0
+        ? 'Green is the best and red the worst value for your daily targets.'
+        : 'Set daily targets to highlight the best and worst values.';
+}
+
+/**
+ * Look up a food in allFoods by name
+ * @param {string} name - The food name
+ * @returns {Object|undefined} - The food object
+ */
+function getFoodByName(name) {
+    return foodsByName.get(name);
+}
+
+/**
+ * Escape text for safe use inside HTML markup and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Refresh button states on the rendered food cards based on current shopping list
+ */
+function refreshButtonStates() {
+    const foodCards = document.querySelectorAll('.food-card');
+
+    foodCards.forEach(card => {
+        const foodName = card.dataset.foodName;
+        const removeButton = card.querySelector('.remove-from-shopping-btn');
+
+        if (removeButton) {
+            const inList = Boolean(shoppingList[foodName] && shoppingList[foodName].count > 0);
+            removeButton.classList.toggle('enabled', inList);
+            removeButton.setAttribute('aria-disabled', String(!inList));
+        }
+    });
+}
+
+/**
+ * Determine the appropriate color for a food card from the budget left under each daily limit
+ * once what's already logged today is counted
+ * @param {Object} food - The food object
+ * @param {number} grams - The portion size entered on the card
+ * @param {Object} dayTotals - Today's totals from calculateDayTotals
+ * @returns {string} - The color to apply ('green', 'orange', 'red', or null for no color)
+ */
+function getCardColor(food, grams = 100, dayTotals = calculateDayTotals()) {
+    const limits = TARGET_NUTRIENTS.filter(target => target.type === 'limit' && getDailyTarget(target.key) !== null);
+
+    if (limits.length === 0) {
+        return null; // No coloring if no limits set
+    }
+
+    let color = 'green'; // Well within every remaining budget
+
+    limits.forEach(target => {
+        const remaining = getDailyTarget(target.key) - dayTotals[target.key];
+        const portion = food[target.key] * grams / 100;
+
+        if (portion > remaining) {
+            color = 'red'; // Would go over what's left of this limit
+        } else if (portion * 1.2 > remaining && color !== 'red') {
+            color = 'orange'; // Close to what's left (within 20%)
+        }
+    });
+
+    return color;
+}
+
+/**
+ * Color the rendered food cards based on keto limits and the other daily limits
+ */
+function colorFoodCardsBasedOnKeto() {
+    if (TARGET_NUTRIENTS.every(target => target.type !== 'limit' || getDailyTarget(target.key) === null)) {
+        // Clear any existing color classes if no limits set
+        colorFoodCards(null);
+        return;
+    }
+
+    const dayTotals = calculateDayTotals();
+    const foodCards = document.querySelectorAll('.food-card');
+
+    foodCards.forEach(card => {
+        // Find the food object for the card
+        const food = getFoodByName(card.dataset.foodName);
+
+        if (food) {
+            colorFoodCard(card, food, dayTotals);
+        }
+    });
+}
+
+/**
+ * Color one food card for the grams entered in its quantity input
+ * @param {HTMLElement} card - The food card element
+ * @param {Object} food - The food object shown on the card
+ * @param {Object} dayTotals - Today's totals from calculateDayTotals
+ */
+function colorFoodCard(card, food, dayTotals) {
+    const cardColor = getCardColor(food, getCardPortion(card, food).grams, dayTotals);
+
+    // Remove existing color classes
+    card.classList.remove('card-green', 'card-orange', 'card-red');
+
+    // Apply new color class if one is determined
+    if (cardColor) {
+        card.classList.add(`card-${cardColor}`);
+    }
+    setCardStatus(card, cardColor);
+}
+
+/**
+ * Show the text and icon for a card's colour next to the colour itself
+ * @param {HTMLElement} card - The food card element
+ * @param {string|null} color - 'green', 'orange', 'red', or null for no status
+ */
+function setCardStatus(card, color) {
+    const status = card.querySelector('.card-status');
+    const label = color && CARD_STATUS_LABELS[color];
+
+    status.hidden = !label;
+    status.className = label ? `card-status card-status-${color}` : 'card-status';
+    status.innerHTML = label ? `<span aria-hidden="true">${label.icon}</span> ${label.text}` : '';
+}
+
+/**
+ * Change the color of food cards based on the specified color scheme
+ * @param {string} color - The color to apply ('green', 'orange', 'red')
+ */
+function colorFoodCards(color) {
+    const foodCards = document.querySelectorAll('.food-card');
+
+    foodCards.forEach(card => {
+        // Remove existing color classes
+        card.classList.remove('card-green', 'card-orange', 'card-red');
+
+        // Apply new color class based on parameter
+        if (color) {
+            card.classList.add(`card-${color}`);
+        }
+        setCardStatus(card, color);
+    });
+}
+
+/**
+ * Update the global maxDailyCarbs variable when user enters a value
+ */
+function updateMaxDailyCarbs() {
+    const maxCarbsInput = document.getElementById('maxCarbsInput');
+    const value = maxCarbsInput.value.trim();
+
+    clearFieldError(maxCarbsInput);
+
+    // The input updates on blur, so only say something changed when it did
+    if (value === '' || value === null) {
+        if (maxDailyCarbs !== null) {
+            showNotification('Max daily carbs cleared', { key: 'targets' });
+        }
+        maxDailyCarbs = null;
+        document.getElementById('targetPreset').value = '';
+        saveAppState();
+
+        // Recolor existing cards without the keto limit and hide its progress bar
+        updateTotals();
+        return;
+    }
+
+    const numericValue = parseInt(value, 10);
+
+    if (isNaN(numericValue) || numericValue < 0) {
+        setFieldError(maxCarbsInput, 'Enter a whole number of grams, 0 or more.', maxCarbsInput.parentElement);
+        return;
+    }
+
+    if (numericValue !== maxDailyCarbs) {
+        showNotification(`Max daily carbs set to ${numericValue}g`, { key: 'targets' });
+    }
+    maxDailyCarbs = numericValue;
+    document.getElementById('targetPreset').value = '';
+    saveAppState();
+
+    // Color existing cards based on the new keto limit and update the progress bars
+    updateTotals();
+}
+
+/**
+ * Update one of the non-carbs daily targets when user enters a value
+ * @param {string} key - Nutrient key ('calories', 'fat', 'protein' or 'cholesterol')
+ */
+function updateDailyTarget(key) {
+    const target = TARGET_NUTRIENTS.find(t => t.key === key);
+    const targetInput = document.getElementById(target.inputId);
+    const value = targetInput.value.trim();
+    const nutrient = getNutrient(key);
+    const label = nutrient.label.toLowerCase();
+
+    clearFieldError(targetInput);
+
+    if (value === '') {
+        if (dailyTargets[key] !== null) {
+            showNotification(`Daily ${label} target cleared`, { key: 'targets' });
+        }
+        dailyTargets[key] = null;
+    } else {
+        const numericValue = parseInt(value, 10);
+
+        if (isNaN(numericValue) || numericValue < 0) {
+            setFieldError(targetInput, 'Enter a whole number, 0 or more.');
+            return;
+        }
+
+        if (numericValue !== dailyTargets[key]) {
+            showNotification(`Daily ${label} target set to ${numericValue}${nutrient.unit}`, { key: 'targets' });
+        }
+        dailyTargets[key] = numericValue;
+    }
+
+    document.getElementById('targetPreset').value = '';
+    saveAppState();
+    updateTotals();
+}
+
+/**
+ * Get the daily target for a nutrient
+ * @param {string} key - Nutrient key from TARGET_NUTRIENTS
+ * @returns {number|null} - The target, or null if none is set
+ */
+function getDailyTarget(key) {
+    if (key === 'carbs') {
+        return maxDailyCarbs;
+    }
+    return dailyTargets[key] !== undefined ? dailyTargets[key] : null;
+}
+
+/**
+ * Populate the target presets dropdown
+ */
+function populateTargetPresets() {
+    const presetSelect = document.getElementById('targetPreset');
+
+    Object.keys(TARGET_PRESETS).forEach(presetId => {
+        const option = document.createElement('option');
+        option.value = presetId;
+        option.textContent = TARGET_PRESETS[presetId].label;
+        presetSelect.appendChild(option);
+    });
+}
+
+/**
+ * Set every daily target from a preset
+ * @param {string} presetId - Key of TARGET_PRESETS
+ */
+function applyTargetPreset(presetId) {
+    const preset = TARGET_PRESETS[presetId];
+    if (!preset) {
+        return;
+    }
+
+    maxDailyCarbs = preset.targets.carbs;
+    Object.keys(dailyTargets).forEach(key => {
+        dailyTargets[key] = preset.targets[key];
+    });
+    displayDailyTargets();
+
+    showNotification(`Applied ${preset.label} targets`, { key: 'targets' });
+    saveAppState();
+    updateTotals();
+}
+
+/**
+ * Show the current daily targets in their inputs
+ */
+function displayDailyTargets() {
+    TARGET_NUTRIENTS.forEach(target => {
+        const value = getDailyTarget(target.key);
+        const input = document.getElementById(target.inputId);
+        input.value = value !== null ? value : '';
+        clearFieldError(input);
+    });
+}
+
+/**
+ * Update the Meal Builder progress bars for each nutrient that has a daily target
+ * @param {Object} totals - Today's totals from calculateDayTotals
+ */
+function updateTargetProgress(totals) {
+    TARGET_NUTRIENTS.forEach(target => {
+        const progress = document.getElementById(nutrientElementId('progress', target.key));
+        const value = getDailyTarget(target.key);
+
+        progress.hidden = value === null;
+        if (value === null) {
+            return;
+        }
+
+        const nutrient = getNutrient(target.key);
+        const fraction = value > 0 ? totals[target.key] / value : 1;
+        const bar = progress.querySelector('.target-progress-bar');
+        bar.style.width = `${Math.min(fraction, 1) * 100}%`;
+
+        progress.classList.remove('progress-ok', 'progress-near', 'progress-over', 'progress-under');
+        if (target.type === 'minimum') {
+            progress.classList.add(fraction >= 1 ? 'progress-ok' : 'progress-under');
+        } else if (fraction > 1) {
+            progress.classList.add('progress-over');
+        } else {
+            progress.classList.add(fraction > 0.8 ? 'progress-near' : 'progress-ok');
+        }
+
+        const summary = `${Math.round(totals[target.key])} of ${formatNutrientValue(value, nutrient)} ${target.type === 'minimum' ? 'target' : 'limit'}`;
+        progress.title = summary;
+        progress.setAttribute('aria-valuenow', Math.round(fraction * 100));
+        progress.setAttribute('aria-valuetext', summary);
+    });
+}
+
+/**
+ * Build the id of a per-nutrient element, e.g. ('total', 'netCarbs') -> 'totalNetCarbs'
+ * @param {string} prefix - Id prefix
+ * @param {string} key - Nutrient key
+ * @returns {string} - The element id
+ */
+function nutrientElementId(prefix, key) {
+    return `${prefix}${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+/**
+ * Display an error message in the results container
+ * @param {string} message - Error message to display
+ */
+function displayError(message) {
+    const resultsContainer = document.getElementById('resultsContainer');
+    resultsContainer.innerHTML = `
+        <div class="no-results">
+            <strong>Error:</strong> ${message}
+        </div>
+    `;
+}
+
+/**
+ * Show a notification at the bottom of the page. It closes by itself after a few seconds
+ * (errors stay until closed), and stays open while the pointer or keyboard focus is on it.
+ * @param {string} message - Text to show
+ * @param {Object} options - { type: 'info'|'success'|'warning'|'error', action: { label, handler }, key, duration }.
+ *   A notification replaces any open one with the same key, so repeated actions don't pile up.
+ * @returns {HTMLElement} - The notification element
+ */
+function showNotification(message, options = {}) {
+    const container = document.getElementById('notifications');
+    const type = options.type || 'info';
+
+    if (options.key) {
+        Array.from(container.children)
+            .filter(notification => notification.dataset.key === options.key)
+            .forEach(dismissNotification);
+    }
+
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    if (type === 'error') {
+        notification.setAttribute('role', 'alert');
+    }
+    if (options.key) {
+        notification.dataset.key = options.key;
+    }
+
+    const text = document.createElement('span');
+    text.className = 'notification-message';
+    text.textContent = message;
+    notification.appendChild(text);
+
+    if (options.action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'notification-action';
+        actionButton.textContent = options.action.label;
+        actionButton.addEventListener('click', function() {
+            dismissNotification(notification);
+            options.action.handler();
+        });
+        notification.appendChild(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notification-close';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close notification');
+    closeButton.addEventListener('click', () => dismissNotification(notification));
+    notification.appendChild(closeButton);
+
+    container.appendChild(notification);
+    while (container.children.length > MAX_NOTIFICATIONS) {
+        dismissNotification(container.firstElementChild);
+    }
+
+    let duration = options.duration;
+    if (duration === undefined) {
+        duration = type === 'error' ? 0 : (options.action ? UNDO_NOTIFICATION_DURATION : NOTIFICATION_DURATION);
+    }
+    if (duration > 0) {
+        let timer = setTimeout(() => dismissNotification(notification), duration);
+        const pause = () => clearTimeout(timer);
+        const resume = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => dismissNotification(notification), duration);
+        };
+        notification.addEventListener('mouseenter', pause);
+        notification.addEventListener('focusin', pause);
+        notification.addEventListener('mouseleave', resume);
+        notification.addEventListener('focusout', resume);
+    }
+
+    return notification;
+}
+
+/**
+ * Close a notification
+ * @param {HTMLElement} notification - The notification element from showNotification
+ */
+function dismissNotification(notification) {
+    // A timer may still fire for a notification that's already closed, which does nothing
+    notification.remove();
+}
+
+/**
+ * Show a notification with an Undo button for a change that can be put back
+ * @param {string} message - What was changed
+ * @param {Function} undo - Puts the change back
+ */
+function showUndoNotification(message, undo) {
+    showNotification(message, {
+        type: 'success',
+        key: 'meal-change',
+        action: { label: 'Undo', handler: undo }
+    });
+}
+
+/**
+ * Show a validation message under an input and mark it invalid, until the input is next edited
+ * @param {HTMLElement} input - The input with the invalid value
+ * @param {string} message - What's wrong and how to fix it
+ * @param {HTMLElement} container - Element to add the message to the end of (defaults to straight after the input)
+ */
+function setFieldError(input, message, container = null) {
+    clearFieldError(input);
+
+    const error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = `fieldError${++fieldErrorCount}`;
+    error.textContent = message;
+    if (container) {
+        container.appendChild(error);
+    } else {
+        input.insertAdjacentElement('afterend', error);
+    }
+
+    const describedBy = input.getAttribute('aria-describedby');
+    input.setAttribute('aria-describedby', describedBy ? `${describedBy} ${error.id}` : error.id);
+    input.setAttribute('aria-invalid', 'true');
+    input.dataset.errorId = error.id;
+    input.addEventListener('input', () => clearFieldError(input), { once: true });
+}
+
+/**
+ * Remove an input's validation message, if it has one
+ * @param {HTMLElement} input - The input
+ */
+function clearFieldError(input) {
+    const errorId = input.dataset.errorId;
+    if (!errorId) {
+        return;
+    }
+
+    const error = document.getElementById(errorId);
+    if (error) {
+        error.remove();
+    }
+
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+    if (describedBy.length > 0) {
+        input.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        input.removeAttribute('aria-describedby');
+    }
+    input.removeAttribute('aria-invalid');
+    delete input.dataset.errorId;
+}
+
+/**
+ * Remove the validation messages of every input in a form or section
+ * @param {HTMLElement} container - The form or section
+ */
+function clearFieldErrors(container) {
+    container.querySelectorAll('[data-error-id]').forEach(clearFieldError);
+}
+
+/**
+ * Parse CSV data and convert it to food objects.
+ * Columns are mapped by the codes in the header row (PROT, FAT, CHO, KCALS, ...), so reordered
+ * or extended datasets still load. The category column is the one coded CATEGORY, or failing
+ * that the unnamed column after the last header column.
+ * @param {string} csvText - Raw CSV text to parse
+ * @returns {Object} - { foods: Array of food objects, report: import report (see createDataReport) }
+ */
+function parseCSVToFoods(csvText) {
+    // Handle both Windows (CR LF) and Unix (LF) line endings
+    const lines = csvText.split(/\r?\n/);
+
+    const foods = [];
+    const report = createDataReport();
+    const seenNames = new Set();
+
+    const header = findCSVHeader(lines);
+    if (!header) {
+        report.errors.push('No header row with nutrient codes (PROT, FAT, CHO, ...) was found.');
+        return { foods, report };
+    }
+
+    const columns = mapCSVColumns(header.codes);
+    report.missingColumns = columns.missing;
+    report.unknownColumns = columns.unknown;
+
+    for (let i = header.dataStart; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue; // Skip empty lines
+
+        const lineNumber = i + 1;
+        report.totalRows++;
+
+        if (!hasBalancedQuotes(line)) {
+            rejectCSVRow(report, lineNumber, line, 'Unbalanced quotes');
+            continue;
+        }
+
+        // Parse CSV line properly handling quoted fields
+        const fields = parseCSVLine(line);
+
+        if (fields.length < header.codes.length) {
+            rejectCSVRow(report, lineNumber, line, `Expected at least ${header.codes.length} fields, found ${fields.length}`);
+            continue;
+        }
+
+        const name = cleanCSVText(fields[columns.name]);
+        if (!name) {
+            rejectCSVRow(report, lineNumber, line, 'Missing food name');
+            continue;
+        }
+        if (seenNames.has(name)) {
+            rejectCSVRow(report, lineNumber, line, 'Duplicate food name');
+            continue;
+        }
+
+        const food = {
+            name: name,
+            category: cleanCSVText(fields[columns.category]),
+            nutrientStates: {}
+        };
+
+        if (!food.category) {
+            food.category = 'Uncategorised';
+            report.warnings.push({ line: lineNumber, message: `No category for "${name}"` });
+        }
+
+        Object.keys(columns.nutrients).forEach(key => {
+            const field = fields[columns.nutrients[key]].trim();
+            const parsed = parseNutrientValue(field);
+            if (parsed.invalid) {
+                report.warnings.push({ line: lineNumber, message: `Invalid ${key} value "${field}" for "${name}", treated as not measured` });
+            }
+            food[key] = parsed.value;
+            if (parsed.state !== 'measured') {
+                food.nutrientStates[key] = parsed.state;
+            }
+        });
+
+        // Nutrients whose column is missing from the header are not measured for any food
+        columns.missing.forEach(key => {
+            food[key] = 0;
+            food.nutrientStates[key] = NUTRIENT_STATES.MISSING;
+        });
+
+        deriveNetCarbs(food);
+
+        // Only add if at least one nutrient was actually measured
+        if (!NUTRIENTS.some(nutrient => getNutrientState(food, nutrient.key) !== NUTRIENT_STATES.MISSING)) {
+            rejectCSVRow(report, lineNumber, line, 'No nutrient values');
+            continue;
+        }
+
+        seenNames.add(name);
+        foods.push(food);
+    }
+
+    report.loaded = foods.length;
+    return { foods, report };
+}
+
+/**
+ * Create an empty dataset import report
+ * @returns {Object} - Report with row counts, rejected rows, warnings, column issues and fatal errors
+ */
+function createDataReport() {
+    return {
+        totalRows: 0,
+        loaded: 0,
+        rejected: [],       // [{ line, reason, text }]
+        warnings: [],       // [{ line, message }]
+        missingColumns: [], // Nutrient keys with no column in the header
+        unknownColumns: [], // Header codes that don't match a known nutrient
+        errors: []          // Problems that stopped the import entirely
+    };
+}
+
+/**
+ * Record a rejected row in the import report
+ * @param {Object} report - The import report
+ * @param {number} lineNumber - 1-based line number in the CSV
+ * @param {string} text - The raw line
+ * @param {string} reason - Why the row was rejected
+ */
+function rejectCSVRow(report, lineNumber, text, reason) {
+    report.rejected.push({ line: lineNumber, reason: reason, text: text });
+}
+
+/**
+ * Find the header row holding the column codes and the line where data starts.
+ * Rows straight after the code row with no food name (e.g. descriptions) are also header rows.
+ * @param {Array} lines - All lines of the CSV
+ * @returns {Object|null} - { codes: Array of upper-cased codes, dataStart: line index } or null if not found
+ */
+function findCSVHeader(lines) {
+    const knownCodes = NUTRIENTS.filter(nutrient => nutrient.code).map(nutrient => nutrient.code);
+    let header = null;
+    let bestMatches = 0;
+
+    // Only look at the first few lines - the header is always at the top. Label rows can
+    // contain a code by coincidence (e.g. "Fat"), so take the row matching the most codes.
+    for (let i = 0; i < Math.min(lines.length, 10); i++) {
+        const codes = parseCSVLine(lines[i].trim()).map(field => cleanCSVText(field).toUpperCase());
+        const matches = codes.filter(code => knownCodes.includes(code)).length;
+
+        if (matches > bestMatches) {
+            bestMatches = matches;
+            header = { codes: codes, dataStart: i + 1 };
+        }
+    }
+
+    if (!header) {
+        return null;
+    }
+
+    // Skip description rows after the code row
+    while (header.dataStart < lines.length && lines[header.dataStart].trim() &&
+        !cleanCSVText(parseCSVLine(lines[header.dataStart].trim())[0])) {
+        header.dataStart++;
+    }
+
+    return header;
+}
+
+/**
+ * Map header codes to column indexes
+ * @param {Array} codes - Upper-cased header codes
+ * @returns {Object} - { name, category, nutrients: { key: index }, missing: [keys], unknown: [codes] }
+ */
+function mapCSVColumns(codes) {
+    const columns = { name: 0, category: codes.length, nutrients: {}, missing: [], unknown: [] };
+
+    codes.forEach((code, index) => {
+        if (code === 'NAME') {
+            columns.name = index;
+        } else if (code === 'CATEGORY') {
+            columns.category = index;
+        } else if (code && !NUTRIENTS.some(nutrient => nutrient.code === code)) {
+            columns.unknown.push(code);
+        }
+    });
+
+    NUTRIENTS.filter(nutrient => nutrient.code).forEach(nutrient => {
+        const index = codes.indexOf(nutrient.code);
+        if (index === -1) {
+            columns.missing.push(nutrient.key);
+        } else {
+            columns.nutrients[nutrient.key] = index;
+        }
+    });
+
+    return columns;
+}
+
+/**
+ * Strip quotes and surrounding whitespace from a text field
+ * @param {string} field - Raw CSV field (may be undefined)
+ * @returns {string} - The cleaned text
+ */
+function cleanCSVText(field) {
+    return (field || '').replace(/"/g, '').trim();
+}
+
+/**
+ * Check that every quoted field in a line is closed (escaped "" pairs count as two quotes)
+ * @param {string} line - CSV line to check
+ * @returns {boolean} - True if the line has an even number of quote characters
+ */
+function hasBalancedQuotes(line) {
+    return (line.match(/"/g) || []).length % 2 === 0;
+}
+
+/**
+ * Parse a numeric nutrient field into a value and state
+ * @param {string} field - Raw CSV field
+ * @returns {Object} - { value, state, invalid }: 'Tr' is a trace, 'N' or blank is not measured
+ */
+function parseNutrientValue(field) {
+    if (field === 'Tr') {
+        return { value: 0, state: NUTRIENT_STATES.TRACE };
+    }
+    if (field === 'N' || field === '') {
+        return { value: 0, state: NUTRIENT_STATES.MISSING };
+    }
+
+    const value = Number(field);
+    if (isNaN(value) || value < 0) {
+        return { value: 0, state: NUTRIENT_STATES.MISSING, invalid: true };
+    }
+
+    return { value: value, state: 'measured' };
+}
+
+/**
+ * Derive net (digestible) carbs as starch + total sugars when neither is missing,
+ * falling back to the carbohydrate figure otherwise
+ * @param {Object} food - Food object with carbs, starch and sugars set; netCarbs is set on it
+ */
+function deriveNetCarbs(food) {
+    const starchState = getNutrientState(food, 'starch');
+    const sugarsState = getNutrientState(food, 'sugars');
+
+    if (starchState !== NUTRIENT_STATES.MISSING && sugarsState !== NUTRIENT_STATES.MISSING) {
+        food.netCarbs = Math.round((food.starch + food.sugars) * 10) / 10;
+        if (starchState === NUTRIENT_STATES.TRACE && sugarsState === NUTRIENT_STATES.TRACE) {
+            food.nutrientStates.netCarbs = NUTRIENT_STATES.TRACE;
+        }
+    } else {
+        food.netCarbs = food.carbs;
+        if (getNutrientState(food, 'carbs') !== 'measured') {
+            food.nutrientStates.netCarbs = getNutrientState(food, 'carbs');
+        }
+    }
+}
+
+/**
+ * Show a summary of the dataset import, with any rejected rows and warnings, above the results,
+ * and a notification pointing to it if there were problems
+ * @param {Object} report - The import report from parseCSVToFoods
+ */
+function displayDataReport(report) {
+    const reportContainer = document.getElementById('dataReport');
+
+    if (!reportContainer) {
+        return;
+    }
+
+    reportContainer.innerHTML = '';
+
+    const problems = report.rejected.length + report.warnings.length + report.missingColumns.length;
+    reportContainer.hidden = problems === 0;
+    if (problems === 0) {
+        return;
+    }
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Loaded ${report.loaded} of ${report.totalRows} rows: ` +
+        `${report.rejected.length} rejected, ${report.warnings.length} warning(s)`;
+    reportContainer.appendChild(summary);
+
+    const list = document.createElement('ul');
+
+    report.missingColumns.forEach(key => {
+        const item = document.createElement('li');
+        item.textContent = `No column for ${getNutrient(key).label} - shown as not measured`;
+        list.appendChild(item);
+    });
+
+    report.rejected.forEach(row => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${row.line}: ${row.reason} - ${row.text}`;
+        list.appendChild(item);
+    });
+
+    report.warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${warning.line}: ${warning.message}`;
+        list.appendChild(item);
+    });
+
+    reportContainer.appendChild(list);
+
+    showNotification(`${problems} problem(s) found in the food data - ${report.rejected.length} row(s) couldn't be loaded`, {
+        type: 'warning',
+        action: {
+            label: 'Details',
+            handler: () => {
+                reportContainer.open = true;
+                reportContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }
+    });
+}
+
+/**
+ * Parse a single CSV line handling quoted fields properly
+ * @param {string} line - CSV line to parse
+ * @returns {Array} - Array of field values
+ */
+function parseCSVLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                // Escaped quote
+                current += '"';
+                i++; // Skip next quote
+            } else {
+                // Toggle quote mode
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            // Field separator outside quotes
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    // Add the last field
+    fields.push(current);
+
+    return fields;
+}
+
+/**
+ * Add a food item to the shopping list (or increment quantity if already present)
+ * @param {Object} food - The food object to add
+ * @param {Object} portion - The size of one item, as returned by resolvePortion (defaults to 100g)
+ * @param {string} meal - The meal of the current diary day to log into (defaults to the current meal)
+ */
+function addToShoppingList(food, portion = resolvePortion(food, 100, 'g'), meal = currentMeal) {
+    const list = getMealList(currentDiaryDate, meal);
+
+    // Initialize or update the shopping list entry, keeping the unit and the grams it resolved to
+    if (list[food.name]) {
+        list[food.name].count++;
+    } else {
+        list[food.name] = { count: 1 };
+    }
+    Object.assign(list[food.name], portion); // Update the portion in case it changed
+
+    // Update the display and totals
+    displayShoppingList();
+    updateTotals();
+    refreshButtonStates();
+    saveAppState();
+    const conflicts = getDietaryConflicts(food);
+    if (conflicts.length > 0) {
+        showNotification(`Added ${formatPortion(portion)} of ${food.name} to ${getMealLabel(meal)} - it doesn't fit your dietary profile (${conflicts.join(', ')})`,
+            { type: 'warning', key: 'meal-change' });
+    } else {
+        showNotification(`Added ${formatPortion(portion)} of ${food.name} to ${getMealLabel(meal)}`, { type: 'success', key: 'meal-change' });
+    }
+}
+/**
+ * Remove an amount of a food from the shopping list. Removing one serving's worth takes a serving off;
+ * any other amount is taken off the item's total grams, and the item goes once nothing is left.
+ * @param {Object} food - The food object to remove
+ * @param {number} multiplier - How much to remove, as a multiplier of 100g (defaults to one serving of the item)
+ * @param {string} meal - The meal of the current diary day to remove from (defaults to the current meal)
+ */
+function removeFromShoppingList(food, multiplier = null, meal = currentMeal) {
+    const list = getMealList(currentDiaryDate, meal);
+    const item = list[food.name];
+
+    if (item) {
+        const saved = captureMealItem(currentDiaryDate, meal, food.name);
+        const removedGrams = multiplier === null ? item.grams : multiplier * 100;
+        const remainingGrams = Math.round((item.grams * item.count - removedGrams) * 10) / 10;
+
+        if (remainingGrams <= 0) {
+            // Remove item completely
+            delete list[food.name];
+        } else if (Math.abs(remainingGrams / item.grams - Math.round(remainingGrams / item.grams)) < 1e-6) {
+            // Whole servings are left, so just decrement count (allowing for rounding in fractional serving weights)
+            item.count = Math.round(remainingGrams / item.grams);
+        } else {
+            // Keep what's left as a single serving in the same unit
+            item.count = 1;
+            Object.assign(item, resolvePortion(food, remainingGrams / getPortionWeight(food, item.unit), item.unit));
+        }
+
+        // Update the display and totals
+        displayShoppingList();
+        updateTotals();
+        refreshButtonStates();
+        saveAppState();
+        showUndoNotification(`Removed ${formatWeight(removedGrams)}g of ${food.name} from ${getMealLabel(meal)}`, () => restoreMealItem(saved));
+    }
+}
+
+/**
+ * Calculate the nutritional totals of one or more meal lists
+ * @param {Array} lists - Array of meal lists ({ "foodName": { count, multiplier } })
+ * @returns {Object} - Totals keyed by nutrient key (see NUTRIENTS)
+ */
+function calculateTotals(lists) {
+    const totals = {};
+    NUTRIENTS.forEach(nutrient => {
+        totals[nutrient.key] = 0;
+    });
+
+    // Calculate totals from shopping list items using multipliers
+    lists.forEach(list => {
+        Object.keys(list).forEach(foodName => {
+            const item = list[foodName];
+            const food = getFoodByName(foodName);
+
+            if (food) {
+                NUTRIENTS.forEach(nutrient => {
+                    totals[nutrient.key] += food[nutrient.key] * item.multiplier * item.count;
+                });
+            }
+        });
+    });
+
+    return totals;
+}
+
+/**
+ * Calculate the totals of every meal on a diary day
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format (defaults to the day being viewed)
+ * @returns {Object} - Totals keyed by nutrient key
+ */
+function calculateDayTotals(dateKey = currentDiaryDate) {
+    const day = getDiaryDay(dateKey);
+    return calculateTotals(DIARY_MEALS.map(meal => day[meal.id]));
+}
+
+/**
+ * Update and display the total nutritional values for the current diary day, record them
+ * in the intake history, then recolor the cards for the budget that's left
+ */
+function updateTotals() {
+    const totals = calculateDayTotals();
+
+    // Update the display - each nutrient has a #total<Key> element, e.g. #totalNetCarbs
+    NUTRIENTS.forEach(nutrient => {
+        document.getElementById(nutrientElementId('total', nutrient.key)).textContent =
+            formatNutrientValue(Math.round(totals[nutrient.key]), nutrient);
+    });
+
+    updateTargetProgress(totals);
+    recordDayHistory(currentDiaryDate);
+    announceTotals(totals);
+    colorFoodCardsBasedOnKeto();
+    updateMealCharts();
+    updateResultsScatter();
+}
+
+/**
+ * Display the current diary day in the UI, grouped by meal (or by category) with a subtotal for each group.
+ * Every line item can be edited in place, and in the meal view reordered or dragged to another meal.
+ */
+function displayShoppingList() {
+    const shoppingListContainer = document.getElementById('shoppingListContainer');
+
+    if (!shoppingListContainer) {
+        console.error('Shopping list container not found!');
+        return;
+    }
+
+    // Clear previous content
+    shoppingListContainer.innerHTML = '';
+
+    const day = getDiaryDay(currentDiaryDate);
+    const dayTotals = calculateDayTotals();
+
+    getMealBuilderGroups(day).forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'diary-meal';
+        if (group.meal === currentMeal) {
+            groupDiv.classList.add('active');
+        }
+
+        // Group header with its own totals - clicking a meal makes it the meal to log into
+        const headerDiv = document.createElement('div');
+        headerDiv.className = 'diary-meal-header';
+        if (group.meal) {
+            headerDiv.addEventListener('click', function() {
+                changeCurrentMeal(group.meal);
+            });
+            setupMealDropTarget(groupDiv, group.meal);
+        }
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'diary-meal-name';
+        nameSpan.textContent = group.label;
+
+        const groupTotals = calculateLineItemsTotals(group.items);
+        const totalsSpan = document.createElement('span');
+        totalsSpan.className = 'diary-meal-totals';
+        totalsSpan.textContent = `${Math.round(groupTotals.carbs)}g carbs · ${Math.round(groupTotals.calories)} kcal · ${Math.round(groupTotals.fat)}g fat · ${Math.round(groupTotals.protein)}g protein`;
+
+        headerDiv.appendChild(nameSpan);
+        headerDiv.appendChild(totalsSpan);
+        groupDiv.appendChild(headerDiv);
+
+        group.items.forEach((lineItem, index) => {
+            groupDiv.appendChild(createMealItemRow(lineItem, dayTotals, group.meal ? {
+                first: index === 0,
+                last: index === group.items.length - 1
+            } : null));
+        });
+
+        // If the group has no items, show "Nothing..."
+        if (group.items.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'shopping-list-empty';
+            emptyDiv.textContent = 'Nothing...';
+            groupDiv.appendChild(emptyDiv);
+        }
+
+        shoppingListContainer.appendChild(groupDiv);
+    });
+}
+
+/**
+ * Split a diary day into the groups shown in the Meal Builder
+ * @param {Object} day - The diary day ({ breakfast: {...}, lunch: {...}, ... })
+ * @returns {Array} - [{ label, meal, items: [{ meal, name, item }] }]; meal is only set when grouping by meal
+ */
+function getMealBuilderGroups(day) {
+    const lineItems = [];
+    DIARY_MEALS.forEach(meal => {
+        Object.keys(day[meal.id]).forEach(foodName => {
+            if (day[meal.id][foodName].count > 0) {  // Only display items with count > 0
+                lineItems.push({ meal: meal.id, name: foodName, item: day[meal.id][foodName] });
+            }
+        });
+    });
+
+    if (mealBuilderGroupBy !== 'category') {
+        return DIARY_MEALS.map(meal => ({
+            label: meal.label,
+            meal: meal.id,
+            items: lineItems.filter(lineItem => lineItem.meal === meal.id)
+        }));
+    }
+
+    // Group by category, in alphabetical order
+    const groups = new Map();
+    lineItems.forEach(lineItem => {
+        const food = getFoodByName(lineItem.name);
+        const category = food ? food.category : 'Other';
+        if (!groups.has(category)) {
+            groups.set(category, { label: category, meal: null, items: [] });
+        }
+        groups.get(category).items.push(lineItem);
+    });
+
+    return [...groups.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Calculate the totals of a list of Meal Builder line items
+ * @param {Array} lineItems - [{ name, item }]
+ * @returns {Object} - Totals keyed by nutrient key
+ */
+function calculateLineItemsTotals(lineItems) {
+    // One list per line item, as the same food can be on several lines (logged in more than one meal)
+    return calculateTotals(lineItems.map(lineItem => ({ [lineItem.name]: lineItem.item })));
+}
+
+/**
+ * Create the editable row for one Meal Builder item: amount, unit, servings, nutrition and
+ * share of the day, with buttons to reorder and delete it
+ * @param {Object} lineItem - { meal, name, item }
+ * @param {Object} dayTotals - Totals of the whole day, for the percentages
+ * @param {Object|null} position - { first, last } within its meal, or null if it can't be reordered
+ * @returns {HTMLElement} - The row element
+ */
+function createMealItemRow(lineItem, dayTotals, position) {
+    const item = lineItem.item;
+    const food = getFoodByName(lineItem.name);
+
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'shopping-list-item';
+    itemDiv.dataset.foodName = lineItem.name;
+
+    const mainDiv = document.createElement('div');
+    mainDiv.className = 'shopping-list-item-main';
+
+    const itemNameSpan = document.createElement('span');
+    itemNameSpan.className = 'shopping-list-item-name';
+    itemNameSpan.textContent = lineItem.name;
+    if (!position) {
+        // Grouped by category, so say which meal the item is in
+        itemNameSpan.textContent += ` (${getMealLabel(lineItem.meal)})`;
+    }
+    mainDiv.appendChild(itemNameSpan);
+
+    // Amount per serving in the item's unit
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.className = 'shopping-list-item-amount';
+    amountInput.min = '0';
+    amountInput.step = 'any';
+    amountInput.value = Math.round(item.quantity * 100) / 100;
+    amountInput.setAttribute('aria-label', `Amount of ${lineItem.name} per serving`);
+    amountInput.addEventListener('change', function() {
+        const quantity = parseFloat(this.value);
+        if (!(quantity > 0)) {
+            setFieldError(this, 'Enter an amount greater than 0.', mainDiv);
+            return;
+        }
+        updateMealItem(lineItem.meal, lineItem.name, { quantity: quantity });
+    });
+
+    // Choosing another unit re-expresses the same grams in that unit
+    const unitSelect = document.createElement('select');
+    unitSelect.className = 'unit-select';
+    unitSelect.setAttribute('aria-label', `Unit for ${lineItem.name}`);
+    unitSelect.innerHTML = createUnitOptions(food, item.unit);
+    unitSelect.addEventListener('change', function() {
+        changeMealItemUnit(lineItem.meal, lineItem.name, this.value);
+    });
+
+    const servingsLabel = document.createElement('span');
+    servingsLabel.className = 'shopping-list-item-times';
+    servingsLabel.textContent = '×';
+
+    const servingsInput = document.createElement('input');
+    servingsInput.type = 'number';
+    servingsInput.className = 'shopping-list-item-servings';
+    servingsInput.min = '1';
+    servingsInput.step = '1';
+    servingsInput.value = item.count;
+    servingsInput.title = 'Servings';
+    servingsInput.setAttribute('aria-label', `Servings of ${lineItem.name}`);
+    servingsInput.addEventListener('change', function() {
+        const count = parseInt(this.value, 10);
+        if (!(count > 0)) {
+            setFieldError(this, 'Enter at least 1 serving, or delete the item.', mainDiv);
+            return;
+        }
+        updateMealItem(lineItem.meal, lineItem.name, { count: count });
+    });
+
+    mainDiv.appendChild(amountInput);
+    mainDiv.appendChild(unitSelect);
+    mainDiv.appendChild(servingsLabel);
+    mainDiv.appendChild(servingsInput);
+
+    // Reorder buttons, only when grouped by meal
+    if (position) {
+        mainDiv.appendChild(createMealItemButton('↑', `Move ${lineItem.name} up`, position.first, () => moveMealItem(lineItem.meal, lineItem.name, -1)));
+        mainDiv.appendChild(createMealItemButton('↓', `Move ${lineItem.name} down`, position.last, () => moveMealItem(lineItem.meal, lineItem.name, 1)));
+        itemDiv.draggable = true;
+        itemDiv.addEventListener('dragstart', function(event) {
+            event.dataTransfer.setData('text/plain', JSON.stringify({ meal: lineItem.meal, name: lineItem.name }));
+            event.dataTransfer.effectAllowed = 'move';
+        });
+    }
+
+    const swapKey = `${lineItem.meal}:${lineItem.name}`;
+    const swapButton = createMealItemButton('⇄', `Suggest lower-carb swaps for ${lineItem.name}`, false, () => toggleSubstitutions(lineItem.meal, lineItem.name));
+    swapButton.setAttribute('aria-expanded', String(expandedSubstitutions.has(swapKey)));
+    mainDiv.appendChild(swapButton);
+
+    const deleteButton = createMealItemButton('✕', `Delete ${lineItem.name}`, false, () => deleteMealItem(lineItem.meal, lineItem.name));
+    deleteButton.classList.add('shopping-list-item-delete');
+    mainDiv.appendChild(deleteButton);
+
+    itemDiv.appendChild(mainDiv);
+
+    // Nutrition of the item and its share of the day
+    const nutritionDiv = document.createElement('div');
+    nutritionDiv.className = 'shopping-list-item-nutrition';
+    nutritionDiv.textContent = ['carbs', 'calories', 'fat', 'protein'].map(key => {
+        const nutrient = getNutrient(key);
+        const amount = food[key] * item.multiplier * item.count;
+        const share = dayTotals[key] > 0 ? Math.round(amount / dayTotals[key] * 100) : 0;
+        const label = key === 'calories' ? '' : ` ${nutrient.label.toLowerCase()}`;
+        return `${formatNutrientValue(Math.round(amount), nutrient)}${label} (${share}%)`;
+    }).join(' · ') + ' of the day';
+    itemDiv.appendChild(nutritionDiv);
+
+    const conflicts = getDietaryConflicts(food);
+    if (conflicts.length > 0) {
+        const warningDiv = document.createElement('div');
+        warningDiv.className = 'shopping-list-item-warning';
+        warningDiv.textContent = `⚠ Doesn't fit your dietary profile: ${conflicts.join(', ')}`;
+        itemDiv.appendChild(warningDiv);
+    }
+
+    if (expandedSubstitutions.has(swapKey)) {
+        itemDiv.appendChild(createSubstitutionsList(lineItem));
+    }
+
+    return itemDiv;
+}
+
+/**
+ * Create a small Meal Builder item button
+ * @param {string} text - The button text
+ * @param {string} label - Accessible label and tooltip
+ * @param {boolean} disabled - Whether the button is disabled
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} - The button
+ */
+function createMealItemButton(text, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'shopping-list-item-btn';
+    button.textContent = text;
+    button.title = label;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Let a meal accept Meal Builder items dragged from any meal
+ * @param {HTMLElement} mealDiv - The meal's element
+ * @param {string} meal - The meal id
+ */
+function setupMealDropTarget(mealDiv, meal) {
+    mealDiv.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        mealDiv.classList.add('drag-over');
+    });
+    mealDiv.addEventListener('dragleave', function() {
+        mealDiv.classList.remove('drag-over');
+    });
+    mealDiv.addEventListener('drop', function(event) {
+        event.preventDefault();
+        mealDiv.classList.remove('drag-over');
+
+        let dragged;
+        try {
+            dragged = JSON.parse(event.dataTransfer.getData('text/plain'));
+        } catch (error) {
+            return;
+        }
+
+        // Drop in front of the item under the pointer, or at the end of the meal
+        const targetRow = event.target.closest('.shopping-list-item');
+        moveMealItemTo(dragged.meal, dragged.name, meal, targetRow ? targetRow.dataset.foodName : null);
+    });
+}
+
+/**
+ * Update the amount or servings of a Meal Builder item
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ * @param {Object} changes - { quantity } in the item's unit and/or { count } servings
+ */
+function updateMealItem(meal, foodName, changes) {
+    const list = getMealList(currentDiaryDate, meal);
+    const food = getFoodByName(foodName);
+    if (!list[foodName] || !food) {
+        return;
+    }
+
+    if (changes.count !== undefined) {
+        list[foodName].count = changes.count;
+    }
+    if (changes.quantity !== undefined) {
+        Object.assign(list[foodName], resolvePortion(food, changes.quantity, list[foodName].unit));
+    }
+
+    refreshAfterMealItemsChange();
+}
+
+/**
+ * Delete an item from a meal, whatever its servings
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ */
+function deleteMealItem(meal, foodName) {
+    const saved = captureMealItem(currentDiaryDate, meal, foodName);
+    delete getMealList(currentDiaryDate, meal)[foodName];
+    refreshAfterMealItemsChange();
+    showUndoNotification(`Deleted ${foodName} from ${getMealLabel(meal)}`, () => restoreMealItem(saved));
+}
+
+/**
+ * Move a Meal Builder item one place up or down within its meal
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+function moveMealItem(meal, foodName, direction) {
+    const names = Object.keys(getMealList(currentDiaryDate, meal));
+    const index = names.indexOf(foodName) + direction;
+    if (index < 0 || index >= names.length) {
+        return;
+    }
+
+    // Moving down is the same as moving in front of the item after the next one
+    const beforeName = direction < 0 ? names[index] : names[index + 1] || null;
+    moveMealItemTo(meal, foodName, meal, beforeName);
+}
+
+/**
+ * Move a Meal Builder item to a position in the same or another meal. If the other meal
+ * already has the food, the two are combined.
+ * @param {string} fromMeal - The meal id the item is in
+ * @param {string} foodName - The food name
+ * @param {string} toMeal - The meal id to move it to
+ * @param {string|null} beforeName - The food to put it in front of, or null for the end
+ */
+function moveMealItemTo(fromMeal, foodName, toMeal, beforeName) {
+    const day = getDiaryDay(currentDiaryDate);
+    const item = day[fromMeal] && day[fromMeal][foodName];
+    if (!item || !day[toMeal] || (fromMeal === toMeal && foodName === beforeName)) {
+        return;
+    }
+
+    delete day[fromMeal][foodName];
+    const existing = day[toMeal][foodName];
+    insertMealItem(currentDiaryDate, toMeal, foodName, existing ? combineMealItems(existing, item) : item, beforeName);
+
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    refreshAfterMealItemsChange();
+}
+
+/**
+ * Put an item into a meal before another item, replacing any item for the same food
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ * @param {Object} item - The meal list item
+ * @param {string|null} beforeName - The item to put it before (null, or an item not in the meal, for the end)
+ */
+function insertMealItem(dateKey, meal, foodName, item, beforeName) {
+    const day = getDiaryDay(dateKey);
+
+    // Meal lists keep their items in insertion order, so rebuild the list in the new order
+    const reordered = {};
+    Object.keys(day[meal]).forEach(name => {
+        if (name === beforeName) {
+            reordered[foodName] = item;
+        }
+        if (name !== foodName) {
+            reordered[name] = day[meal][name];
+        }
+    });
+    if (!reordered[foodName]) {
+        reordered[foodName] = item;
+    }
+    day[meal] = reordered;
+}
+
+/**
+ * Copy a meal item and where it is in its meal, so it can be put back with restoreMealItem
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ * @returns {Object} - { dateKey, meal, foodName, item, beforeName }
+ */
+function captureMealItem(dateKey, meal, foodName) {
+    const list = getMealList(dateKey, meal);
+    const names = Object.keys(list);
+    return {
+        dateKey: dateKey,
+        meal: meal,
+        foodName: foodName,
+        item: Object.assign({}, list[foodName]),
+        beforeName: names[names.indexOf(foodName) + 1] || null
+    };
+}
+
+/**
+ * Put back a meal item copied by captureMealItem, as it was when copied
+ * @param {Object} saved - The copy from captureMealItem
+ */
+function restoreMealItem(saved) {
+    insertMealItem(saved.dateKey, saved.meal, saved.foodName, saved.item, saved.beforeName);
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    refreshAfterMealItemsChange();
+}
+
+/**
+ * Combine two items for the same food into one, keeping the total grams
+ * @param {Object} a - A meal list item
+ * @param {Object} b - Another meal list item for the same food
+ * @returns {Object} - The combined item
+ */
+function combineMealItems(a, b) {
+    if (a.unit === b.unit && a.grams === b.grams) {
+        return Object.assign({}, a, { count: a.count + b.count });
+    }
+
+    const grams = a.grams * a.count + b.grams * b.count;
+    return { count: 1, multiplier: grams / 100, unit: 'g', quantity: grams, grams: grams };
+}
+
+/**
+ * Redraw the Meal Builder and totals and save after its items change
+ */
+function refreshAfterMealItemsChange() {
+    displayShoppingList();
+    updateTotals();
+    refreshButtonStates();
+    saveAppState();
+}
+
+/**
+ * Change how the Meal Builder groups its items
+ * @param {string} groupBy - 'meal' or 'category'
+ */
+function changeMealBuilderGrouping(groupBy) {
+    mealBuilderGroupBy = groupBy === 'category' ? 'category' : 'meal';
+    document.getElementById('groupBySelect').value = mealBuilderGroupBy;
+    displayShoppingList();
+    saveAppState();
+}
+
+/**
+ * Find foods that could replace a portion of a food with fewer carbs or calories while keeping
+ * protein roughly the same. Only foods in the same or a similar category are considered.
+ * @param {Object} food - The food to replace
+ * @param {number} grams - The portion being replaced
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array} - [{ food, similarity, carbsSaved, caloriesSaved, proteinChange }], best first
+ */
+function findSubstitutions(food, grams, limit = SUBSTITUTION_LIMIT) {
+    const scale = grams / 100;
+    const original = {
+        carbs: food.carbs * scale,
+        calories: food.calories * scale,
+        protein: food.protein * scale
+    };
+    const nameWords = getSubstitutionWords(food.name);
+    const suggestions = [];
+
+    allFoods.forEach(candidate => {
+        if (candidate === food || !hasSubstitutionValues(candidate) || getDietaryConflicts(candidate).length > 0) {
+            return;
+        }
+
+        const categoryScore = candidate.category === food.category ? 1 : areCategoriesSimilar(candidate.category, food.category) ? 0.5 : 0;
+        if (categoryScore === 0) {
+            return;
+        }
+
+        const carbsSaved = original.carbs - candidate.carbs * scale;
+        const caloriesSaved = original.calories - candidate.calories * scale;
+        const proteinChange = candidate.protein * scale - original.protein;
+
+        // Must cut carbs or calories without adding the other, and keep protein close
+        if (carbsSaved < 0 || caloriesSaved < 0 || (carbsSaved < 1 && caloriesSaved < 10)) {
+            return;
+        }
+        if (Math.abs(proteinChange) > Math.max(SUBSTITUTION_PROTEIN_TOLERANCE.grams, original.protein * SUBSTITUTION_PROTEIN_TOLERANCE.fraction)) {
+            return;
+        }
+
+        // Foods from a similar category also need a word in common, e.g. "rice" in "cauliflower rice"
+        const candidateWords = getSubstitutionWords(candidate.name);
+        const sharedWords = candidateWords.filter(word => nameWords.includes(word)).length;
+        if (categoryScore < 1 && sharedWords === 0) {
+            return;
+        }
+
+        // Names lead with what the food is ("Rice, white, ..."), so having that word counts most
+        const allWords = new Set(nameWords.concat(candidateWords)).size;
+        const nameScore = allWords > 0 ? sharedWords / allWords : 0;
+        const mainWordScore = nameWords.length > 0 && candidateWords.includes(nameWords[0]) ? 1 : 0;
+        const proteinScore = 1 - Math.abs(proteinChange) / Math.max(original.protein, candidate.protein * scale, 1);
+
+        const similarity = 0.2 * categoryScore + 0.3 * mainWordScore + 0.35 * nameScore + 0.15 * proteinScore;
+
+        // Rank by similarity, with a smaller boost for the share of carbs (or calories) saved
+        const savedShare = Math.max(
+            original.carbs > 0 ? carbsSaved / original.carbs : 0,
+            original.calories > 0 ? caloriesSaved / original.calories : 0
+        );
+
+        suggestions.push({
+            food: candidate,
+            similarity: similarity,
+            rank: similarity + 0.3 * Math.min(1, savedShare),
+            carbsSaved: carbsSaved,
+            caloriesSaved: caloriesSaved,
+            proteinChange: proteinChange
+        });
+    });
+
+    return suggestions
+        .sort((a, b) => b.rank - a.rank || a.food.name.localeCompare(b.food.name))
+        .slice(0, limit);
+}
+
+/**
+ * Check a food has measured carbs, calories and protein, so a swap can be judged on them
+ * @param {Object} food - The food object
+ * @returns {boolean} - True if none of them is missing
+ */
+function hasSubstitutionValues(food) {
+    return ['carbs', 'calories', 'protein'].every(key => getNutrientState(food, key) !== NUTRIENT_STATES.MISSING);
+}
+
+/**
+ * Check whether two categories are in one of the SIMILAR_CATEGORIES groups
+ * @param {string} a - A category
+ * @param {string} b - Another category
+ * @returns {boolean} - True if the categories are similar
+ */
+function areCategoriesSimilar(a, b) {
+    return SIMILAR_CATEGORIES.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * Get the words in a food name that say what the food is, ignoring preparation and descriptive words
+ * like "raw" or "white", and the word after "without" (a curry "without rice" isn't rice)
+ * @param {string} name - The food name
+ * @returns {Array} - The words
+ */
+function getSubstitutionWords(name) {
+    const words = tokenizeSearchText(name);
+    return words.filter((word, index) => !SUBSTITUTION_IGNORED_WORDS.includes(word) && words[index - 1] !== 'without');
+}
+
+/**
+ * Show or hide the swap suggestions under a Meal Builder item
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ */
+function toggleSubstitutions(meal, foodName) {
+    const key = `${meal}:${foodName}`;
+    if (expandedSubstitutions.has(key)) {
+        expandedSubstitutions.delete(key);
+    } else {
+        expandedSubstitutions.add(key);
+    }
+    displayShoppingList();
+}
+
+/**
+ * Create the list of swap suggestions for a Meal Builder item
+ * @param {Object} lineItem - { meal, name, item }
+ * @returns {HTMLElement} - The suggestions element
+ */
+function createSubstitutionsList(lineItem) {
+    const food = getFoodByName(lineItem.name);
+    const totalGrams = lineItem.item.grams * lineItem.item.count;
+    const suggestions = findSubstitutions(food, totalGrams);
+
+    const listDiv = document.createElement('div');
+    listDiv.className = 'shopping-list-item-swaps';
+
+    if (suggestions.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'shopping-list-empty';
+        emptyDiv.textContent = 'No lower-carb swaps found.';
+        listDiv.appendChild(emptyDiv);
+        return listDiv;
+    }
+
+    suggestions.forEach(suggestion => {
+        const swapDiv = document.createElement('div');
+        swapDiv.className = 'swap-suggestion';
+
+        const savings = [];
+        if (Math.round(suggestion.carbsSaved) > 0) {
+            savings.push(`-${Math.round(suggestion.carbsSaved)}g carbs`);
+        }
+        if (Math.round(suggestion.caloriesSaved) > 0) {
+            savings.push(`-${Math.round(suggestion.caloriesSaved)} kcal`);
+        }
+        const proteinChange = Math.round(suggestion.proteinChange);
+        if (proteinChange !== 0) {
+            savings.push(`${proteinChange > 0 ? '+' : ''}${proteinChange}g protein`);
+        }
+
+        const textSpan = document.createElement('span');
+        textSpan.textContent = `Swap ${formatWeight(totalGrams)}g ${lineItem.name} for ${suggestion.food.name}: ${savings.join(', ')}`;
+
+        const scoreSpan = document.createElement('span');
+        scoreSpan.className = 'swap-similarity';
+        scoreSpan.textContent = `${Math.round(suggestion.similarity * 100)}% similar`;
+
+        const replaceButton = document.createElement('button');
+        replaceButton.type = 'button';
+        replaceButton.textContent = 'Replace';
+        replaceButton.setAttribute('aria-label', `Replace ${lineItem.name} with ${suggestion.food.name}`);
+        replaceButton.addEventListener('click', () => replaceMealItem(lineItem.meal, lineItem.name, suggestion.food));
+
+        swapDiv.appendChild(textSpan);
+        swapDiv.appendChild(scoreSpan);
+        swapDiv.appendChild(replaceButton);
+        listDiv.appendChild(swapDiv);
+    });
+
+    return listDiv;
+}
+
+/**
+ * Replace a Meal Builder item with another food, keeping its grams and servings and its place in the meal
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food being replaced
+ * @param {Object} newFood - The food to put in its place
+ */
+function replaceMealItem(meal, foodName, newFood) {
+    const day = getDiaryDay(currentDiaryDate);
+    const item = day[meal][foodName];
+    if (!item) {
+        return;
+    }
+
+    // The new food's unit weights differ, so the same grams are kept in grams
+    const replacement = Object.assign({ count: item.count }, resolvePortion(newFood, item.grams, 'g'));
+
+    // The meal's list is rebuilt rather than changed, so the old one is kept as it was for undo
+    const dateKey = currentDiaryDate;
+    const savedItems = day[meal];
+    const reordered = {};
+    Object.keys(day[meal]).forEach(name => {
+        if (name === foodName) {
+            reordered[newFood.name] = day[meal][newFood.name] ? combineMealItems(day[meal][newFood.name], replacement) : replacement;
+        } else if (name !== newFood.name) {
+            reordered[name] = day[meal][name];
+        }
+    });
+    day[meal] = reordered;
+
+    expandedSubstitutions.delete(`${meal}:${foodName}`);
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    refreshAfterMealItemsChange();
+    showUndoNotification(`Swapped ${foodName} for ${newFood.name} in ${getMealLabel(meal)}`, () => {
+        getDiaryDay(dateKey)[meal] = savedItems;
+        shoppingList = getMealList(currentDiaryDate, currentMeal);
+        refreshAfterMealItemsChange();
+    });
+}
+
+/**
+ * Redraw the Meal Builder charts for the current meal: the calorie split between the macros
+ * and each item's share of the chosen nutrient
+ */
+function updateMealCharts() {
+    const meal = DIARY_MEALS.find(m => m.id === currentMeal);
+    const totals = calculateTotals([shoppingList]);
+
+    // Calories from each macro, using the standard 4/9/4 kcal per gram
+    const segments = MACRO_CHART_SEGMENTS.map(segment => ({
+        key: segment.key,
+        label: segment.label,
+        value: totals[segment.key] * segment.kcalPerGram
+    }));
+    const macroCalories = segments.reduce((sum, segment) => sum + segment.value, 0);
+
+    document.getElementById('macroDonut').innerHTML = renderDonutChart(segments,
+        macroCalories > 0 ? `${Math.round(macroCalories)} kcal` : 'No items',
+        `Calories from carbs, fat and protein in ${meal.label}`);
+
+    const nutrient = getNutrient(document.getElementById('contributionNutrient').value);
+    const bars = Object.keys(shoppingList).map(foodName => {
+        const item = shoppingList[foodName];
+        const food = getFoodByName(foodName);
+        return { label: foodName, value: food ? food[nutrient.key] * item.multiplier * item.count : 0 };
+    }).sort((a, b) => b.value - a.value);
+
+    document.getElementById('itemContributionChart').innerHTML = renderBarChart(bars, nutrient, totals[nutrient.key],
+        `${nutrient.label} from each item in ${meal.label}`);
+}
+
+/**
+ * Redraw the carbs vs protein scatter plot of the filtered results, if it's open
+ */
+function updateResultsScatter() {
+    if (!document.getElementById('resultsScatterSection').open) {
+        return;
+    }
+
+    const dayTotals = calculateDayTotals();
+    const points = renderedFoods
+        .filter(food => getNutrientState(food, 'carbs') !== NUTRIENT_STATES.MISSING && getNutrientState(food, 'protein') !== NUTRIENT_STATES.MISSING)
+        .map(food => ({
+            x: food.carbs,
+            y: food.protein,
+            label: food.name,
+            color: getCardColor(food, 100, dayTotals)
+        }));
+
+    document.getElementById('resultsScatter').innerHTML = renderScatterPlot(points, getNutrient('carbs'), getNutrient('protein'),
+        `Carbs against protein per 100g for ${points.length} filtered foods`);
+}
+
+/**
+ * Build an SVG donut chart
+ * @param {Array} segments - [{ key, label, value }]; key picks the segment's colour class
+ * @param {string} centerText - Text shown in the hole
+ * @param {string} title - Accessible description of the chart
+ * @returns {string} - SVG markup, with a legend
+ */
+function renderDonutChart(segments, centerText, title) {
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+
+    // A circle with a circumference of 100 lets each segment's dash length be its percentage
+    const radius = 100 / (2 * Math.PI);
+    let offset = 25; // Start at 12 o'clock
+    let arcs = `<circle class="chart-track" cx="21" cy="21" r="${radius}" fill="none" stroke-width="6"></circle>`;
+
+    segments.forEach(segment => {
+        const percent = total > 0 ? segment.value / total * 100 : 0;
+        if (percent > 0) {
+            arcs += `<circle class="chart-${segment.key}" cx="21" cy="21" r="${radius}" fill="none" stroke-width="6"
+                stroke-dasharray="${percent} ${100 - percent}" stroke-dashoffset="${offset}">
+                <title>${escapeHTML(segment.label)}: ${Math.round(percent)}%</title></circle>`;
+            offset -= percent;
+        }
+    });
+
+    const legend = segments.map(segment => {
+        const percent = total > 0 ? Math.round(segment.value / total * 100) : 0;
+        return `<li><span class="chart-swatch chart-${segment.key}"></span>${escapeHTML(segment.label)} ${percent}%</li>`;
+    }).join('');
+
+    return `<svg class="chart-donut" viewBox="0 0 42 42" role="img" aria-label="${escapeHTML(title)}">
+            <title>${escapeHTML(title)}</title>
+            ${arcs}
+            <text class="chart-donut-label" x="21" y="21" text-anchor="middle" dominant-baseline="central">${escapeHTML(centerText)}</text>
+        </svg>
+        <ul class="chart-legend">${legend}</ul>`;
+}
+
+/**
+ * Build an SVG horizontal bar chart of each item's share of a total
+ * @param {Array} bars - [{ label, value }], in display order
+ * @param {Object} nutrient - Entry from NUTRIENTS, for the unit
+ * @param {number} total - The total the bars are shares of
+ * @param {string} title - Accessible description of the chart
+ * @returns {string} - SVG markup
+ */
+function renderBarChart(bars, nutrient, total, title) {
+    if (bars.length === 0) {
+        return '<div class="shopping-list-empty">Nothing...</div>';
+    }
+
+    const rowHeight = 24;
+    const labelWidth = 140;
+    const barWidth = 200;
+    const maxValue = Math.max(...bars.map(bar => bar.value), 0);
+
+    const rows = bars.map((bar, index) => {
+        const y = index * rowHeight;
+        const width = maxValue > 0 ? bar.value / maxValue * barWidth : 0;
+        const percent = total > 0 ? Math.round(bar.value / total * 100) : 0;
+        const label = bar.label.length > 22 ? `${bar.label.slice(0, 21)}…` : bar.label;
+        return `<g>
+                <title>${escapeHTML(bar.label)}: ${formatNutrientValue(formatWeight(bar.value), nutrient)} (${percent}%)</title>
+                <text class="chart-label" x="${labelWidth - 6}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="central">${escapeHTML(label)}</text>
+                <rect class="chart-bar" x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="2"></rect>
+                <text class="chart-label" x="${labelWidth + width + 6}" y="${y + rowHeight / 2}" dominant-baseline="central">${percent}%</text>
+            </g>`;
+    }).join('');
+
+    return `<svg class="chart-bars" viewBox="0 0 ${labelWidth + barWidth + 40} ${bars.length * rowHeight}" role="img" aria-label="${escapeHTML(title)}">
+            <title>${escapeHTML(title)}</title>
+            ${rows}
+        </svg>`;
+}
+
+/**
+ * Build an SVG scatter plot
+ * @param {Array} points - [{ x, y, label, color }]; color is 'green', 'orange', 'red' or null
+ * @param {Object} xNutrient - Entry from NUTRIENTS for the x axis
+ * @param {Object} yNutrient - Entry from NUTRIENTS for the y axis
+ * @param {string} title - Accessible description of the chart
+ * @returns {string} - SVG markup
+ */
+function renderScatterPlot(points, xNutrient, yNutrient, title) {
+    if (points.length === 0) {
+        return '<div class="shopping-list-empty">No foods to plot.</div>';
+    }
+
+    const width = 600;
+    const height = 300;
+    const margin = { top: 10, right: 15, bottom: 40, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const xMax = getChartAxisMax(Math.max(...points.map(point => point.x)));
+    const yMax = getChartAxisMax(Math.max(...points.map(point => point.y)));
+    const toX = value => margin.left + value / xMax * plotWidth;
+    const toY = value => margin.top + plotHeight - value / yMax * plotHeight;
+
+    // Axes with a tick at zero, halfway and the top of each
+    let axes = `<line class="chart-axis" x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${margin.left + plotWidth}" y2="${margin.top + plotHeight}"></line>
+        <line class="chart-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}"></line>`;
+    [0, 0.5, 1].forEach(fraction => {
+        axes += `<text class="chart-label" x="${toX(xMax * fraction)}" y="${margin.top + plotHeight + 14}" text-anchor="middle">${xMax * fraction}</text>
+            <text class="chart-label" x="${margin.left - 6}" y="${toY(yMax * fraction)}" text-anchor="end" dominant-baseline="central">${yMax * fraction}</text>`;
+    });
+    axes += `<text class="chart-axis-title" x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">${xNutrient.label} (${xNutrient.unit} per 100g)</text>
+        <text class="chart-axis-title" x="12" y="${margin.top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 12 ${margin.top + plotHeight / 2})">${yNutrient.label} (${yNutrient.unit} per 100g)</text>`;
+
+    const dots = points.map(point => `<circle class="chart-point${point.color ? ` chart-point-${point.color}` : ''}" cx="${toX(point.x).toFixed(1)}" cy="${toY(point.y).toFixed(1)}" r="3">
+            <title>${escapeHTML(point.label)}: ${formatNutrientValue(point.x, xNutrient)} ${xNutrient.label.toLowerCase()}, ${formatNutrientValue(point.y, yNutrient)} ${yNutrient.label.toLowerCase()}</title></circle>`).join('');
+
+    return `<svg class="chart-scatter" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHTML(title)}">
+            <title>${escapeHTML(title)}</title>
+            ${axes}
+            ${dots}
+        </svg>`;
+}
+
+/**
+ * Round an axis maximum up to a round number (1, 2 or 5 times a power of ten)
+ * @param {number} value - The largest value on the axis
+ * @returns {number} - The axis maximum
+ */
+function getChartAxisMax(value) {
+    if (!(value > 0)) {
+        return 1;
+    }
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+    return step * power;
+}
+
+/**
+ * Reset the current diary day so every meal contains only "Nothing..."
+ */
+function resetShoppingList() {
+    const dateKey = currentDiaryDate;
+    const saved = foodDiary[dateKey];
+
+    delete foodDiary[dateKey];
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    refreshAfterMealItemsChange();
+    showUndoNotification(`Cleared everything logged on ${dateKey}`, () => restoreDiaryDay(dateKey, saved));
+}
+
+/**
+ * Put back a diary day as it was before it was reset or replaced
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @param {Object|undefined} day - The day's meals as they were (undefined if nothing was logged)
+ */
+function restoreDiaryDay(dateKey, day) {
+    if (day) {
+        foodDiary[dateKey] = day;
+    } else {
+        delete foodDiary[dateKey];
+    }
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    refreshAfterMealItemsChange();
+}
+
+/**
+ * Format a date as a local "YYYY-MM-DD" diary key
+ * @param {Date} date - The date to format
+ * @returns {string} - The diary key for that date
+ */
+function formatDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Move a diary key forwards or backwards by a number of days
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @param {number} days - Number of days to move (negative to go back)
+ * @returns {string} - The shifted diary key
+ */
+function shiftDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return formatDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Get the diary entry for a date, creating empty meals if it doesn't exist yet
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @returns {Object} - The day's meals keyed by meal id
+ */
+function getDiaryDay(dateKey) {
+    if (!foodDiary[dateKey]) {
+        foodDiary[dateKey] = {};
+    }
+
+    DIARY_MEALS.forEach(meal => {
+        if (!foodDiary[dateKey][meal.id]) {
+            foodDiary[dateKey][meal.id] = {};
+        }
+    });
+
+    return foodDiary[dateKey];
+}
+
+/**
+ * Get the item list for one meal of a diary day
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @param {string} meal - Meal id ('breakfast', 'lunch', 'dinner' or 'snacks')
+ * @returns {Object} - The meal list ({ "foodName": { count, multiplier } })
+ */
+function getMealList(dateKey, meal) {
+    return getDiaryDay(dateKey)[meal];
+}
+
+/**
+ * Get the name of a meal to show the user
+ * @param {string} meal - Meal id ('breakfast', 'lunch', 'dinner' or 'snacks')
+ * @returns {string} - The meal's label
+ */
+function getMealLabel(meal) {
+    return DIARY_MEALS.find(m => m.id === meal).label;
+}
+
+/**
+ * Populate the meal dropdown used to pick which meal new items are logged into
+ */
+function populateMealSelect() {
+    const mealSelect = document.getElementById('mealSelect');
+    mealSelect.innerHTML = '';
+
+    DIARY_MEALS.forEach(meal => {
+        const option = document.createElement('option');
+        option.value = meal.id;
+        option.textContent = meal.label;
+        mealSelect.appendChild(option);
+    });
+
+    mealSelect.value = currentMeal;
+}
+
+/**
+ * Switch the diary to another day, keeping the same meal selected
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ */
+function changeDiaryDate(dateKey) {
+    currentDiaryDate = dateKey;
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    document.getElementById('diaryDate').value = currentDiaryDate;
+
+    displayShoppingList();
+    updateTotals();
+    refreshButtonStates();
+}
+
+/**
+ * Change the meal that new items are logged into
+ * @param {string} meal - Meal id ('breakfast', 'lunch', 'dinner' or 'snacks')
+ */
+function changeCurrentMeal(meal) {
+    if (!DIARY_MEALS.some(m => m.id === meal)) {
+        return;
+    }
+
+    currentMeal = meal;
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    document.getElementById('mealSelect').value = currentMeal;
+
+    displayShoppingList();
+    updateMealCharts();
+    refreshButtonStates();
+    saveAppState();
+}
+
+/**
+ * Get a portion unit by id
+ * @param {string} unitId - The unit id (see PORTION_UNITS)
+ * @returns {Object} - The unit, or grams if the id isn't known
+ */
+function getPortionUnit(unitId) {
+    return PORTION_UNITS.find(unit => unit.id === unitId) || PORTION_UNITS[0];
+}
+
+/**
+ * Get the portion a food's card starts at: one serving for packaged products, otherwise 100g
+ * @param {Object} food - The food object
+ * @returns {Object} - { quantity, unit }
+ */
+function getDefaultPortion(food) {
+    return food.servingGrams > 0 ? { quantity: 1, unit: 'serving' } : { quantity: 100, unit: 'g' };
+}
+
+/**
+ * Get the quantity a card starts at for a unit: 100 for grams, otherwise one unit
+ * @param {string} unitId - The unit id
+ * @returns {number} - The default quantity
+ */
+function getDefaultQuantity(unitId) {
+    return getPortionUnit(unitId).id === 'g' ? 100 : 1;
+}
+
+/**
+ * Get the weight in grams of one unit of a food. The user's weight for the food wins,
+ * then the built-in weight for the food, then the weights for its category.
+ * @param {Object} food - The food object
+ * @param {string} unitId - The unit id
+ * @returns {number} - Grams in one unit
+ */
+function getPortionWeight(food, unitId) {
+    const userWeights = portionWeights.foods[food.name];
+    if (userWeights && userWeights[unitId] > 0) {
+        return userWeights[unitId];
+    }
+
+    return getDefaultPortionWeight(food, unitId);
+}
+
+/**
+ * Get the weight of one unit of a food, ignoring any weight the user set for the food itself.
+ * A packaged product's serving is the serving size from its label.
+ * @param {Object} food - The food object
+ * @param {string} unitId - The unit id
+ * @returns {number} - Grams in one unit
+ */
+function getDefaultPortionWeight(food, unitId) {
+    if (unitId === 'serving' && food.servingGrams > 0) {
+        return food.servingGrams;
+    }
+
+    const rule = FOOD_PORTION_WEIGHTS.find(r => r.weights[unitId] > 0 && r.pattern.test(food.name));
+    return rule ? rule.weights[unitId] : getCategoryPortionWeight(food.category, unitId, true);
+}
+
+/**
+ * Get the weight of one unit for a category, falling back to the unit's own weight
+ * @param {string} category - The category name
+ * @param {string} unitId - The unit id
+ * @param {boolean} includeUserWeights - Whether the user's weights for the category count
+ * @returns {number} - Grams in one unit
+ */
+function getCategoryPortionWeight(category, unitId, includeUserWeights) {
+    const sources = [includeUserWeights ? portionWeights.categories[category] : null, CATEGORY_PORTION_WEIGHTS[category]];
+    const weights = sources.find(w => w && w[unitId] > 0);
+    return weights ? weights[unitId] : getPortionUnit(unitId).grams;
+}
+
+/**
+ * Resolve a quantity of a unit to grams for a food
+ * @param {Object} food - The food object
+ * @param {number} quantity - How many units
+ * @param {string} unitId - The unit id
+ * @returns {Object} - { unit, quantity, grams, multiplier } where multiplier scales the per-100g values
+ */
+function resolvePortion(food, quantity, unitId) {
+    const unit = getPortionUnit(unitId);
+    const grams = Math.round(quantity * getPortionWeight(food, unit.id) * 10) / 10;
+
+    return {
+        unit: unit.id,
+        quantity: quantity,
+        grams: grams,
+        multiplier: grams / 100
+    };
+}
+
+/**
+ * Format a portion for display, e.g. "150g" or "2 slices (72g)"
+ * @param {Object} portion - { unit, quantity, grams }
+ * @returns {string} - The formatted portion
+ */
+function formatPortion(portion) {
+    const unit = getPortionUnit(portion.unit);
+    const grams = `${Math.round(portion.grams)}g`;
+
+    if (unit.id === 'g') {
+        return grams;
+    }
+
+    const quantity = Math.round(portion.quantity * 100) / 100;
+    return `${quantity} ${quantity === 1 ? unit.label : unit.plural} (${grams})`;
+}
+
+/**
+ * Build the <option> elements for a unit select, showing the weight of one unit of the food
+ * @param {Object} food - The food object
+ * @param {string} selectedUnit - The unit id to select
+ * @returns {string} - HTML for the options
+ */
+function createUnitOptions(food, selectedUnit) {
+    const units = PORTION_UNITS.filter(unit => !unit.fromLabel || food.servingGrams > 0 || unit.id === selectedUnit);
+    return units.map(unit => {
+        const label = unit.id === 'g' ? unit.label : `${unit.label} (${formatWeight(getPortionWeight(food, unit.id))}g)`;
+        return `<option value="${unit.id}"${unit.id === selectedUnit ? ' selected' : ''}>${label}</option>`;
+    }).join('');
+}
+
+/**
+ * Format a weight in grams with at most one decimal place
+ * @param {number} value - The weight
+ * @returns {string} - e.g. "36" or "13.5"
+ */
+function formatWeight(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Show a Meal Builder item in a different unit, keeping the grams it was logged with
+ * @param {string} meal - The meal id
+ * @param {string} foodName - The food name
+ * @param {string} unitId - The new unit id
+ */
+function changeMealItemUnit(meal, foodName, unitId) {
+    const item = getMealList(currentDiaryDate, meal)[foodName];
+    const food = getFoodByName(foodName);
+    if (!item || !food) {
+        return;
+    }
+
+    item.unit = getPortionUnit(unitId).id;
+    item.quantity = Math.round(item.grams / getPortionWeight(food, item.unit) * 100) / 100;
+
+    displayShoppingList();
+    saveAppState();
+}
+
+/**
+ * Set up the portion sizes form, which edits the weight of each unit for a food or a category
+ */
+function setupPortionWeightsForm() {
+    const weightsContainer = document.getElementById('portionWeightInputs');
+    PORTION_UNITS.filter(unit => unit.id !== 'g' && !unit.fromLabel).forEach(unit => {
+        const row = document.createElement('div');
+        row.className = 'form-row';
+        row.innerHTML = `
+            <label for="portionWeight-${unit.id}">1 ${unit.label} (g):</label>
+            <input type="number" id="portionWeight-${unit.id}" data-unit="${unit.id}" min="0" step="any">
+        `;
+        weightsContainer.appendChild(row);
+    });
+
+    document.getElementById('portionScope').addEventListener('change', function() {
+        document.getElementById('portionTarget').setAttribute('list', this.value === 'food' ? 'foodNameOptions' : 'categoryOptions');
+        loadPortionWeightsForm();
+    });
+    document.getElementById('portionTarget').addEventListener('change', loadPortionWeightsForm);
+    document.getElementById('portionWeightsForm').addEventListener('submit', savePortionWeightsFromForm);
+    document.getElementById('portionWeightsClearBtn').addEventListener('click', function() {
+        document.getElementById('portionTarget').value = '';
+        loadPortionWeightsForm();
+    });
+
+    displayPortionWeightsList();
+}
+
+/**
+ * Fill the portion sizes form for the chosen food or category: the user's weights as values,
+ * and the weights that apply without them as placeholders
+ */
+function loadPortionWeightsForm() {
+    const scope = document.getElementById('portionScope').value;
+    const target = document.getElementById('portionTarget').value.trim();
+    const food = scope === 'food' ? getFoodByName(target) : null;
+    const userWeights = (scope === 'food' ? portionWeights.foods[target] : portionWeights.categories[target]) || {};
+
+    document.querySelectorAll('#portionWeightInputs input').forEach(input => {
+        const unitId = input.dataset.unit;
+        const defaultWeight = food ? getDefaultPortionWeight(food, unitId) : getCategoryPortionWeight(target, unitId, false);
+        input.placeholder = formatWeight(defaultWeight);
+        input.value = userWeights[unitId] > 0 ? userWeights[unitId] : '';
+    });
+}
+
+/**
+ * Save the portion sizes form. Blank inputs go back to the built-in weights.
+ * @param {Event} event - The form submit event
+ */
+function savePortionWeightsFromForm(event) {
+    event.preventDefault();
+
+    const scope = document.getElementById('portionScope').value;
+    const targetInput = document.getElementById('portionTarget');
+    const target = targetInput.value.trim();
+
+    if (scope === 'food' && !getFoodByName(target)) {
+        setFieldError(targetInput, 'Choose a food from the list.');
+        return;
+    }
+    if (scope === 'category' && !allFoods.some(food => food.category === target)) {
+        setFieldError(targetInput, 'Choose a category from the list.');
+        return;
+    }
+    clearFieldError(targetInput);
+
+    const weights = {};
+    document.querySelectorAll('#portionWeightInputs input').forEach(input => {
+        const value = parseFloat(input.value);
+        if (value > 0) {
+            weights[input.dataset.unit] = value;
+        }
+    });
+
+    const store = scope === 'food' ? portionWeights.foods : portionWeights.categories;
+    if (Object.keys(weights).length > 0) {
+        store[target] = weights;
+    } else {
+        delete store[target];
+    }
+
+    refreshAfterPortionWeightsChange();
+    showNotification(`Saved portion sizes for ${target}`, { type: 'success' });
+}
+
+/**
+ * Remove the user's portion weights for a food or category
+ * @param {string} scope - 'food' or 'category'
+ * @param {string} name - The food or category name
+ */
+function removePortionWeights(scope, name) {
+    const store = scope === 'food' ? portionWeights.foods : portionWeights.categories;
+    const saved = store[name];
+
+    delete store[name];
+    refreshAfterPortionWeightsChange();
+    showNotification(`Removed your portion sizes for ${name}`, {
+        type: 'success',
+        action: {
+            label: 'Undo',
+            handler: () => {
+                (scope === 'food' ? portionWeights.foods : portionWeights.categories)[name] = saved;
+                refreshAfterPortionWeightsChange();
+            }
+        }
+    });
+}
+
+/**
+ * Display the foods and categories the user has set portion weights for
+ */
+function displayPortionWeightsList() {
+    const listContainer = document.getElementById('portionWeightsList');
+    listContainer.innerHTML = '';
+
+    const entries = Object.keys(portionWeights.categories).map(name => ({ scope: 'category', name }))
+        .concat(Object.keys(portionWeights.foods).map(name => ({ scope: 'food', name })));
+
+    if (entries.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'shopping-list-empty';
+        emptyDiv.textContent = 'Using the built-in portion sizes.';
+        listContainer.appendChild(emptyDiv);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const weights = (entry.scope === 'food' ? portionWeights.foods : portionWeights.categories)[entry.name];
+
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'custom-food-item';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'custom-food-item-name';
+        nameSpan.textContent = `${entry.name}: ${Object.keys(weights).map(unitId => `${getPortionUnit(unitId).label} ${weights[unitId]}g`).join(', ')}`;
+
+        const badge = document.createElement('span');
+        badge.className = 'custom-badge';
+        badge.textContent = entry.scope === 'food' ? 'Food' : 'Category';
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'custom-food-edit-btn';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', function() {
+            document.getElementById('portionScope').value = entry.scope;
+            document.getElementById('portionTarget').value = entry.name;
+            loadPortionWeightsForm();
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'custom-food-delete-btn';
+        deleteButton.textContent = 'Remove';
+        deleteButton.addEventListener('click', () => removePortionWeights(entry.scope, entry.name));
+
+        itemDiv.appendChild(badge);
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(editButton);
+        itemDiv.appendChild(deleteButton);
+        listContainer.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Redraw everything that shows unit weights after the user's portion weights change.
+ * Items already logged keep the grams they were logged with.
+ */
+function refreshAfterPortionWeightsChange() {
+    displayPortionWeightsList();
+    loadPortionWeightsForm();
+    displayFoods(renderedFoods, renderedSearchResults);
+    displayShoppingList();
+    saveAppState();
+}
+
+/**
+ * Clean up portion weights read from storage, keeping only positive weights for known units
+ * @param {Object} saved - { foods, categories } as read from storage
+ * @returns {Object} - The cleaned portion weights
+ */
+function restorePortionWeights(saved) {
+    const restored = { foods: {}, categories: {} };
+
+    ['foods', 'categories'].forEach(scope => {
+        const savedScope = (saved && saved[scope]) || {};
+        Object.keys(savedScope).forEach(name => {
+            const weights = {};
+            PORTION_UNITS.forEach(unit => {
+                const value = savedScope[name] && savedScope[name][unit.id];
+                if (unit.id !== 'g' && typeof value === 'number' && value > 0) {
+                    weights[unit.id] = value;
+                }
+            });
+            if (Object.keys(weights).length > 0) {
+                restored[scope][name] = weights;
+            }
+        });
+    });
+
+    return restored;
+}
+
+/**
+ * Get a dietary tag's details
+ * @param {string} id - Tag id (e.g. 'vegan')
+ * @returns {Object|undefined} - The FOOD_TAGS entry
+ */
+function getFoodTag(id) {
+    return FOOD_TAGS.find(tag => tag.id === id);
+}
+
+/**
+ * Work out a food's dietary tags from the rules, then apply a correction.
+ * Corrections to 'contains' tags are applied before the diet tags are worked out, so
+ * e.g. removing 'dairy' from a food can make it vegan.
+ * A recipe also contains whatever its ingredients contain, and only suits the diets all of them suit.
+ * @param {Object} food - The food object
+ * @param {Object|null} override - { add, remove } correction (defaults to the user's correction for the food)
+ * @param {Array} recipePath - Names of the recipes being tagged, so a recipe that includes itself can't loop forever
+ * @returns {Array} - Tag ids, in FOOD_TAGS order
+ */
+function getFoodTags(food, override = tagOverrides[food.name] || null, recipePath = []) {
+    const add = override ? override.add : [];
+    const remove = override ? override.remove : [];
+    const tags = new Set();
+
+    const recipe = food.custom === 'recipe' ? customFoods.find(entry => entry.name === food.name && entry.type === 'recipe') : null;
+    const ingredientTags = recipe ? recipe.ingredients
+        .filter(ingredient => !recipePath.includes(ingredient.name) && ingredient.name !== food.name)
+        .map(ingredient => getFoodByName(ingredient.name))
+        .filter(ingredientFood => ingredientFood)
+        .map(ingredientFood => getFoodTags(ingredientFood, undefined, recipePath.concat(food.name))) : [];
+
+    FOOD_TAG_RULES.forEach(rule => {
+        const name = rule.ignore ? food.name.replace(rule.ignore, ' ') : food.name;
+        const categoryMatches = rule.categories && rule.categories.includes(food.category) && !(rule.categoryExcept && rule.categoryExcept.test(name));
+        const matches = categoryMatches || (rule.pattern && rule.pattern.test(name));
+        if (matches && !(rule.except && rule.except.test(name))) {
+            tags.add(rule.tag);
+        }
+    });
+    ingredientTags.forEach(ids => ids.filter(id => getFoodTag(id).kind === 'contains').forEach(id => tags.add(id)));
+    add.filter(id => getFoodTag(id).kind === 'contains').forEach(id => tags.add(id));
+    remove.filter(id => getFoodTag(id).kind === 'contains').forEach(id => tags.delete(id));
+
+    DIET_TAG_RULES.forEach(rule => {
+        const isException = (rule.exceptCategories && rule.exceptCategories.includes(food.category)) || (rule.except && rule.except.test(food.name));
+        const ingredientsSuit = ingredientTags.every(ids => ids.includes(rule.tag));
+        if (!rule.without.some(id => tags.has(id)) && !isException && ingredientsSuit) {
+            tags.add(rule.tag);
+        }
+    });
+    add.filter(id => getFoodTag(id).kind === 'diet').forEach(id => tags.add(id));
+    remove.filter(id => getFoodTag(id).kind === 'diet').forEach(id => tags.delete(id));
+
+    return FOOD_TAGS.filter(tag => tags.has(tag.id)).map(tag => tag.id);
+}
+
+/**
+ * Find the ways a food doesn't fit the user's dietary profile
+ * @param {Object} food - The food object
+ * @returns {Array} - Descriptions such as "not vegan" or "contains nuts" (empty if it fits)
+ */
+function getDietaryConflicts(food) {
+    const tags = getFoodTags(food);
+    return dietaryProfile.diets.filter(id => !tags.includes(id)).map(id => `not ${getFoodTag(id).label.toLowerCase()}`)
+        .concat(dietaryProfile.avoid.filter(id => tags.includes(id)).map(id => `contains ${getFoodTag(id).label.toLowerCase()}`));
+}
+
+/**
+ * Set up the dietary profile checkboxes and the tag corrections form
+ */
+function setupDietaryTags() {
+    const addCheckboxes = (containerId, tags, prefix) => {
+        const container = document.getElementById(containerId);
+        tags.forEach(tag => {
+            const label = document.createElement('label');
+            label.className = 'category-option';
+            label.innerHTML = `<input type="checkbox" id="${prefix}-${tag.id}" value="${tag.id}"> ${tag.label}`;
+            container.appendChild(label);
+        });
+    };
+    addCheckboxes('dietaryProfileDiets', FOOD_TAGS.filter(tag => tag.kind === 'diet'), 'dietaryDiet');
+    addCheckboxes('dietaryProfileAvoid', FOOD_TAGS.filter(tag => tag.kind === 'contains'), 'dietaryAvoid');
+    addCheckboxes('tagOverrideTags', FOOD_TAGS, 'tagOverride');
+
+    // The tag filter has an Any / Must have / Exclude choice for every tag
+    const tagFilter = document.getElementById('tagFilter');
+    FOOD_TAGS.forEach(tag => {
+        const label = document.createElement('label');
+        label.className = 'tag-filter-option';
+        label.innerHTML = `
+            <span>${tag.label}</span>
+            <select data-tag="${tag.id}" aria-label="${tag.label}">
+                <option value="">Any</option>
+                <option value="include">Must have</option>
+                <option value="exclude">Exclude</option>
+            </select>
+        `;
+        tagFilter.appendChild(label);
+    });
+    tagFilter.addEventListener('change', function() {
+        updateTagFilterSummary();
+        filterFoods();
+    });
+    document.getElementById('tagFilterProfileBtn').addEventListener('click', function() {
+        applyTagFilterSelection(dietaryProfile.diets, dietaryProfile.avoid);
+        filterFoods();
+    });
+
+    document.getElementById('dietaryProfileDiets').addEventListener('change', saveDietaryProfileFromForm);
+    document.getElementById('dietaryProfileAvoid').addEventListener('change', saveDietaryProfileFromForm);
+
+    document.getElementById('tagOverrideFood').addEventListener('change', loadTagOverrideForm);
+    document.getElementById('tagOverrideForm').addEventListener('submit', saveTagOverrideFromForm);
+    document.getElementById('tagOverrideClearBtn').addEventListener('click', function() {
+        document.getElementById('tagOverrideFood').value = '';
+        loadTagOverrideForm();
+    });
+
+    displayTagOverridesList();
+}
+
+/**
+ * Get the tags chosen in the tag filter
+ * @returns {Object} - { include: [tagId], exclude: [tagId] }
+ */
+function getTagFilterSelection() {
+    const selection = { include: [], exclude: [] };
+    document.querySelectorAll('#tagFilter select').forEach(select => {
+        if (select.value) {
+            selection[select.value].push(select.dataset.tag);
+        }
+    });
+    return selection;
+}
+
+/**
+ * Set the tag filter's choices
+ * @param {Array} include - Tag ids foods must have
+ * @param {Array} exclude - Tag ids foods mustn't have
+ */
+function applyTagFilterSelection(include, exclude) {
+    document.querySelectorAll('#tagFilter select').forEach(select => {
+        const tag = select.dataset.tag;
+        select.value = include.includes(tag) ? 'include' : exclude.includes(tag) ? 'exclude' : '';
+    });
+    updateTagFilterSummary();
+}
+
+/**
+ * Show the tag filter's choices in its summary, e.g. "Vegan, no Nuts"
+ */
+function updateTagFilterSummary() {
+    const selection = getTagFilterSelection();
+    const parts = selection.include.map(id => getFoodTag(id).label)
+        .concat(selection.exclude.map(id => `no ${getFoodTag(id).label}`));
+    document.getElementById('tagFilterSummary').textContent = parts.length === 0 ? 'Any Tags'
+        : parts.length <= 2 ? parts.join(', ') : `${parts.length} tag rules`;
+}
+
+/**
+ * Show the dietary profile in its checkboxes
+ */
+function displayDietaryProfile() {
+    document.querySelectorAll('#dietaryProfileDiets input').forEach(checkbox => {
+        checkbox.checked = dietaryProfile.diets.includes(checkbox.value);
+    });
+    document.querySelectorAll('#dietaryProfileAvoid input').forEach(checkbox => {
+        checkbox.checked = dietaryProfile.avoid.includes(checkbox.value);
+    });
+}
+
+/**
+ * Save the dietary profile as soon as a checkbox changes, and re-check the Meal Builder against it
+ */
+function saveDietaryProfileFromForm() {
+    dietaryProfile = {
+        diets: getCheckedCategories('dietaryProfileDiets'),
+        avoid: getCheckedCategories('dietaryProfileAvoid')
+    };
+    refreshAfterFoodTagsChange();
+}
+
+/**
+ * Tick the tag correction form's checkboxes with the chosen food's current tags
+ */
+function loadTagOverrideForm() {
+    const food = getFoodByName(document.getElementById('tagOverrideFood').value.trim());
+    const tags = food ? getFoodTags(food) : [];
+    document.querySelectorAll('#tagOverrideTags input').forEach(checkbox => {
+        checkbox.checked = tags.includes(checkbox.value);
+    });
+}
+
+/**
+ * Save the tag correction form as the difference from the food's automatic tags,
+ * so improvements to the rules still reach the tags the user didn't change
+ * @param {Event} event - The form submit event
+ */
+function saveTagOverrideFromForm(event) {
+    event.preventDefault();
+
+    const foodInput = document.getElementById('tagOverrideFood');
+    const food = getFoodByName(foodInput.value.trim());
+    if (!food) {
+        setFieldError(foodInput, 'Choose a food from the list.');
+        return;
+    }
+    clearFieldError(foodInput);
+
+    const autoTags = getFoodTags(food, null);
+    const checked = getCheckedCategories('tagOverrideTags');
+    const override = {
+        add: checked.filter(id => !autoTags.includes(id)),
+        remove: autoTags.filter(id => !checked.includes(id))
+    };
+
+    if (override.add.length > 0 || override.remove.length > 0) {
+        tagOverrides[food.name] = override;
+    } else {
+        delete tagOverrides[food.name];
+    }
+
+    refreshAfterFoodTagsChange();
+    loadTagOverrideForm();
+    showNotification(`Saved tags for ${food.name}`, { type: 'success' });
+}
+
+/**
+ * Remove the user's tag correction for a food
+ * @param {string} name - The food name
+ */
+function removeTagOverride(name) {
+    const saved = tagOverrides[name];
+
+    delete tagOverrides[name];
+    refreshAfterFoodTagsChange();
+    showNotification(`${name} uses its automatic tags again`, {
+        type: 'success',
+        action: {
+            label: 'Undo',
+            handler: () => {
+                tagOverrides[name] = saved;
+                refreshAfterFoodTagsChange();
+            }
+        }
+    });
+}
+
+/**
+ * Display the foods the user has corrected the tags of
+ */
+function displayTagOverridesList() {
+    const listContainer = document.getElementById('tagOverridesList');
+    listContainer.innerHTML = '';
+
+    const names = Object.keys(tagOverrides).sort();
+    if (names.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'shopping-list-empty';
+        emptyDiv.textContent = 'Using the automatic tags for every food.';
+        listContainer.appendChild(emptyDiv);
+        return;
+    }
+
+    names.forEach(name => {
+        const override = tagOverrides[name];
+
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'custom-food-item';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'custom-food-item-name';
+        nameSpan.textContent = `${name}: ${override.add.map(id => `+${getFoodTag(id).label}`)
+            .concat(override.remove.map(id => `−${getFoodTag(id).label}`)).join(', ')}`;
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'custom-food-edit-btn';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', function() {
+            document.getElementById('tagOverrideFood').value = name;
+            loadTagOverrideForm();
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'custom-food-delete-btn';
+        deleteButton.textContent = 'Reset';
+        deleteButton.addEventListener('click', () => removeTagOverride(name));
+
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(editButton);
+        itemDiv.appendChild(deleteButton);
+        listContainer.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Redraw everything that shows tags or profile warnings after the tag corrections or the profile change
+ */
+function refreshAfterFoodTagsChange() {
+    displayTagOverridesList();
+    displayDietaryProfile();
+    filterFoods();
+    displayShoppingList();
+    saveAppState();
+}
+
+/**
+ * Clean up tag corrections read from storage, keeping only known tags
+ * @param {Object} saved - { "foodName": { add, remove } } as read from storage
+ * @returns {Object} - The cleaned corrections
+ */
+function restoreTagOverrides(saved) {
+    const restored = {};
+    const cleanTags = tags => (Array.isArray(tags) ? tags : []).filter(id => getFoodTag(id));
+
+    Object.keys(saved || {}).forEach(name => {
+        const add = cleanTags(saved[name] && saved[name].add);
+        const remove = cleanTags(saved[name] && saved[name].remove);
+        if (add.length > 0 || remove.length > 0) {
+            restored[name] = { add: add, remove: remove };
+        }
+    });
+
+    return restored;
+}
+
+/**
+ * Clean up a dietary profile read from storage
+ * @param {Object} saved - { diets, avoid } as read from storage
+ * @returns {Object} - The cleaned profile
+ */
+function restoreDietaryProfile(saved) {
+    const cleanTags = (tags, kind) => (Array.isArray(tags) ? tags : []).filter(id => getFoodTag(id) && getFoodTag(id).kind === kind);
+    return {
+        diets: cleanTags(saved && saved.diets, 'diet'),
+        avoid: cleanTags(saved && saved.avoid, 'contains')
+    };
+}
+
+/**
+ * Save the profiles, portion weights and tag corrections to localStorage
+ */
+function saveAppState() {
+    if (!appStateRestored) {
+        return;
+    }
+
+    // Bring the active profile up to date; the others are saved as they were left
+    Object.assign(getActiveProfile(), getProfileState());
+
+    const state = {
+        version: STORAGE_SCHEMA_VERSION,
+        portionWeights: portionWeights,
+        tagOverrides: tagOverrides,
+        activeProfile: activeProfileId,
+        profiles: profiles
+    };
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        // Storage can be full or disabled (e.g. private browsing) - the app still works without it
+        console.error('Error saving app state:', error);
+    }
+}
+
+/**
+ * Gather the active profile's data: its diary, daily targets, dietary profile, history, preferences and theme
+ * @returns {Object} - The profile's saved fields, without its id and name
+ */
+function getProfileState() {
+    // Leave out days with nothing logged so browsing the diary doesn't fill storage
+    const diary = {};
+    Object.keys(foodDiary).forEach(dateKey => {
+        const day = foodDiary[dateKey];
+        if (DIARY_MEALS.some(meal => day[meal.id] && Object.keys(day[meal.id]).length > 0)) {
+            diary[dateKey] = day;
+        }
+    });
+
+    return {
+        diary: diary,
+        currentMeal: currentMeal,
+        maxDailyCarbs: maxDailyCarbs,
+        dailyTargets: Object.assign({}, dailyTargets), // Copied, as switching profile changes dailyTargets in place
+        dietaryProfile: dietaryProfile,
+        mealBuilderGroupBy: mealBuilderGroupBy,
+        theme: currentTheme,
+        history: intakeHistory
+    };
+}
+
+/**
+ * Read the saved app state from localStorage and migrate it to the current schema
+ * @returns {Object|null} - The saved state, or null if nothing usable was saved
+ */
+function loadAppState() {
+    let state;
+
+    try {
+        const savedText = localStorage.getItem(STORAGE_KEY);
+        if (!savedText) {
+            return null;
+        }
+        state = JSON.parse(savedText);
+    } catch (error) {
+        console.error('Error reading saved app state:', error);
+        return null;
+    }
+
+    if (!state || typeof state !== 'object') {
+        return null;
+    }
+
+    return migrateAppState(state);
+}
+
+/**
+ * Upgrade a saved state object one schema version at a time until it matches STORAGE_SCHEMA_VERSION
+ * @param {Object} state - Saved state as read from localStorage
+ * @returns {Object|null} - The migrated state, or null if it was saved by a newer version of the app
+ */
+function migrateAppState(state) {
+    // Saves made before the schema was versioned have no version field
+    let version = Number.isInteger(state.version) ? state.version : 0;
+
+    if (version > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Ignoring saved app state from a newer version (${version})`);
+        return null;
+    }
+
+    while (version < STORAGE_SCHEMA_VERSION) {
+        state = STATE_MIGRATIONS[version](state);
+        version++;
+        state.version = version;
+    }
+
+    return state;
+}
+
+// Migrations keyed by the version they upgrade from
+const STATE_MIGRATIONS = {
+    // Unversioned: a bare { shoppingList, maxDailyCarbs, theme } object
+    0: function(state) {
+        return {
+            shoppingList: state.shoppingList || {},
+            maxDailyCarbs: state.maxDailyCarbs !== undefined ? state.maxDailyCarbs : null,
+            theme: state.theme || null
+        };
+    },
+    // Version 1: a single shoppingList, which becomes today's snacks in the diary
+    1: function(state) {
+        const today = formatDateKey(new Date());
+        return {
+            diary: { [today]: { snacks: state.shoppingList || {} } },
+            currentMeal: 'snacks',
+            maxDailyCarbs: state.maxDailyCarbs,
+            theme: state.theme
+        };
+    },
+    // Version 2: only a carbs limit, so no other daily targets are set
+    2: function(state) {
+        state.dailyTargets = { calories: null, fat: null, protein: null, cholesterol: null };
+        return state;
+    },
+    // Version 3: items were always weighed in grams, and there were no portion weights
+    3: function(state) {
+        Object.keys(state.diary || {}).forEach(dateKey => {
+            const day = state.diary[dateKey] || {};
+            Object.keys(day).forEach(meal => {
+                Object.keys(day[meal] || {}).forEach(foodName => {
+                    const item = day[meal][foodName];
+                    if (item && typeof item.multiplier === 'number') {
+                        item.unit = 'g';
+                        item.grams = Math.round(item.multiplier * 1000) / 10;
+                        item.quantity = item.grams;
+                    }
+                });
+            });
+        });
+        state.portionWeights = { foods: {}, categories: {} };
+        return state;
+    },
+    // Version 4: no intake history - it's recorded from the diary when the state is restored
+    4: function(state) {
+        state.history = {};
+        return state;
+    },
+    // Version 5: no dietary tag corrections or profile
+    5: function(state) {
+        state.tagOverrides = {};
+        state.dietaryProfile = { diets: [], avoid: [] };
+        return state;
+    },
+    // Version 6: one person's data, which becomes the first profile
+    6: function(state) {
+        return {
+            portionWeights: state.portionWeights,
+            tagOverrides: state.tagOverrides,
+            activeProfile: 'profile-1',
+            profiles: [{
+                id: 'profile-1',
+                name: DEFAULT_PROFILE_NAME,
+                diary: state.diary,
+                currentMeal: state.currentMeal,
+                maxDailyCarbs: state.maxDailyCarbs,
+                dailyTargets: state.dailyTargets,
+                dietaryProfile: state.dietaryProfile,
+                mealBuilderGroupBy: state.mealBuilderGroupBy,
+                theme: state.theme,
+                history: state.history
+            }]
+        };
+    }
+};
+
+/**
+ * Apply the saved app state once the food data has loaded: the shared portion weights and
+ * tag corrections, then the active profile
+ */
+function restoreAppState() {
+    const state = loadAppState() || {};
+    appStateRestored = true;
+
+    // Restore the user's portion weights before the diary items that may be shown in them
+    portionWeights = restorePortionWeights(state.portionWeights);
+    displayPortionWeightsList();
+
+    // Restore the dietary tag corrections before the results and items that show them
+    tagOverrides = restoreTagOverrides(state.tagOverrides);
+    displayTagOverridesList();
+
+    profiles = restoreProfiles(state.profiles);
+    activeProfileId = profiles.some(profile => profile.id === state.activeProfile) ? state.activeProfile : profiles[0].id;
+    displayProfiles();
+    applyProfile(getActiveProfile());
+}
+
+/**
+ * Apply a profile's daily targets, dietary profile, diary, history, preferences and theme.
+ * Anything the profile doesn't have goes back to its default, and items whose food name is
+ * no longer in the dataset are dropped.
+ * @param {Object} profile - Entry from profiles
+ */
+function applyProfile(profile) {
+    // Restore max daily carbs and the other daily targets
+    maxDailyCarbs = typeof profile.maxDailyCarbs === 'number' && profile.maxDailyCarbs >= 0 ? profile.maxDailyCarbs : null;
+    const savedTargets = profile.dailyTargets || {};
+    Object.keys(dailyTargets).forEach(key => {
+        dailyTargets[key] = typeof savedTargets[key] === 'number' && savedTargets[key] >= 0 ? savedTargets[key] : null;
+    });
+    displayDailyTargets();
+
+    // Restore the dietary profile before the items that show warnings from it
+    dietaryProfile = restoreDietaryProfile(profile.dietaryProfile);
+    displayDietaryProfile();
+
+    // Restore the diary, keeping only valid dates and meals
+    const savedDiary = profile.diary || {};
+    const missingFoods = [];
+    foodDiary = {};
+
+    Object.keys(savedDiary).forEach(dateKey => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !savedDiary[dateKey]) {
+            return;
+        }
+        const day = getDiaryDay(dateKey);
+        DIARY_MEALS.forEach(meal => {
+            day[meal.id] = restoreMealList(savedDiary[dateKey][meal.id], missingFoods);
+        });
+    });
+
+    // Restore the intake history, then record any logged day it doesn't have yet
+    intakeHistory = restoreIntakeHistory(profile.history);
+    Object.keys(foodDiary).forEach(dateKey => {
+        if (!intakeHistory[dateKey]) {
+            recordDayHistory(dateKey);
+        }
+    });
+
+    currentMeal = DIARY_MEALS.some(meal => meal.id === profile.currentMeal) ? profile.currentMeal : 'breakfast';
+    document.getElementById('mealSelect').value = currentMeal;
+    mealBuilderGroupBy = profile.mealBuilderGroupBy === 'category' ? 'category' : 'meal';
+    document.getElementById('groupBySelect').value = mealBuilderGroupBy;
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+
+    // Already applied when the page loaded, but a switch to another profile changes it
+    selectTheme(profile.theme);
+
+    if (missingFoods.length > 0) {
+        const names = [...new Set(missingFoods)];
+        showNotification(`Removed ${missingFoods.length} saved item(s) no longer in the food data: ${names.join(', ')}`, { type: 'warning', duration: 0 });
+        saveAppState();
+    }
+
+    displayShoppingList();
+    updateTotals();
+}
+
+/**
+ * Rebuild a saved meal list, keeping only well-formed items for foods that still exist
+ * @param {Object} savedList - Meal list as read from storage
+ * @param {Array} missingFoods - Names of dropped foods are pushed onto this array
+ * @returns {Object} - The cleaned meal list
+ */
+function restoreMealList(savedList, missingFoods) {
+    const list = {};
+
+    Object.keys(savedList || {}).forEach(foodName => {
+        const item = savedList[foodName];
+        if (!getFoodByName(foodName)) {
+            missingFoods.push(foodName);
+            return;
+        }
+        if (item && Number.isInteger(item.count) && item.count > 0 && typeof item.multiplier === 'number' && item.multiplier > 0) {
+            // The multiplier is what the totals use, so the grams always follow it
+            const grams = Math.round(item.multiplier * 1000) / 10;
+            const unit = getPortionUnit(item.unit).id === item.unit && item.quantity > 0 ? item.unit : 'g';
+            const quantity = unit === 'g' ? grams : item.quantity;
+            list[foodName] = { count: item.count, multiplier: item.multiplier, unit: unit, quantity: quantity, grams: grams };
+        }
+    });
+
+    return list;
+}
+
+/**
+ * Find the active profile in a saved state
+ * @param {Object} state - Saved state from loadAppState
+ * @returns {Object|null} - The saved profile, or the first one if the active one is missing; null if there are none
+ */
+function getActiveSavedProfile(state) {
+    const saved = Array.isArray(state.profiles) ? state.profiles.filter(profile => profile) : [];
+    return saved.find(profile => profile.id === state.activeProfile) || saved[0] || null;
+}
+
+/**
+ * Clean up the profiles read from storage, keeping those with an id. Their other fields are
+ * checked when a profile is applied.
+ * @param {Array} saved - Profiles as read from storage
+ * @returns {Array} - The profiles, with a default one if none were saved
+ */
+function restoreProfiles(saved) {
+    const restored = [];
+
+    (Array.isArray(saved) ? saved : []).forEach(profile => {
+        if (!profile || typeof profile.id !== 'string' || restored.some(p => p.id === profile.id)) {
+            return;
+        }
+        const name = typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : DEFAULT_PROFILE_NAME;
+        restored.push(Object.assign({}, profile, { name: name }));
+    });
+
+    if (restored.length === 0) {
+        restored.push(createProfile(DEFAULT_PROFILE_NAME));
+    }
+    return restored;
+}
+
+/**
+ * Create an empty profile, which starts with no targets, an empty diary and the system theme
+ * @param {string} name - The profile name
+ * @returns {Object} - The new profile (not yet added to profiles)
+ */
+function createProfile(name) {
+    return { id: `profile-${Date.now().toString(36)}-${profiles.length}`, name: name };
+}
+
+/**
+ * Get the profile in use
+ * @returns {Object} - Entry from profiles
+ */
+function getActiveProfile() {
+    return profiles.find(profile => profile.id === activeProfileId);
+}
+
+/**
+ * Check whether a profile name is already used (ignoring case)
+ * @param {string} name - The name to check
+ * @param {string} exceptId - A profile id to ignore, when renaming
+ * @returns {boolean} - True if another profile has the name
+ */
+function isProfileNameTaken(name, exceptId = '') {
+    const lowerName = name.toLowerCase();
+    return profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Set up the profile dropdown, the add/rename form and profile import
+ */
+function setupProfiles() {
+    document.getElementById('profileSelect').addEventListener('change', function() {
+        switchProfile(this.value);
+    });
+    document.getElementById('profileForm').addEventListener('submit', saveProfileFromForm);
+    document.getElementById('profileCancelBtn').addEventListener('click', resetProfileForm);
+    document.getElementById('importProfileBtn').addEventListener('click', function() {
+        document.getElementById('importProfileInput').click();
+    });
+    document.getElementById('importProfileInput').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importProfileJSON(this.files[0]);
+        }
+        this.value = ''; // Allow the same file to be imported again
+    });
+}
+
+/**
+ * Switch to another profile: save the current one, then apply the new one's targets, diary, history,
+ * preferences and theme. updateTotals recolours the food cards for its limits with colorFoodCardsBasedOnKeto.
+ * @param {string} profileId - The profile id
+ */
+function switchProfile(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || profileId === activeProfileId) {
+        return;
+    }
+
+    saveAppState();
+    activeProfileId = profileId;
+    applyProfile(profile);
+
+    // Undoing a meal change now would put the last profile's items into this one
+    document.querySelectorAll('#notifications [data-key="meal-change"]').forEach(dismissNotification);
+
+    if (document.getElementById('mealPlannerSection').open) {
+        fillMealPlanTargets(false);
+    }
+    updateHistoryReport();
+    displayProfiles();
+    saveAppState();
+    showNotification(`Switched to profile ${profile.name}`, { type: 'success', key: 'profile' });
+}
+
+/**
+ * Display the profiles in the header dropdown, and in the list with use, rename, export and delete buttons
+ */
+function displayProfiles() {
+    const profileSelect = document.getElementById('profileSelect');
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = activeProfileId;
+
+    const listContainer = document.getElementById('profilesList');
+    listContainer.innerHTML = '';
+
+    profiles.forEach(profile => {
+        const active = profile.id === activeProfileId;
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'custom-food-item';
+
+        if (active) {
+            const badge = document.createElement('span');
+            badge.className = 'custom-badge';
+            badge.textContent = 'In use';
+            itemDiv.appendChild(badge);
+        }
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'custom-food-item-name';
+        nameSpan.textContent = profile.name;
+        itemDiv.appendChild(nameSpan);
+
+        // The last profile can't be deleted, as there must always be one in use
+        const buttons = [
+            !active && { label: 'Use', handler: () => switchProfile(profile.id) },
+            { label: 'Rename', className: 'custom-food-edit-btn', handler: () => editProfile(profile.id) },
+            { label: 'Export', handler: () => exportProfileJSON(profile.id) },
+            profiles.length > 1 && { label: 'Delete', className: 'custom-food-delete-btn', handler: () => deleteProfile(profile.id) }
+        ].filter(Boolean);
+
+        buttons.forEach(button => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = button.className || '';
+            element.textContent = button.label;
+            element.setAttribute('aria-label', `${button.label} profile ${profile.name}`);
+            element.addEventListener('click', button.handler);
+            itemDiv.appendChild(element);
+        });
+        listContainer.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Add a profile, or rename the one being edited, from the profile form. A new profile is switched to straight away.
+ * @param {Event} event - The form submit event
+ */
+function saveProfileFromForm(event) {
+    event.preventDefault();
+
+    const originalId = document.getElementById('profileOriginalId').value;
+    const nameInput = document.getElementById('profileName');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        setFieldError(nameInput, 'Enter a name.');
+        return;
+    }
+    if (isProfileNameTaken(name, originalId)) {
+        setFieldError(nameInput, `A profile called "${name}" already exists. Choose another name.`);
+        return;
+    }
+    clearFieldError(nameInput);
+
+    const existing = profiles.find(profile => profile.id === originalId);
+    resetProfileForm();
+
+    if (existing) {
+        existing.name = name;
+        displayProfiles();
+        saveAppState();
+        showNotification(`Renamed profile to ${name}`, { type: 'success', key: 'profile' });
+        return;
+    }
+
+    const profile = createProfile(name);
+    profiles.push(profile);
+    switchProfile(profile.id);
+    showNotification(`Added profile ${name}`, { type: 'success', key: 'profile' });
+}
+
+/**
+ * Clear the profile form back to adding a new profile
+ */
+function resetProfileForm() {
+    const form = document.getElementById('profileForm');
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('profileOriginalId').value = '';
+    document.getElementById('profileFormTitle').textContent = 'Add Profile';
+}
+
+/**
+ * Load a profile into the form to rename it
+ * @param {string} profileId - The profile id
+ */
+function editProfile(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) {
+        return;
+    }
+
+    clearFieldErrors(document.getElementById('profileForm'));
+    document.getElementById('profileOriginalId').value = profile.id;
+    document.getElementById('profileFormTitle').textContent = 'Rename Profile';
+    document.getElementById('profileName').value = profile.name;
+
+    const section = document.getElementById('profilesSection');
+    section.open = true;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('profileName').focus();
+}
+
+/**
+ * Delete a profile, switching to another one first if it's in use. It can be put back from the notification's Undo button.
+ * @param {string} profileId - The profile id
+ */
+function deleteProfile(profileId) {
+    const index = profiles.findIndex(profile => profile.id === profileId);
+    if (index === -1 || profiles.length === 1) {
+        return;
+    }
+    const entry = profiles[index];
+    const wasActive = profileId === activeProfileId;
+
+    // Switching saves the profile's latest data into its entry, so Undo gets it all back
+    if (wasActive) {
+        switchProfile(profiles[index === 0 ? 1 : 0].id);
+    }
+    profiles.splice(index, 1);
+    if (document.getElementById('profileOriginalId').value === profileId) {
+        resetProfileForm();
+    }
+    displayProfiles();
+    saveAppState();
+
+    showNotification(`Deleted profile ${entry.name}`, {
+        type: 'success',
+        key: 'profile',
+        action: {
+            label: 'Undo',
+            handler: () => {
+                profiles.splice(Math.min(index, profiles.length), 0, entry);
+                displayProfiles();
+                saveAppState();
+                if (wasActive) {
+                    switchProfile(entry.id);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Export a profile as a JSON file that can be imported with importProfileJSON
+ * @param {string} profileId - The profile id
+ */
+function exportProfileJSON(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) {
+        return;
+    }
+
+    // Bring the active profile's entry up to date before copying it
+    saveAppState();
+
+    const exported = { name: profile.name };
+    PROFILE_FIELDS.forEach(field => {
+        exported[field] = profile[field];
+    });
+    const data = {
+        format: PROFILE_EXPORT_FORMAT,
+        version: PROFILE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: exported
+    };
+
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    downloadFile(`${slug}.profile.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Import a profile from a JSON file made by exportProfileJSON, as a new profile that is switched to straight away.
+ * Its data is checked like saved data when it's applied, so diary items for unknown foods are dropped and reported.
+ * @param {File} file - The JSON file chosen by the user
+ */
+function importProfileJSON(file) {
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text);
+            if (!data || data.format !== PROFILE_EXPORT_FORMAT || !data.profile || typeof data.profile !== 'object') {
+                throw new Error('Not a profile file');
+            }
+            if (data.version > PROFILE_EXPORT_VERSION) {
+                throw new Error('File was exported by a newer version of the app');
+            }
+
+            const profile = readImportedProfile(data.profile);
+            profiles.push(profile);
+            switchProfile(profile.id);
+            showNotification(`Imported profile ${profile.name}`, { type: 'success', key: 'profile' });
+        })
+        .catch(error => {
+            console.error('Error importing profile file:', error);
+            showNotification(`Could not import that file: ${error.message}`, { type: 'error' });
+        });
+}
+
+/**
+ * Turn a profile read from an imported file into a new profile
+ * @param {Object} saved - { name, ...PROFILE_FIELDS } as written by exportProfileJSON
+ * @returns {Object} - The profile, with a new id and a name not already in use
+ */
+function readImportedProfile(saved) {
+    // Keep both profiles if the name is already used
+    const baseName = typeof saved.name === 'string' && saved.name.trim() ? saved.name.trim() : DEFAULT_PROFILE_NAME;
+    let name = baseName;
+    for (let copy = 2; isProfileNameTaken(name); copy++) {
+        name = `${baseName} (${copy})`;
+    }
+
+    const profile = createProfile(name);
+    PROFILE_FIELDS.forEach(field => {
+        if (saved[field] !== undefined) {
+            profile[field] = saved[field];
+        }
+    });
+    return profile;
+}
+
+/**
+ * Set up the theme dropdown, the theme editor and the system dark mode listener, then apply the saved theme
+ */
+function setupThemes() {
+    customThemes = loadCustomThemes();
+
+    // The 'system' theme switches as soon as the device's dark mode setting changes
+    if (window.matchMedia) {
+        systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        systemDarkQuery.addEventListener('change', function() {
+            if (currentTheme === 'system') {
+                applyTheme();
+            }
+        });
+    }
+
+    document.getElementById('themeSelect').addEventListener('change', function() {
+        selectTheme(this.value);
+        saveAppState();
+    });
+
+    // The editor starts from any built-in theme except 'system', which isn't a fixed set of colours
+    const baseSelect = document.getElementById('themeBase');
+    BUILT_IN_THEMES.filter(theme => theme.id !== 'system').forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.label;
+        baseSelect.appendChild(option);
+    });
+    baseSelect.addEventListener('change', function() {
+        loadThemeColourInputs(getBaseThemeColours(this.value));
+        previewThemeFromForm();
+    });
+
+    // A colour input for every themeable colour, grouped as in THEME_COLOURS
+    const coloursContainer = document.getElementById('themeColourInputs');
+    [...new Set(THEME_COLOURS.map(colour => colour.group))].forEach(group => {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = group;
+        fieldset.appendChild(legend);
+
+        THEME_COLOURS.filter(colour => colour.group === group).forEach(colour => {
+            const row = document.createElement('div');
+            row.className = 'form-row';
+            row.innerHTML = `
+                <label for="themeColour-${colour.key}">${colour.label}:</label>
+                <input type="color" id="themeColour-${colour.key}" data-colour="${colour.key}">
+            `;
+            fieldset.appendChild(row);
+        });
+
+        coloursContainer.appendChild(fieldset);
+    });
+    coloursContainer.addEventListener('input', previewThemeFromForm);
+
+    document.getElementById('themeForm').addEventListener('submit', saveThemeFromForm);
+    document.getElementById('themeCancelBtn').addEventListener('click', resetThemeForm);
+    document.getElementById('importThemeBtn').addEventListener('click', function() {
+        document.getElementById('importThemeInput').click();
+    });
+    document.getElementById('importThemeInput').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importThemesJSON(this.files[0]);
+        }
+        this.value = ''; // Allow the same file to be imported again
+    });
+
+    // Closing the editor drops any unsaved preview (the form keeps its values)
+    document.getElementById('themeEditorSection').addEventListener('toggle', function() {
+        if (!this.open) {
+            applyTheme();
+        }
+    });
+
+    // Apply the active profile's theme straight away rather than waiting for the food data, so the page doesn't flash
+    const state = loadAppState();
+    const profile = state ? getActiveSavedProfile(state) : null;
+    populateThemeSelect();
+    selectTheme(profile ? profile.theme : null);
+    displayCustomThemesList();
+    resetThemeForm();
+}
+
+/**
+ * Fill the theme dropdown with the built-in themes and the user's custom themes
+ */
+function populateThemeSelect() {
+    const themeSelect = document.getElementById('themeSelect');
+    themeSelect.innerHTML = '';
+
+    BUILT_IN_THEMES.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.label;
+        themeSelect.appendChild(option);
+    });
+
+    if (customThemes.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'My Themes';
+        customThemes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            group.appendChild(option);
+        });
+        themeSelect.appendChild(group);
+    }
+
+    themeSelect.value = currentTheme;
+}
+
+/**
+ * Switch to a theme. Unknown ids (e.g. a deleted custom theme) fall back to following the system setting.
+ * @param {string} themeId - A BUILT_IN_THEMES id or a custom theme id
+ */
+function selectTheme(themeId) {
+    const known = BUILT_IN_THEMES.some(theme => theme.id === themeId) || getCustomTheme(themeId);
+    currentTheme = known ? themeId : 'system';
+    document.getElementById('themeSelect').value = currentTheme;
+    applyTheme();
+}
+
+/**
+ * Get a custom theme by id
+ * @param {string} themeId - The custom theme id
+ * @returns {Object|undefined} - The custom theme, if there is one with that id
+ */
+function getCustomTheme(themeId) {
+    return customThemes.find(theme => theme.id === themeId);
+}
+
+/**
+ * Apply the current theme to the page
+ */
+function applyTheme() {
+    const custom = getCustomTheme(currentTheme);
+    setPageTheme(custom ? custom.base : currentTheme, custom ? custom.colours : {});
+}
+
+/**
+ * Colour the page with a built-in theme, overriding some of its colours
+ * @param {string} base - A BUILT_IN_THEMES id
+ * @param {Object} colours - Colours to use instead of the built-in theme's ({ key: '#rrggbb' }, keys from THEME_COLOURS)
+ */
+function setPageTheme(base, colours) {
+    const root = document.documentElement;
+    root.setAttribute('data-theme', resolveBuiltInTheme(base));
+
+    THEME_COLOURS.forEach(colour => {
+        if (colours[colour.key]) {
+            root.style.setProperty(`--${colour.key}`, colours[colour.key]);
+        } else {
+            root.style.removeProperty(`--${colour.key}`);
+        }
+    });
+}
+
+/**
+ * Work out which built-in theme's colours to use, following the device's setting for 'system'
+ * @param {string} themeId - A BUILT_IN_THEMES id
+ * @returns {string} - The [data-theme] value for the page
+ */
+function resolveBuiltInTheme(themeId) {
+    if (themeId !== 'system') {
+        return themeId;
+    }
+    // Browsers that can't say which the device prefers get the dark theme, as before themes followed the system
+    return systemDarkQuery && !systemDarkQuery.matches ? 'light' : 'dark';
+}
+
+/**
+ * Read a built-in theme's colours from the stylesheet
+ * @param {string} base - A BUILT_IN_THEMES id other than 'system'
+ * @returns {Object} - Colours keyed by THEME_COLOURS key, as '#rrggbb'
+ */
+function getBaseThemeColours(base) {
+    // An element with its own data-theme picks up that theme's custom properties without changing the page
+    const probe = document.createElement('div');
+    probe.hidden = true;
+    probe.setAttribute('data-theme', base);
+    document.body.appendChild(probe);
+
+    const style = getComputedStyle(probe);
+    const colours = {};
+    THEME_COLOURS.forEach(colour => {
+        colours[colour.key] = toHexColour(style.getPropertyValue(`--${colour.key}`)) || '#000000';
+    });
+
+    probe.remove();
+    return colours;
+}
+
+/**
+ * Convert a CSS colour to '#rrggbb', as colour inputs and the contrast check need
+ * @param {string} value - Any CSS colour (e.g. '#333', 'white', 'rgb(0, 0, 0)')
+ * @returns {string|null} - The colour as '#rrggbb', or null if it isn't a colour
+ */
+function toHexColour(value) {
+    const text = String(value || '').trim().toLowerCase();
+
+    if (/^#[0-9a-f]{6}$/.test(text)) {
+        return text;
+    }
+    if (/^#[0-9a-f]{3}$/.test(text)) {
+        return '#' + text.slice(1).split('').map(digit => digit + digit).join('');
+    }
+
+    // Let the browser read named and rgb() colours
+    const probe = document.createElement('div');
+    probe.style.color = text;
+    if (!text || !probe.style.color) {
+        return null;
+    }
+    document.body.appendChild(probe);
+    const channels = (getComputedStyle(probe).color.match(/\d+/g) || []).slice(0, 3);
+    probe.remove();
+
+    if (channels.length < 3) {
+        return null;
+    }
+    return '#' + channels.map(channel => Number(channel).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Work out the WCAG contrast ratio between two colours
+ * @param {string} foreground - '#rrggbb' colour
+ * @param {string} background - '#rrggbb' colour
+ * @returns {number} - The ratio, from 1 (no contrast) to 21 (black on white)
+ */
+function getContrastRatio(foreground, background) {
+    const luminances = [foreground, background].map(getRelativeLuminance).sort((a, b) => b - a);
+    return (luminances[0] + 0.05) / (luminances[1] + 0.05);
+}
+
+/**
+ * Work out the relative luminance of a colour, as defined by WCAG
+ * @param {string} colour - '#rrggbb' colour
+ * @returns {number} - Luminance from 0 (black) to 1 (white)
+ */
+function getRelativeLuminance(colour) {
+    const [red, green, blue] = [1, 3, 5].map(start => {
+        const channel = parseInt(colour.slice(start, start + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Check every text and background pair in THEME_CONTRAST_CHECKS
+ * @param {Object} colours - A full set of theme colours keyed by THEME_COLOURS key
+ * @returns {Array} - [{ text, background, minimum, ratio, passes }] in THEME_CONTRAST_CHECKS order
+ */
+function checkThemeContrast(colours) {
+    return THEME_CONTRAST_CHECKS.map(check => {
+        const ratio = getContrastRatio(colours[check.text], colours[check.background]);
+        return Object.assign({ ratio: ratio, passes: ratio >= check.minimum }, check);
+    });
+}
+
+/**
+ * Show the contrast check results in the theme editor
+ * @param {Array} results - Results from checkThemeContrast
+ */
+function displayThemeContrast(results) {
+    const report = document.getElementById('themeContrastReport');
+    report.innerHTML = '';
+
+    const getLabel = key => THEME_COLOURS.find(colour => colour.key === key).label;
+    results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.passes ? 'contrast-pass' : 'contrast-fail';
+        item.textContent = `${result.passes ? '✓' : '✕'} ${getLabel(result.text)} on ${getLabel(result.background).toLowerCase()}: ` +
+            `${result.ratio.toFixed(1)}:1${result.passes ? '' : ` (needs ${result.minimum}:1)`}`;
+        report.appendChild(item);
+    });
+}
+
+/**
+ * Set the theme editor's colour inputs
+ * @param {Object} colours - Colours keyed by THEME_COLOURS key, as '#rrggbb'
+ */
+function loadThemeColourInputs(colours) {
+    document.querySelectorAll('#themeColourInputs input').forEach(input => {
+        input.value = colours[input.dataset.colour];
+    });
+}
+
+/**
+ * Read the theme editor form
+ * @returns {Object} - { name, base, colours } with every THEME_COLOURS colour
+ */
+function readThemeForm() {
+    const colours = {};
+    document.querySelectorAll('#themeColourInputs input').forEach(input => {
+        colours[input.dataset.colour] = input.value;
+    });
+
+    return {
+        name: document.getElementById('themeName').value.trim(),
+        base: document.getElementById('themeBase').value,
+        colours: colours
+    };
+}
+
+/**
+ * Show the theme being edited on the page, and check its contrast
+ */
+function previewThemeFromForm() {
+    const theme = readThemeForm();
+    setPageTheme(theme.base, theme.colours);
+    displayThemeContrast(checkThemeContrast(theme.colours));
+}
+
+/**
+ * Clear the theme editor back to "create" mode, starting from the current theme's colours,
+ * and stop any preview
+ */
+function resetThemeForm() {
+    const form = document.getElementById('themeForm');
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('themeOriginalId').value = '';
+    document.getElementById('themeFormTitle').textContent = 'Create Theme';
+
+    const custom = getCustomTheme(currentTheme);
+    const base = resolveBuiltInTheme(custom ? custom.base : currentTheme);
+    document.getElementById('themeBase').value = base;
+    const colours = Object.assign(getBaseThemeColours(base), custom ? custom.colours : {});
+    loadThemeColourInputs(colours);
+    displayThemeContrast(checkThemeContrast(colours));
+
+    applyTheme();
+}
+
+/**
+ * Save the theme editor as a new custom theme, or update the one being edited, and switch to it.
+ * Themes that fail the contrast check aren't saved.
+ * @param {Event} event - The form submit event
+ */
+function saveThemeFromForm(event) {
+    event.preventDefault();
+
+    const originalId = document.getElementById('themeOriginalId').value;
+    const nameInput = document.getElementById('themeName');
+    const theme = readThemeForm();
+
+    if (!theme.name) {
+        setFieldError(nameInput, 'Enter a name.');
+        return;
+    }
+    if (isThemeNameTaken(theme.name, originalId)) {
+        setFieldError(nameInput, `A theme called "${theme.name}" already exists. Choose another name.`);
+        return;
+    }
+    clearFieldError(nameInput);
+
+    const failures = checkThemeContrast(theme.colours).filter(result => !result.passes);
+    if (failures.length > 0) {
+        setFieldError(document.getElementById(`themeColour-${failures[0].text}`),
+            `Not enough contrast in ${failures.length} place(s) - see the contrast check.`);
+        return;
+    }
+    clearFieldErrors(document.getElementById('themeColourInputs'));
+
+    const entry = {
+        id: originalId || `custom-${Date.now().toString(36)}`,
+        name: theme.name,
+        base: theme.base,
+        colours: theme.colours
+    };
+    const index = customThemes.findIndex(t => t.id === entry.id);
+    if (index === -1) {
+        customThemes.push(entry);
+    } else {
+        customThemes[index] = entry;
+    }
+
+    saveCustomThemes();
+    populateThemeSelect();
+    displayCustomThemesList();
+    selectTheme(entry.id);
+    saveAppState();
+    resetThemeForm();
+    showNotification(`Saved theme ${entry.name}`, { type: 'success' });
+}
+
+/**
+ * Check whether a theme name is already used by a built-in or another custom theme
+ * @param {string} name - The theme name
+ * @param {string} exceptId - A custom theme id to ignore (the one being edited)
+ * @returns {boolean} - True if the name is taken
+ */
+function isThemeNameTaken(name, exceptId = '') {
+    const lowerName = name.toLowerCase();
+    return BUILT_IN_THEMES.some(theme => theme.label.toLowerCase() === lowerName) ||
+        customThemes.some(theme => theme.id !== exceptId && theme.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Load a custom theme into the editor and preview it
+ * @param {string} themeId - The custom theme id
+ */
+function editCustomTheme(themeId) {
+    const theme = getCustomTheme(themeId);
+    if (!theme) {
+        return;
+    }
+
+    clearFieldErrors(document.getElementById('themeForm'));
+    document.getElementById('themeOriginalId').value = theme.id;
+    document.getElementById('themeFormTitle').textContent = 'Edit Theme';
+    document.getElementById('themeName').value = theme.name;
+    document.getElementById('themeBase').value = theme.base;
+    loadThemeColourInputs(Object.assign(getBaseThemeColours(theme.base), theme.colours));
+
+    const section = document.getElementById('themeEditorSection');
+    section.open = true;
+    previewThemeFromForm();
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Delete a custom theme, switching back to the system theme if it was in use
+ * @param {string} themeId - The custom theme id
+ */
+function deleteCustomTheme(themeId) {
+    const index = customThemes.findIndex(theme => theme.id === themeId);
+    if (index === -1) {
+        return;
+    }
+    const entry = customThemes[index];
+    const wasInUse = currentTheme === themeId;
+    const profileId = activeProfileId;
+
+    customThemes.splice(index, 1);
+    saveCustomThemes();
+    populateThemeSelect();
+    displayCustomThemesList();
+    if (wasInUse) {
+        selectTheme('system');
+        saveAppState();
+    }
+    if (document.getElementById('themeOriginalId').value === themeId) {
+        resetThemeForm();
+    }
+
+    showNotification(`Deleted theme ${entry.name}`, {
+        type: 'success',
+        action: {
+            label: 'Undo',
+            handler: () => {
+                customThemes.splice(index, 0, entry);
+                saveCustomThemes();
+                populateThemeSelect();
+                displayCustomThemesList();
+                // Go back to the theme if it was in use, unless another profile has been switched to since
+                if (wasInUse && activeProfileId === profileId) {
+                    selectTheme(entry.id);
+                    saveAppState();
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Display the custom themes with use, edit, export and delete buttons
+ */
+function displayCustomThemesList() {
+    const listContainer = document.getElementById('customThemesList');
+    listContainer.innerHTML = '';
+
+    if (customThemes.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'shopping-list-empty';
+        emptyDiv.textContent = 'No custom themes yet.';
+        listContainer.appendChild(emptyDiv);
+        return;
+    }
+
+    customThemes.forEach(theme => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'custom-food-item';
+
+        // A strip of the theme's main colours
+        const swatch = document.createElement('span');
+        swatch.className = 'theme-swatch';
+        swatch.setAttribute('aria-hidden', 'true');
+        ['primary-bg', 'container-bg', 'button-bg', 'keto-green', 'keto-orange', 'keto-red'].forEach(key => {
+            const stripe = document.createElement('span');
+            stripe.style.backgroundColor = theme.colours[key] || 'transparent';
+            swatch.appendChild(stripe);
+        });
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'custom-food-item-name';
+        nameSpan.textContent = theme.name;
+
+        const buttons = [
+            { label: 'Use', handler: () => { selectTheme(theme.id); saveAppState(); } },
+            { label: 'Edit', className: 'custom-food-edit-btn', handler: () => editCustomTheme(theme.id) },
+            { label: 'Export', handler: () => exportThemeJSON(theme.id) },
+            { label: 'Delete', className: 'custom-food-delete-btn', handler: () => deleteCustomTheme(theme.id) }
+        ];
+
+        itemDiv.appendChild(swatch);
+        itemDiv.appendChild(nameSpan);
+        buttons.forEach(button => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = button.className || '';
+            element.textContent = button.label;
+            element.setAttribute('aria-label', `${button.label} theme ${theme.name}`);
+            element.addEventListener('click', button.handler);
+            itemDiv.appendChild(element);
+        });
+        listContainer.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Export a custom theme as a JSON file that can be imported with importThemesJSON
+ * @param {string} themeId - The custom theme id
+ */
+function exportThemeJSON(themeId) {
+    const theme = getCustomTheme(themeId);
+    if (!theme) {
+        return;
+    }
+
+    const data = {
+        format: THEME_EXPORT_FORMAT,
+        version: THEME_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        themes: [{ name: theme.name, base: theme.base, colours: theme.colours }]
+    };
+
+    const slug = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+    downloadFile(`${slug}.theme.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Import the themes in a JSON file made by exportThemeJSON. Each theme is checked like one made in
+ * the editor; themes with unreadable colours or too little contrast are skipped and reported.
+ * @param {File} file - The JSON file chosen by the user
+ */
+function importThemesJSON(file) {
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text);
+            if (!data || data.format !== THEME_EXPORT_FORMAT || !Array.isArray(data.themes)) {
+                throw new Error('Not a theme file');
+            }
+            if (data.version > THEME_EXPORT_VERSION) {
+                throw new Error('File was exported by a newer version of the app');
+            }
+
+            const imported = [];
+            const skipped = [];
+            data.themes.forEach(theme => {
+                const result = readImportedTheme(theme);
+                if (result.error) {
+                    skipped.push(`${(theme && theme.name) || '(no name)'}: ${result.error}`);
+                    return;
+                }
+                customThemes.push(result.theme);
+                imported.push(result.theme.name);
+            });
+
+            if (imported.length > 0) {
+                saveCustomThemes();
+                populateThemeSelect();
+                displayCustomThemesList();
+                showNotification(`Imported ${imported.length} theme(s): ${imported.join(', ')}`, { type: 'success' });
+            }
+            if (skipped.length > 0) {
+                showNotification(`Skipped ${skipped.length} theme(s) - ${skipped.join('; ')}`, { type: 'warning', duration: 0 });
+            }
+        })
+        .catch(error => {
+            console.error('Error importing theme file:', error);
+            showNotification(`Could not import that file: ${error.message}`, { type: 'error' });
+        });
+}
+
+/**
+ * Check a theme read from an imported file and turn it into a custom theme
+ * @param {Object} theme - { name, base, colours } as written by exportThemeJSON
+ * @returns {Object} - { theme } ready to add to customThemes, or { error } saying why it can't be used
+ */
+function readImportedTheme(theme) {
+    if (!theme || typeof theme.name !== 'string' || !theme.name.trim() || typeof theme.colours !== 'object' || !theme.colours) {
+        return { error: 'not a theme' };
+    }
+
+    const base = BUILT_IN_THEMES.some(t => t.id === theme.base && t.id !== 'system') ? theme.base : 'dark';
+    const colours = getBaseThemeColours(base);
+    for (const colour of THEME_COLOURS) {
+        if (theme.colours[colour.key] !== undefined) {
+            const hex = toHexColour(theme.colours[colour.key]);
+            if (!hex) {
+                return { error: `"${theme.colours[colour.key]}" isn't a colour (${colour.label})` };
+            }
+            colours[colour.key] = hex;
+        }
+    }
+
+    const failures = checkThemeContrast(colours).filter(result => !result.passes);
+    if (failures.length > 0) {
+        return { error: `not enough contrast in ${failures.length} place(s)` };
+    }
+
+    // Keep both themes if the name is already used
+    let name = theme.name.trim();
+    for (let copy = 2; isThemeNameTaken(name); copy++) {
+        name = `${theme.name.trim()} (${copy})`;
+    }
+
+    return { theme: { id: `custom-${Date.now().toString(36)}-${customThemes.length}`, name: name, base: base, colours: colours } };
+}
+
+/**
+ * Read the saved custom themes from localStorage
+ * @returns {Array} - Saved custom themes, or an empty array if none are saved
+ */
+function loadCustomThemes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY));
+        if (saved && Array.isArray(saved.themes)) {
+            return saved.themes;
+        }
+    } catch (error) {
+        console.error('Error reading saved custom themes:', error);
+    }
+
+    return [];
+}
+
+/**
+ * Save the custom themes to localStorage
+ */
+function saveCustomThemes() {
+    try {
+        localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify({
+            version: CUSTOM_THEMES_SCHEMA_VERSION,
+            themes: customThemes
+        }));
+    } catch (error) {
+        console.error('Error saving custom themes:', error);
+    }
+}
+
+/**
+ * Read the saved custom foods and recipes from localStorage
+ * @returns {Array} - Saved custom food entries, or an empty array if none are saved
+ */
+function loadCustomFoods() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_FOODS_KEY));
+        if (saved && Array.isArray(saved.foods)) {
+            return saved.foods;
+        }
+    } catch (error) {
+        console.error('Error reading saved custom foods:', error);
+    }
+
+    return [];
+}
+
+/**
+ * Save the custom foods and recipes to localStorage
+ */
+function saveCustomFoods() {
+    try {
+        localStorage.setItem(CUSTOM_FOODS_KEY, JSON.stringify({
+            version: CUSTOM_FOODS_SCHEMA_VERSION,
+            foods: customFoods
+        }));
+    } catch (error) {
+        console.error('Error saving custom foods:', error);
+    }
+}
+
+/**
+ * Rebuild allFoods from the CSV dataset plus the custom foods and recipes.
+ * Custom ingredients are built before the recipes that use them.
+ */
+function mergeCustomFoods() {
+    allFoods = datasetFoods.slice();
+    foodsByName = new Map(allFoods.map(food => [food.name, food]));
+    const builtNames = new Set();
+
+    // `path` holds the recipes currently being built, so a recipe that includes itself can't loop forever
+    const build = (entry, path) => {
+        if (builtNames.has(entry.name) || path.includes(entry.name)) {
+            return;
+        }
+
+        if (foodsByName.has(entry.name) && !foodsByName.get(entry.name).custom) {
+            showNotification(`Your custom food "${entry.name}" is hidden - the food data now has a food with that name`, { type: 'warning', key: `custom-clash:${entry.name}` });
+            builtNames.add(entry.name);
+            return;
+        }
+
+        (entry.ingredients || []).forEach(ingredient => {
+            const ingredientEntry = customFoods.find(e => e.name === ingredient.name);
+            if (ingredientEntry) {
+                build(ingredientEntry, path.concat(entry.name));
+            }
+        });
+
+        const food = buildCustomFood(entry);
+        if (food) {
+            allFoods.push(food);
+            foodsByName.set(food.name, food);
+        }
+        builtNames.add(entry.name);
+    };
+
+    customFoods.forEach(entry => build(entry, []));
+}
+
+/**
+ * Turn a saved custom food or recipe entry into a food object like those parsed from the CSV
+ * @param {Object} entry - Saved entry (see customFoods)
+ * @returns {Object|null} - The food object, or null if the entry is malformed
+ */
+function buildCustomFood(entry) {
+    if (!entry || !entry.name || !entry.category) {
+        return null;
+    }
+
+    const food = {
+        name: entry.name,
+        category: entry.category,
+        nutrientStates: {},
+        custom: entry.type === 'recipe' ? 'recipe' : (entry.barcode ? 'product' : 'food')
+    };
+
+    // Packaged products keep their barcode and label serving size
+    if (entry.barcode) {
+        food.barcode = entry.barcode;
+    }
+    if (entry.servingGrams > 0) {
+        food.servingGrams = entry.servingGrams;
+    }
+
+    if (entry.type === 'recipe') {
+        calculateRecipeNutrients(food, entry);
+    } else {
+        NUTRIENTS.filter(nutrient => !nutrient.derived).forEach(nutrient => {
+            const value = entry.values ? entry.values[nutrient.key] : null;
+            if (typeof value === 'number' && value >= 0) {
+                food[nutrient.key] = value;
+            } else {
+                food[nutrient.key] = 0;
+                food.nutrientStates[nutrient.key] = NUTRIENT_STATES.MISSING;
+            }
+        });
+    }
+
+    deriveNetCarbs(food);
+    return food;
+}
+
+/**
+ * Set a recipe's per-100g nutrients from its ingredients and total cooked weight.
+ * A nutrient missing for any ingredient is marked as not measured, as the total would be incomplete.
+ * @param {Object} food - The recipe food object to fill in
+ * @param {Object} entry - Saved recipe entry with ingredients and cookedWeight
+ */
+function calculateRecipeNutrients(food, entry) {
+    const ingredients = (entry.ingredients || [])
+        .map(ingredient => ({ food: getFoodByName(ingredient.name), grams: ingredient.grams }))
+        .filter(ingredient => ingredient.food && ingredient.grams > 0);
+
+    const rawWeight = ingredients.reduce((sum, ingredient) => sum + ingredient.grams, 0);
+    const cookedWeight = entry.cookedWeight > 0 ? entry.cookedWeight : rawWeight;
+
+    NUTRIENTS.filter(nutrient => !nutrient.derived).forEach(nutrient => {
+        const total = ingredients.reduce((sum, ingredient) => sum + ingredient.food[nutrient.key] * ingredient.grams / 100, 0);
+        food[nutrient.key] = cookedWeight > 0 ? Math.round(total / cookedWeight * 100 * 10) / 10 : 0;
+
+        const states = ingredients.map(ingredient => getNutrientState(ingredient.food, nutrient.key));
+        if (states.length === 0 || states.includes(NUTRIENT_STATES.MISSING)) {
+            food.nutrientStates[nutrient.key] = NUTRIENT_STATES.MISSING;
+        } else if (states.every(state => state !== 'measured')) {
+            food.nutrientStates[nutrient.key] = NUTRIENT_STATES.TRACE;
+        }
+    });
+}
+
+/**
+ * Set up the custom food and recipe forms
+ */
+function setupCustomFoodForms() {
+    // Add a per-100g input for every nutrient that isn't derived
+    const nutrientsContainer = document.getElementById('customFoodNutrients');
+    NUTRIENTS.filter(nutrient => !nutrient.derived).forEach(nutrient => {
+        const row = document.createElement('div');
+        row.className = 'form-row';
+        row.innerHTML = `
+            <label for="customFood-${nutrient.key}">${nutrient.label} (${nutrient.unit}):</label>
+            <input type="number" id="customFood-${nutrient.key}" data-nutrient="${nutrient.key}" min="0" step="any">
+        `;
+        nutrientsContainer.appendChild(row);
+    });
+
+    document.getElementById('customFoodForm').addEventListener('submit', saveCustomFoodFromForm);
+    document.getElementById('customFoodCancelBtn').addEventListener('click', resetCustomFoodForm);
+
+    document.getElementById('recipeForm').addEventListener('submit', saveRecipeFromForm);
+    document.getElementById('recipeCancelBtn').addEventListener('click', resetRecipeForm);
+    document.getElementById('addIngredientBtn').addEventListener('click', function() {
+        addRecipeIngredientRow('', '');
+    });
+
+    // Barcode lookup, with camera scanning where the browser can read barcodes
+    const barcodeInput = document.getElementById('barcodeLookupInput');
+    document.getElementById('barcodeFindBtn').addEventListener('click', () => lookupBarcode(barcodeInput.value));
+    barcodeInput.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            lookupBarcode(this.value);
+        }
+    });
+    document.getElementById('barcodeScanBtn').addEventListener('click', startBarcodeScan);
+    document.getElementById('barcodeScannerCloseBtn').addEventListener('click', function() {
+        stopBarcodeScan();
+        document.getElementById('barcodeScanBtn').focus();
+    });
+    document.getElementById('barcodeScanner').addEventListener('keydown', function(event) {
+        if (event.key === 'Escape') {
+            stopBarcodeScan();
+            document.getElementById('barcodeScanBtn').focus();
+        }
+    });
+    setupBarcodeScanning();
+
+    resetRecipeForm();
+}
+
+/**
+ * Check a custom food or recipe name before saving, showing what's wrong under the name input
+ * @param {HTMLElement} nameInput - The name input
+ * @param {string} originalName - The name being edited ('' when adding)
+ * @returns {boolean} - True if the name can be used
+ */
+function validateCustomFoodName(nameInput, originalName) {
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        setFieldError(nameInput, 'Enter a name.');
+        return false;
+    }
+
+    if (name !== originalName && getFoodByName(name)) {
+        setFieldError(nameInput, `A food called "${name}" already exists. Choose another name.`);
+        return false;
+    }
+
+    clearFieldError(nameInput);
+    return true;
+}
+
+/**
+ * Save the custom food form as a new custom food, or update the one being edited
+ * @param {Event} event - The form submit event
+ */
+function saveCustomFoodFromForm(event) {
+    event.preventDefault();
+
+    const originalName = document.getElementById('customFoodOriginalName').value;
+    const nameInput = document.getElementById('customFoodName');
+    const name = nameInput.value.trim();
+    const category = document.getElementById('customFoodCategory').value.trim();
+
+    if (!validateCustomFoodName(nameInput, originalName)) {
+        return;
+    }
+
+    // A barcode and serving size make the food a packaged product
+    const barcodeInput = document.getElementById('customFoodBarcode');
+    const barcodeText = barcodeInput.value.trim();
+    const barcode = barcodeText ? normaliseBarcode(barcodeText) : null;
+    if (barcodeText && !barcode) {
+        setFieldError(barcodeInput, 'Not a valid barcode - check the 8 or 13 digits under it.');
+        return;
+    }
+    const sameBarcode = barcode && customFoods.find(entry => entry.barcode === barcode && entry.name !== originalName);
+    if (sameBarcode) {
+        setFieldError(barcodeInput, `This barcode is already used by ${sameBarcode.name}.`);
+        return;
+    }
+    clearFieldError(barcodeInput);
+
+    const servingInput = document.getElementById('customFoodServing');
+    const servingGrams = parseFloat(servingInput.value);
+    if (servingInput.value.trim() !== '' && !(servingGrams > 0)) {
+        setFieldError(servingInput, 'Enter the serving size in grams, or leave it blank.');
+        return;
+    }
+    clearFieldError(servingInput);
+
+    const values = {};
+    let hasValue = false;
+    document.querySelectorAll('#customFoodNutrients input').forEach(input => {
+        const value = parseFloat(input.value);
+        values[input.dataset.nutrient] = isNaN(value) || value < 0 ? null : value;
+        hasValue = hasValue || values[input.dataset.nutrient] !== null;
+    });
+
+    const firstNutrientInput = document.querySelector('#customFoodNutrients input');
+    if (!hasValue) {
+        setFieldError(firstNutrientInput, 'Enter at least one nutrient value per 100g.');
+        return;
+    }
+    clearFieldError(firstNutrientInput);
+
+    const entry = { type: 'food', name: name, category: category, values: values };
+    if (barcode) {
+        entry.barcode = barcode;
+    }
+    if (servingGrams > 0) {
+        entry.servingGrams = servingGrams;
+    }
+
+    storeCustomFood(entry, originalName);
+    resetCustomFoodForm();
+}
+
+/**
+ * Save the recipe form as a new recipe, or update the one being edited
+ * @param {Event} event - The form submit event
+ */
+function saveRecipeFromForm(event) {
+    event.preventDefault();
+
+    const originalName = document.getElementById('recipeOriginalName').value;
+    const nameInput = document.getElementById('recipeName');
+    const name = nameInput.value.trim();
+    const category = document.getElementById('recipeCategory').value.trim();
+    const cookedWeight = parseFloat(document.getElementById('recipeCookedWeight').value);
+
+    if (!validateCustomFoodName(nameInput, originalName)) {
+        return;
+    }
+
+    const ingredientsContainer = document.getElementById('recipeIngredients');
+    clearFieldErrors(ingredientsContainer);
+
+    const ingredients = [];
+    let valid = true;
+    ingredientsContainer.querySelectorAll('.recipe-ingredient').forEach(row => {
+        const nameField = row.querySelector('.recipe-ingredient-name');
+        const ingredientName = nameField.value.trim();
+        const grams = parseFloat(row.querySelector('.recipe-ingredient-grams').value);
+        if (!ingredientName) {
+            return;
+        }
+        if (ingredientName === originalName || !getFoodByName(ingredientName)) {
+            setFieldError(nameField, 'Not a known food - choose one from the list.', row);
+            valid = false;
+        } else if (grams > 0) {
+            ingredients.push({ name: ingredientName, grams: grams });
+        }
+    });
+
+    if (!valid) {
+        return;
+    }
+    if (ingredients.length === 0) {
+        if (!ingredientsContainer.querySelector('.recipe-ingredient')) {
+            addRecipeIngredientRow('', '');
+        }
+        setFieldError(ingredientsContainer.querySelector('.recipe-ingredient-grams'), 'Add at least one ingredient with a weight in grams.', ingredientsContainer);
+        return;
+    }
+
+    storeCustomFood({
+        type: 'recipe',
+        name: name,
+        category: category,
+        ingredients: ingredients,
+        cookedWeight: cookedWeight > 0 ? cookedWeight : null
+    }, originalName);
+    resetRecipeForm();
+}
+
+/**
+ * Add or replace a custom food entry, then save and refresh everything that uses allFoods.
+ * Renaming an entry also renames it in the food diary and in recipes that use it.
+ * @param {Object} entry - The custom food or recipe entry
+ * @param {string} originalName - The name of the entry being replaced ('' when adding)
+ */
+function storeCustomFood(entry, originalName) {
+    const index = customFoods.findIndex(e => e.name === originalName);
+
+    if (index === -1) {
+        customFoods.push(entry);
+    } else {
+        customFoods[index] = entry;
+        if (originalName !== entry.name) {
+            renameFoodReferences(originalName, entry.name);
+        }
+    }
+
+    saveCustomFoods();
+    refreshAfterCustomFoodsChange();
+    showNotification(`Saved ${entry.type === 'recipe' ? 'recipe' : (entry.barcode ? 'product' : 'custom food')} ${entry.name}`, { type: 'success' });
+}
+
+/**
+ * Rename a food in every profile's diary and every recipe ingredient list
+ * @param {string} oldName - The previous food name
+ * @param {string} newName - The new food name
+ */
+function renameFoodReferences(oldName, newName) {
+    const renameInDiary = diary => {
+        Object.keys(diary || {}).forEach(dateKey => {
+            DIARY_MEALS.forEach(meal => {
+                const list = diary[dateKey] && diary[dateKey][meal.id];
+                if (list && list[oldName]) {
+                    list[newName] = list[oldName];
+                    delete list[oldName];
+                }
+            });
+        });
+    };
+
+    // The other profiles' diaries are only in their saved entries
+    renameInDiary(foodDiary);
+    profiles.filter(profile => profile.id !== activeProfileId).forEach(profile => renameInDiary(profile.diary));
+
+    customFoods.forEach(entry => {
+        (entry.ingredients || []).forEach(ingredient => {
+            if (ingredient.name === oldName) {
+                ingredient.name = newName;
+            }
+        });
+    });
+
+    compareSelection = compareSelection.map(name => name === oldName ? newName : name);
+
+    if (portionWeights.foods[oldName]) {
+        portionWeights.foods[newName] = portionWeights.foods[oldName];
+        delete portionWeights.foods[oldName];
+    }
+
+    if (tagOverrides[oldName]) {
+        tagOverrides[newName] = tagOverrides[oldName];
+        delete tagOverrides[oldName];
+    }
+
+    saveAppState();
+}
+
+/**
+ * Delete a custom food or recipe, removing it from every profile's food diary too. It can be put back,
+ * with its diary items and portion sizes, from the notification's Undo button until the profile is switched.
+ * @param {string} name - The custom food name
+ */
+function deleteCustomFood(name) {
+    const usedIn = customFoods.filter(entry => (entry.ingredients || []).some(ingredient => ingredient.name === name));
+    if (usedIn.length > 0) {
+        showNotification(`"${name}" is used in: ${usedIn.map(entry => entry.name).join(', ')}. Remove it from those recipes first.`, { type: 'warning' });
+        return;
+    }
+
+    const index = customFoods.findIndex(entry => entry.name === name);
+    const entry = customFoods[index];
+    const savedWeights = portionWeights.foods[name];
+    const savedItems = [];
+    const savedOtherLists = []; // [{ day, meal, list }] - copies of the other profiles' meal lists before the food was taken out
+
+    customFoods.splice(index, 1);
+    delete portionWeights.foods[name];
+
+    Object.keys(foodDiary).forEach(dateKey => {
+        DIARY_MEALS.forEach(meal => {
+            if (foodDiary[dateKey][meal.id] && foodDiary[dateKey][meal.id][name]) {
+                savedItems.push(captureMealItem(dateKey, meal.id, name));
+                delete foodDiary[dateKey][meal.id][name];
+            }
+        });
+    });
+
+    // The other profiles' diaries are only in their saved entries
+    profiles.filter(profile => profile.id !== activeProfileId).forEach(profile => {
+        Object.values(profile.diary || {}).forEach(day => {
+            DIARY_MEALS.forEach(meal => {
+                if (day[meal.id] && day[meal.id][name]) {
+                    savedOtherLists.push({ day: day, meal: meal.id, list: Object.assign({}, day[meal.id]) });
+                    delete day[meal.id][name];
+                }
+            });
+        });
+    });
+
+    saveCustomFoods();
+    saveAppState();
+    refreshAfterCustomFoodsChange();
+
+    const itemCount = savedItems.length + savedOtherLists.length;
+    // Keyed like other meal changes, so switching profile dismisses it and Undo only ever restores into this profile
+    showNotification(`Deleted ${name}${itemCount > 0 ? ` and ${itemCount} diary item(s)` : ''}`, {
+        type: 'success',
+        key: 'meal-change',
+        action: {
+            label: 'Undo',
+            handler: () => {
+                customFoods.splice(index, 0, entry);
+                if (savedWeights) {
+                    portionWeights.foods[name] = savedWeights;
+                }
+                savedItems.forEach(saved => insertMealItem(saved.dateKey, saved.meal, saved.foodName, saved.item, saved.beforeName));
+                savedOtherLists.forEach(saved => {
+                    saved.day[saved.meal] = saved.list;
+                });
+                shoppingList = getMealList(currentDiaryDate, currentMeal);
+
+                saveCustomFoods();
+                saveAppState();
+                refreshAfterCustomFoodsChange();
+            }
+        }
+    });
+}
+
+/**
+ * Load a custom food or recipe into its form for editing
+ * @param {string} name - The custom food name
+ */
+function editCustomFood(name) {
+    const entry = customFoods.find(e => e.name === name);
+    if (!entry) {
+        return;
+    }
+
+    const section = document.getElementById('customFoodsSection');
+    section.open = true;
+
+    if (entry.type === 'recipe') {
+        resetRecipeForm();
+        document.getElementById('recipeFormTitle').textContent = `Edit Recipe: ${entry.name}`;
+        document.getElementById('recipeOriginalName').value = entry.name;
+        document.getElementById('recipeName').value = entry.name;
+        document.getElementById('recipeCategory').value = entry.category;
+        document.getElementById('recipeCookedWeight').value = entry.cookedWeight || '';
+        document.getElementById('recipeIngredients').innerHTML = '';
+        entry.ingredients.forEach(ingredient => addRecipeIngredientRow(ingredient.name, ingredient.grams));
+        document.getElementById('recipeForm').scrollIntoView({ behavior: 'smooth' });
+    } else {
+        resetCustomFoodForm();
+        document.getElementById('customFoodFormTitle').textContent = `Edit Custom Food: ${entry.name}`;
+        document.getElementById('customFoodOriginalName').value = entry.name;
+        document.getElementById('customFoodName').value = entry.name;
+        document.getElementById('customFoodCategory').value = entry.category;
+        document.getElementById('customFoodBarcode').value = entry.barcode || '';
+        document.getElementById('customFoodServing').value = entry.servingGrams || '';
+        document.querySelectorAll('#customFoodNutrients input').forEach(input => {
+            const value = entry.values[input.dataset.nutrient];
+            input.value = typeof value === 'number' ? value : '';
+        });
+        document.getElementById('customFoodForm').scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+/**
+ * Clear the custom food form back to "add" mode
+ */
+function resetCustomFoodForm() {
+    document.getElementById('customFoodForm').reset();
+    clearFieldErrors(document.getElementById('customFoodForm'));
+    document.getElementById('customFoodOriginalName').value = '';
+    document.getElementById('customFoodFormTitle').textContent = 'Add Custom Food';
+}
+
+/**
+ * Clear the recipe form back to "add" mode with one empty ingredient row
+ */
+function resetRecipeForm() {
+    document.getElementById('recipeForm').reset();
+    clearFieldErrors(document.getElementById('recipeForm'));
+    document.getElementById('recipeOriginalName').value = '';
+    document.getElementById('recipeFormTitle').textContent = 'Add Recipe';
+    document.getElementById('recipeIngredients').innerHTML = '';
+    addRecipeIngredientRow('', '');
+}
+
+/**
+ * Add an ingredient row (food name and grams) to the recipe form
+ * @param {string} name - Food name to prefill
+ * @param {number|string} grams - Weight in grams to prefill
+ */
+function addRecipeIngredientRow(name, grams) {
+    const row = document.createElement('div');
+    row.className = 'recipe-ingredient';
+    row.innerHTML = `
+        <input type="text" class="recipe-ingredient-name" list="foodNameOptions" placeholder="Food name" aria-label="Ingredient">
+        <input type="number" class="recipe-ingredient-grams" min="0" step="any" placeholder="g" aria-label="Grams">
+        <button type="button" class="recipe-ingredient-remove" title="Remove ingredient">&times;</button>
+    `;
+    row.querySelector('.recipe-ingredient-name').value = name;
+    row.querySelector('.recipe-ingredient-grams').value = grams;
+    row.querySelector('.recipe-ingredient-remove').addEventListener('click', function() {
+        row.remove();
+    });
+
+    document.getElementById('recipeIngredients').appendChild(row);
+}
+
+/**
+ * Display the custom foods and recipes with edit and delete buttons
+ */
+function displayCustomFoodsList() {
+    const listContainer = document.getElementById('customFoodsList');
+    listContainer.innerHTML = '';
+
+    if (customFoods.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'shopping-list-empty';
+        emptyDiv.textContent = 'No custom foods or recipes yet.';
+        listContainer.appendChild(emptyDiv);
+        return;
+    }
+
+    customFoods.forEach(entry => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'custom-food-item';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'custom-food-item-name';
+        nameSpan.textContent = `${entry.name} (${[entry.category, entry.barcode].filter(Boolean).join(', ')})`;
+
+        const badge = document.createElement('span');
+        badge.className = 'custom-badge';
+        badge.textContent = CUSTOM_FOOD_BADGES[entry.type === 'recipe' ? 'recipe' : (entry.barcode ? 'product' : 'food')];
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'custom-food-edit-btn';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => editCustomFood(entry.name));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'custom-food-delete-btn';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteCustomFood(entry.name));
+
+        itemDiv.appendChild(badge);
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(editButton);
+        itemDiv.appendChild(deleteButton);
+        listContainer.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Show the Scan button if the browser can read barcodes from the camera
+ */
+function setupBarcodeScanning() {
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return;
+    }
+
+    BarcodeDetector.getSupportedFormats()
+        .then(formats => {
+            document.getElementById('barcodeScanBtn').hidden = !BARCODE_FORMATS.some(format => formats.includes(format));
+        })
+        .catch(error => console.error('Error checking barcode formats:', error));
+}
+
+/**
+ * Check a barcode typed or scanned by the user and put it in the form it's stored in
+ * @param {string} text - The barcode digits (spaces and hyphens are ignored)
+ * @returns {string|null} - The EAN-8 or EAN-13 code (UPC-A gets a leading 0), or null if it isn't a valid barcode
+ */
+function normaliseBarcode(text) {
+    let code = String(text || '').replace(/[\s-]/g, '');
+    if (/^\d{12}$/.test(code)) {
+        code = '0' + code;
+    }
+    if (!/^(\d{8}|\d{13})$/.test(code)) {
+        return null;
+    }
+
+    // The last digit is a check digit: the other digits are weighted 3, 1, 3, ... from the right
+    const digits = code.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - sum % 10) % 10 === checkDigit ? code : null;
+}
+
+/**
+ * Find the packaged product with a barcode
+ * @param {string} code - A barcode as returned by normaliseBarcode
+ * @returns {Object|undefined} - The product's food object, if one has that barcode
+ */
+function findProductByBarcode(code) {
+    return code ? allFoods.find(food => food.barcode === code) : undefined;
+}
+
+/**
+ * Look up a typed or scanned barcode. A known product is shown in the results, ready to add;
+ * an unknown one starts a new product in the custom food form with the barcode filled in.
+ * @param {string} text - The barcode
+ */
+function lookupBarcode(text) {
+    const barcodeInput = document.getElementById('barcodeLookupInput');
+    const code = normaliseBarcode(text);
+
+    if (!code) {
+        setFieldError(barcodeInput, 'Enter the 8 or 13 digits under the barcode - check for typos.', barcodeInput.parentElement);
+        return;
+    }
+    clearFieldError(barcodeInput);
+    barcodeInput.value = code;
+
+    const product = findProductByBarcode(code);
+    if (product) {
+        // Searching for a barcode shows just its product
+        document.getElementById('searchInput').value = code;
+        filterFoods();
+
+        const portion = getDefaultPortion(product);
+        showNotification(`Found ${product.name}`, {
+            type: 'success',
+            key: 'barcode',
+            action: {
+                label: `Add to ${getMealLabel(currentMeal)}`,
+                handler: () => addToShoppingList(product, resolvePortion(product, portion.quantity, portion.unit))
+            }
+        });
+        return;
+    }
+
+    resetCustomFoodForm();
+    document.getElementById('customFoodBarcode').value = code;
+    document.getElementById('customFoodFormTitle').textContent = 'Add Packaged Product';
+    document.getElementById('customFoodsSection').open = true;
+    document.getElementById('customFoodName').focus();
+    showNotification(`No product with barcode ${code} yet - enter it from its label`, { key: 'barcode' });
+}
+
+/**
+ * Open the camera and look for a barcode until one is read or the scanner is closed
+ */
+function startBarcodeScan() {
+    const scanner = document.getElementById('barcodeScanner');
+    const video = document.getElementById('barcodeVideo');
+    scanner.hidden = false;
+    document.getElementById('barcodeScannerCloseBtn').focus();
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        .then(stream => {
+            // The scanner may have been closed while the browser asked for permission
+            if (scanner.hidden) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            barcodeScan = { stream: stream, detector: new BarcodeDetector(), timer: null };
+            video.srcObject = stream;
+            return video.play().then(scanBarcodeFrame);
+        })
+        .catch(error => {
+            console.error('Error starting barcode scan:', error);
+            stopBarcodeScan();
+            showNotification(`Couldn't use the camera (${error.message}). Type the barcode instead.`, { type: 'error' });
+            document.getElementById('barcodeLookupInput').focus();
+        });
+}
+
+/**
+ * Try to read a barcode from the current camera frame, trying again shortly if there isn't one
+ */
+function scanBarcodeFrame() {
+    if (!barcodeScan) {
+        return;
+    }
+
+    barcodeScan.detector.detect(document.getElementById('barcodeVideo'))
+        .then(barcodes => {
+            if (!barcodeScan) {
+                return;
+            }
+
+            // Other kinds of code (e.g. QR codes) can be in view too, so only take a valid product barcode
+            const code = barcodes.map(barcode => normaliseBarcode(barcode.rawValue)).find(value => value);
+            if (code) {
+                stopBarcodeScan();
+                lookupBarcode(code);
+            } else {
+                barcodeScan.timer = setTimeout(scanBarcodeFrame, BARCODE_SCAN_INTERVAL);
+            }
+        })
+        .catch(error => {
+            console.error('Error reading barcode:', error);
+            stopBarcodeScan();
+            showNotification('Couldn\'t read barcodes from the camera. Type the barcode instead.', { type: 'error' });
+        });
+}
+
+/**
+ * Stop the camera and close the scanner
+ */
+function stopBarcodeScan() {
+    if (barcodeScan) {
+        clearTimeout(barcodeScan.timer);
+        barcodeScan.stream.getTracks().forEach(track => track.stop());
+        barcodeScan = null;
+    }
+
+    document.getElementById('barcodeVideo').srcObject = null;
+    document.getElementById('barcodeScanner').hidden = true;
+}
+
+/**
+ * Rebuild allFoods and redraw everything that depends on it after a custom food changes
+ */
+function refreshAfterCustomFoodsChange() {
+    mergeCustomFoods();
+    searchIndex = buildSearchIndex(allFoods);
+    populateDropdowns();
+    displayCustomFoodsList();
+    updateCompareBar();
+    filterFoods();
+    displayShoppingList();
+    updateTotals();
+}
+
+/**
+ * Set up the meal planner form
+ */
+function setupMealPlanner() {
+    const targetsContainer = document.getElementById('mealPlanTargets');
+    TARGET_NUTRIENTS.forEach(target => {
+        const nutrient = getNutrient(target.key);
+        const row = document.createElement('div');
+        row.className = 'form-row';
+        row.innerHTML = `
+            <label for="mealPlanTarget-${target.key}">${MEAL_PLAN_GOAL_LABELS[MEAL_PLAN_GOALS[target.key]]} ${nutrient.label} (${nutrient.unit}):</label>
+            <input type="number" id="mealPlanTarget-${target.key}" data-target="${target.key}" min="0" step="any">
+        `;
+        targetsContainer.appendChild(row);
+    });
+    document.getElementById('mealPlanMaxItems').value = MEAL_PLAN_DEFAULT_MAX_ITEMS;
+    document.getElementById('mealPlanMaxItems').max = MEAL_PLAN_MAX_ITEMS;
+
+    // The daily targets are restored after this runs, so fill them in when the planner is first opened
+    document.getElementById('mealPlannerSection').addEventListener('toggle', function() {
+        if (this.open) {
+            fillMealPlanTargets(true);
+        }
+    });
+    document.getElementById('mealPlanTargetsBtn').addEventListener('click', () => fillMealPlanTargets(false));
+
+    document.getElementById('mealPlanIncludeCategories').addEventListener('change', updateMealPlanCategorySummaries);
+    document.getElementById('mealPlanExcludeCategories').addEventListener('change', updateMealPlanCategorySummaries);
+
+    document.getElementById('mealPlanForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        generateMealPlan();
+    });
+    document.getElementById('mealPlanStopBtn').addEventListener('click', function() {
+        stopMealPlan();
+        document.getElementById('mealPlanStatus').textContent = 'Stopped - generate a plan to try again';
+    });
+}
+
+/**
+ * Fill the planner's target inputs with what's left of the daily targets after the day's other meals,
+ * as the plan replaces only the current meal
+ * @param {boolean} onlyBlank - Leave inputs the user has already filled in alone
+ */
+function fillMealPlanTargets(onlyBlank) {
+    const otherMealsTotals = calculateOtherMealsTotals();
+    document.querySelectorAll('#mealPlanTargets input').forEach(input => {
+        if (onlyBlank && input.value !== '') {
+            return;
+        }
+        const target = getDailyTarget(input.dataset.target);
+        input.value = target !== null ? Math.max(0, Math.round((target - otherMealsTotals[input.dataset.target]) * 10) / 10) : '';
+        clearFieldError(input);
+    });
+}
+
+/**
+ * Calculate the totals of the day being viewed without the current meal, which a plan would replace
+ * @returns {Object} - Totals keyed by nutrient key
+ */
+function calculateOtherMealsTotals() {
+    const day = getDiaryDay(currentDiaryDate);
+    return calculateTotals(DIARY_MEALS.filter(meal => meal.id !== currentMeal).map(meal => day[meal.id]));
+}
+
+/**
+ * Show which categories the planner may and may not use in its pickers' summaries
+ */
+function updateMealPlanCategorySummaries() {
+    document.getElementById('mealPlanIncludeSummary').textContent =
+        describeCategories(getCheckedCategories('mealPlanIncludeCategories'), 'All Categories');
+    document.getElementById('mealPlanExcludeSummary').textContent =
+        describeCategories(getCheckedCategories('mealPlanExcludeCategories'), 'No Categories');
+}
+
+/**
+ * Read the planner form and start the worker searching for a plan
+ */
+function generateMealPlan() {
+    const form = document.getElementById('mealPlanForm');
+    clearFieldErrors(form);
+
+    const targets = [];
+    let valid = true;
+    form.querySelectorAll('#mealPlanTargets input').forEach(input => {
+        const value = input.value.trim();
+        if (value === '') {
+            return;
+        }
+
+        const amount = parseFloat(value);
+        if (isNaN(amount) || amount < 0) {
+            setFieldError(input, 'Enter a number, 0 or more - or leave it blank.');
+            valid = false;
+            return;
+        }
+        targets.push({ key: input.dataset.target, amount: amount, goal: MEAL_PLAN_GOALS[input.dataset.target] });
+    });
+
+    // With only limits, an empty plan meets every target
+    if (valid && !targets.some(target => target.goal !== 'limit' && target.amount > 0)) {
+        setFieldError(document.getElementById('mealPlanTarget-calories'),
+            'Set a calories or protein target so the planner knows how much food to plan.');
+        valid = false;
+    }
+
+    const maxItemsInput = document.getElementById('mealPlanMaxItems');
+    const maxItems = parseInt(maxItemsInput.value, 10);
+    if (isNaN(maxItems) || maxItems < 1 || maxItems > MEAL_PLAN_MAX_ITEMS) {
+        setFieldError(maxItemsInput, `Enter a whole number from 1 to ${MEAL_PLAN_MAX_ITEMS}.`);
+        valid = false;
+    }
+
+    if (!valid) {
+        return;
+    }
+
+    // Foods without a measurement for a target would look free, so they're left out, as are
+    // foods that don't fit the dietary profile
+    const included = getCheckedCategories('mealPlanIncludeCategories');
+    const excluded = getCheckedCategories('mealPlanExcludeCategories');
+    const foods = allFoods.filter(food =>
+        (included.length === 0 || included.includes(food.category)) &&
+        !excluded.includes(food.category) &&
+        targets.every(target => getNutrientState(food, target.key) !== NUTRIENT_STATES.MISSING) &&
+        getDietaryConflicts(food).length === 0);
+
+    if (foods.length === 0) {
+        showNotification('No foods are left to plan with - allow more categories.', { type: 'error', key: 'meal-plan' });
+        return;
+    }
+
+    stopMealPlan();
+    try {
+        mealPlanWorker = new Worker('meal-planner.js');
+    } catch (error) {
+        console.error('Error starting the meal planner:', error);
+        showNotification('The meal planner can\'t run in this browser.', { type: 'error', key: 'meal-plan' });
+        return;
+    }
+
+    mealPlanWorker.addEventListener('message', function(event) {
+        stopMealPlan();
+        displayMealPlan(event.data.items, targets);
+    });
+    mealPlanWorker.addEventListener('error', function(event) {
+        console.error('Error in the meal planner:', event.message);
+        stopMealPlan();
+        document.getElementById('mealPlanStatus').textContent = 'The planner stopped with an error - try again';
+    });
+
+    mealPlanWorker.postMessage({
+        foods: foods.map(food => ({
+            name: food.name,
+            values: Object.fromEntries(targets.map(target => [target.key, food[target.key] || 0]))
+        })),
+        targets: targets,
+        maxItems: maxItems,
+        timeLimit: MEAL_PLAN_TIME_LIMIT,
+        seed: Math.floor(Math.random() * 4294967296) // A new seed each time, so generating again finds another plan
+    });
+
+    document.getElementById('mealPlanGenerateBtn').disabled = true;
+    document.getElementById('mealPlanStopBtn').hidden = false;
+    document.getElementById('mealPlanStatus').textContent = `Searching ${foods.length} foods for a plan...`;
+}
+
+/**
+ * Stop the planner's worker, if it's searching
+ */
+function stopMealPlan() {
+    if (mealPlanWorker) {
+        mealPlanWorker.terminate();
+        mealPlanWorker = null;
+    }
+    document.getElementById('mealPlanGenerateBtn').disabled = false;
+    document.getElementById('mealPlanStopBtn').hidden = true;
+}
+
+/**
+ * Show a plan from the planner, with how close it gets to each target and a button to load it
+ * @param {Array} items - The plan: [{ name, grams }]
+ * @param {Array} targets - The targets it was planned for: [{ key, amount, goal }]
+ */
+function displayMealPlan(items, targets) {
+    const status = document.getElementById('mealPlanStatus');
+    const resultContainer = document.getElementById('mealPlanResult');
+    resultContainer.innerHTML = '';
+
+    // Totals come from the same calculation as the Meal Builder, so they match once the plan is loaded
+    const planList = {};
+    items.forEach(item => {
+        const food = getFoodByName(item.name);
+        if (food) {
+            planList[item.name] = Object.assign({ count: 1 }, resolvePortion(food, item.grams, 'g'));
+        }
+    });
+
+    if (Object.keys(planList).length === 0) {
+        mealPlan = null;
+        status.textContent = 'Couldn\'t find a plan for these targets - try allowing more categories or items';
+        return;
+    }
+
+    const totals = calculateTotals([planList]);
+    const explanations = targets.map(target => explainMealPlanTarget(target, totals[target.key]));
+    const metCount = explanations.filter(explanation => explanation.met).length;
+    mealPlan = { items: items, targets: targets, totals: totals };
+
+    status.textContent = metCount === targets.length
+        ? `This plan meets all ${targets.length} target(s)`
+        : `This plan meets ${metCount} of ${targets.length} target(s) - it's the closest one found`;
+
+    const itemsList = document.createElement('ul');
+    itemsList.className = 'meal-plan-items';
+    Object.keys(planList).forEach(name => {
+        const li = document.createElement('li');
+        li.innerHTML = `<span>${escapeHTML(name)}</span><span>${formatWeight(planList[name].grams)}g</span>`;
+        itemsList.appendChild(li);
+    });
+
+    const explanationList = document.createElement('ul');
+    explanationList.className = 'meal-plan-explanation';
+    explanations.forEach(explanation => {
+        const li = document.createElement('li');
+        li.className = explanation.met ? 'meal-plan-met' : 'meal-plan-missed';
+        li.textContent = `${explanation.met ? '✓' : '✕'} ${explanation.text}`;
+        explanationList.appendChild(li);
+    });
+
+    // The targets are for this meal, so also show where loading it would leave the whole day
+    const otherMealsTotals = calculateOtherMealsTotals();
+    const dayTotals = document.createElement('p');
+    dayTotals.className = 'input-helper';
+    dayTotals.textContent = `Loaded into ${getMealLabel(currentMeal)}, with the day's other meals: ` +
+        targets.map(target => {
+            const nutrient = getNutrient(target.key);
+            const dayTotal = totals[target.key] + otherMealsTotals[target.key];
+            const dayTarget = getDailyTarget(target.key);
+            return `${nutrient.label} ${formatNutrientValue(Math.round(dayTotal), nutrient)}` +
+                (dayTarget !== null ? ` (daily target ${formatNutrientValue(Math.round(dayTarget), nutrient)})` : '');
+        }).join(', ');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const loadButton = document.createElement('button');
+    loadButton.type = 'button';
+    loadButton.id = 'mealPlanLoadBtn';
+    loadButton.textContent = 'Load into Meal Builder';
+    loadButton.addEventListener('click', loadMealPlan);
+    buttons.appendChild(loadButton);
+
+    resultContainer.appendChild(itemsList);
+    resultContainer.appendChild(explanationList);
+    resultContainer.appendChild(dayTotals);
+    resultContainer.appendChild(buttons);
+}
+
+/**
+ * Explain how close a plan's total is to one of its targets
+ * @param {Object} target - { key, amount, goal }
+ * @param {number} total - The plan's total for the target's nutrient
+ * @returns {Object} - { met: boolean, text: e.g. "Carbs: 18g - 2g under the 20g limit" }
+ */
+function explainMealPlanTarget(target, total) {
+    const nutrient = getNutrient(target.key);
+    const amount = value => formatNutrientValue(Math.round(value), nutrient);
+    const difference = Math.round(total) - Math.round(target.amount);
+    const gap = amount(Math.abs(difference));
+    const prefix = `${nutrient.label}: ${amount(total)}`;
+
+    if (target.goal === 'limit') {
+        const met = difference <= 0;
+        return { met: met, text: `${prefix} - ${gap} ${met ? 'under' : 'over'} the ${amount(target.amount)} limit` };
+    }
+    if (target.goal === 'minimum') {
+        const met = difference >= 0;
+        return { met: met, text: `${prefix} - ${gap} ${met ? 'over' : 'short of'} the ${amount(target.amount)} minimum` };
+    }
+
+    const met = Math.abs(total - target.amount) <= target.amount * MEAL_PLAN_TOLERANCE;
+    if (met) {
+        return { met: met, text: `${prefix} - within ${gap} of the ${amount(target.amount)} target` };
+    }
+    return { met: met, text: `${prefix} - ${gap} ${difference > 0 ? 'over' : 'short of'} the ${amount(target.amount)} target` };
+}
+
+/**
+ * Replace the current meal's items with the last generated plan, as normal editable items
+ */
+function loadMealPlan() {
+    if (!mealPlan) {
+        return;
+    }
+
+    const dateKey = currentDiaryDate;
+    const saved = foodDiary[dateKey] ? JSON.parse(JSON.stringify(foodDiary[dateKey])) : undefined;
+    const list = getMealList(dateKey, currentMeal);
+
+    Object.keys(list).forEach(name => {
+        delete list[name];
+    });
+    mealPlan.items.forEach(item => {
+        const food = getFoodByName(item.name);
+        if (food) {
+            list[item.name] = Object.assign({ count: 1 }, resolvePortion(food, item.grams, 'g'));
+        }
+    });
+
+    refreshAfterMealItemsChange();
+    showUndoNotification(`Loaded a ${Object.keys(list).length}-item plan into ${getMealLabel(currentMeal)}`,
+        () => restoreDiaryDay(dateKey, saved));
+}
+
+/**
+ * Record a diary day's totals in the intake history, or remove it from the history if nothing is logged.
+ * The record is only re-stamped when the totals change, so looking back at a day leaves it as it was.
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ */
+function recordDayHistory(dateKey) {
+    const lineItems = getDayLineItems(dateKey);
+    const previous = intakeHistory[dateKey];
+
+    if (lineItems.length === 0) {
+        delete intakeHistory[dateKey];
+        updateHistoryReport();
+        return;
+    }
+
+    // Past days keep the carb limit they were recorded with, so changing it doesn't rewrite old streaks
+    const isToday = dateKey === formatDateKey(new Date());
+    const record = {
+        carbLimit: previous && !isToday ? previous.carbLimit : maxDailyCarbs,
+        totals: {},
+        foods: {}
+    };
+
+    const totals = calculateDayTotals(dateKey);
+    NUTRIENTS.forEach(nutrient => {
+        record.totals[nutrient.key] = roundForExport(totals[nutrient.key]);
+    });
+
+    lineItems.forEach(lineItem => {
+        if (!record.foods[lineItem.name]) {
+            record.foods[lineItem.name] = { grams: 0 };
+            HISTORY_TOP_FOOD_NUTRIENTS.forEach(key => {
+                record.foods[lineItem.name][key] = 0;
+            });
+        }
+        const food = record.foods[lineItem.name];
+        food.grams = roundForExport(food.grams + lineItem.totalGrams);
+        HISTORY_TOP_FOOD_NUTRIENTS.forEach(key => {
+            food[key] = roundForExport(food[key] + lineItem.nutrients[key]);
+        });
+    });
+
+    const changed = !previous || ['carbLimit', 'totals', 'foods'].some(key => JSON.stringify(previous[key]) !== JSON.stringify(record[key]));
+    if (changed) {
+        intakeHistory[dateKey] = Object.assign({ recordedAt: new Date().toISOString() }, record);
+        updateHistoryReport();
+    }
+}
+
+/**
+ * Rebuild the saved intake history, keeping only well-formed days
+ * @param {Object} savedHistory - History as read from storage
+ * @returns {Object} - The cleaned history
+ */
+function restoreIntakeHistory(savedHistory) {
+    const history = {};
+
+    Object.keys(savedHistory || {}).forEach(dateKey => {
+        const record = savedHistory[dateKey];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !record || !record.totals || typeof record.totals.carbs !== 'number') {
+            return;
+        }
+
+        const totals = {};
+        NUTRIENTS.forEach(nutrient => {
+            totals[nutrient.key] = typeof record.totals[nutrient.key] === 'number' ? record.totals[nutrient.key] : 0;
+        });
+        history[dateKey] = {
+            recordedAt: typeof record.recordedAt === 'string' ? record.recordedAt : null,
+            carbLimit: typeof record.carbLimit === 'number' && record.carbLimit >= 0 ? record.carbLimit : null,
+            totals: totals,
+            foods: record.foods && typeof record.foods === 'object' ? record.foods : {}
+        };
+    });
+
+    return history;
+}
+
+/**
+ * Get the recorded days in the period ending today
+ * @param {number} days - Length of the period in days
+ * @returns {Array} - [{ dateKey, record }] for the days that were logged, oldest first
+ */
+function getHistoryDays(days) {
+    const today = formatDateKey(new Date());
+    const loggedDays = [];
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const dateKey = shiftDateKey(today, -offset);
+        if (intakeHistory[dateKey]) {
+            loggedDays.push({ dateKey: dateKey, record: intakeHistory[dateKey] });
+        }
+    }
+
+    return loggedDays;
+}
+
+/**
+ * Average each nutrient over the logged days of a period. Days with nothing logged are left out,
+ * so a missed day doesn't look like a day of eating nothing.
+ * @param {Array} loggedDays - Days from getHistoryDays
+ * @returns {Object|null} - Averages keyed by nutrient key, or null if no days were logged
+ */
+function calculateHistoryAverages(loggedDays) {
+    if (loggedDays.length === 0) {
+        return null;
+    }
+
+    const averages = {};
+    NUTRIENTS.forEach(nutrient => {
+        const total = loggedDays.reduce((sum, day) => sum + day.record.totals[nutrient.key], 0);
+        averages[nutrient.key] = total / loggedDays.length;
+    });
+    return averages;
+}
+
+/**
+ * Find the foods that contributed most of a nutrient over a period
+ * @param {Array} loggedDays - Days from getHistoryDays
+ * @param {string} key - Nutrient key from HISTORY_TOP_FOOD_NUTRIENTS
+ * @returns {Array} - [{ name, amount, share }] largest first, where share is the fraction of the period's total
+ */
+function findTopHistoryFoods(loggedDays, key) {
+    const amounts = new Map();
+    loggedDays.forEach(day => {
+        Object.keys(day.record.foods).forEach(name => {
+            amounts.set(name, (amounts.get(name) || 0) + (day.record.foods[name][key] || 0));
+        });
+    });
+
+    const total = [...amounts.values()].reduce((sum, amount) => sum + amount, 0);
+    return [...amounts.entries()]
+        .filter(([, amount]) => amount > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, HISTORY_TOP_FOODS_COUNT)
+        .map(([name, amount]) => ({ name: name, amount: amount, share: amount / total }));
+}
+
+/**
+ * Work out the current and longest runs of consecutive logged days within the carb limit.
+ * A day uses the limit it was recorded with, or the current one if it had none; an unlogged day ends a run.
+ * @returns {Object|null} - { current, longest } in days, or null if there's no carb limit to measure against
+ */
+function calculateCarbStreaks() {
+    const today = formatDateKey(new Date());
+    const dateKeys = Object.keys(intakeHistory).filter(dateKey => dateKey <= today).sort();
+    let hasLimit = false;
+    let run = 0;
+    let longest = 0;
+    let previousKey = null;
+
+    dateKeys.forEach(dateKey => {
+        const record = intakeHistory[dateKey];
+        const limit = record.carbLimit !== null ? record.carbLimit : maxDailyCarbs;
+        hasLimit = hasLimit || limit !== null;
+
+        if (limit !== null && record.totals.carbs <= limit) {
+            run = previousKey === shiftDateKey(dateKey, -1) ? run + 1 : 1;
+        } else {
+            run = 0;
+        }
+        longest = Math.max(longest, run);
+        previousKey = dateKey;
+    });
+
+    if (!hasLimit) {
+        return null;
+    }
+
+    // Today may not be finished, so a run that ended yesterday is still the current streak
+    const current = previousKey === today || previousKey === shiftDateKey(today, -1) ? run : 0;
+    return { current: current, longest: longest };
+}
+
+/**
+ * Set up the history report's controls
+ */
+function setupHistoryReport() {
+    const periodSelect = document.getElementById('historyPeriod');
+    HISTORY_PERIODS.forEach(days => {
+        const option = document.createElement('option');
+        option.value = days;
+        option.textContent = `Last ${days} days`;
+        periodSelect.appendChild(option);
+    });
+
+    periodSelect.addEventListener('change', displayHistoryReport);
+    document.getElementById('historySection').addEventListener('toggle', function() {
+        if (this.open) {
+            displayHistoryReport();
+        }
+    });
+    document.getElementById('exportHistoryCsvBtn').addEventListener('click', exportHistoryCSV);
+}
+
+/**
+ * Redraw the history report if it's open - it isn't worth building while nobody can see it
+ */
+function updateHistoryReport() {
+    if (document.getElementById('historySection').open) {
+        displayHistoryReport();
+    }
+}
+
+/**
+ * Display the history report: averages over each period, carb limit streaks,
+ * and the foods that contributed most to carbs and calories over the selected period
+ */
+function displayHistoryReport() {
+    const reportContainer = document.getElementById('historyReport');
+
+    if (Object.keys(intakeHistory).length === 0) {
+        reportContainer.innerHTML = '<div class="shopping-list-empty">Nothing logged yet - days appear here once you add foods to the Meal Builder.</div>';
+        return;
+    }
+
+    const periods = HISTORY_PERIODS.map(days => {
+        const loggedDays = getHistoryDays(days);
+        return { days: days, loggedDays: loggedDays, averages: calculateHistoryAverages(loggedDays) };
+    });
+
+    // Averages, with the daily target alongside for the nutrients that have one
+    const averageRows = NUTRIENTS.map(nutrient => {
+        const isTarget = TARGET_NUTRIENTS.some(target => target.key === nutrient.key);
+        const target = isTarget ? getDailyTarget(nutrient.key) : null;
+        const cells = periods.map(period => period.averages
+            ? formatNutrientValue(Math.round(period.averages[nutrient.key]), nutrient)
+            : '-');
+        return `
+            <tr>
+                <th scope="row">${nutrient.label}</th>
+                ${cells.map(cell => `<td>${cell}</td>`).join('')}
+                <td>${target !== null ? formatNutrientValue(target, nutrient) : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const streaks = calculateCarbStreaks();
+    const streaksHTML = streaks
+        ? `
+            <div class="history-stat">
+                <span class="history-stat-value">${streaks.current}</span>
+                <span class="history-stat-label">day(s) in a row within the carb limit</span>
+            </div>
+            <div class="history-stat">
+                <span class="history-stat-value">${streaks.longest}</span>
+                <span class="history-stat-label">day(s) - the longest run so far</span>
+            </div>
+        `
+        : '<span class="input-helper">Set Max Carbs to track days within the carb limit</span>';
+
+    // Top foods for the selected period
+    const selectedDays = parseInt(document.getElementById('historyPeriod').value, 10);
+    const selectedPeriod = periods.find(period => period.days === selectedDays) || periods[0];
+    const topFoodsHTML = HISTORY_TOP_FOOD_NUTRIENTS.map(key => {
+        const nutrient = getNutrient(key);
+        const topFoods = findTopHistoryFoods(selectedPeriod.loggedDays, key);
+        const items = topFoods.length > 0
+            ? topFoods.map(food => `
+                <li>
+                    <span>${escapeHTML(food.name)}</span>
+                    <span>${formatNutrientValue(Math.round(food.amount), nutrient)} (${Math.round(food.share * 100)}%)</span>
+                </li>
+            `).join('')
+            : '<li>Nothing logged</li>';
+        return `
+            <div class="history-top-foods">
+                <h3>Most ${nutrient.label.toLowerCase()} - last ${selectedPeriod.days} days</h3>
+                <ol>${items}</ol>
+            </div>
+        `;
+    }).join('');
+
+    reportContainer.innerHTML = `
+        <div class="history-streaks">${streaksHTML}</div>
+        <div class="compare-table-wrapper">
+            <table class="compare-table history-averages">
+                <thead>
+                    <tr>
+                        <th scope="col">Daily average</th>
+                        ${periods.map(period => `<th scope="col">Last ${period.days} days<br><span class="input-helper">${period.loggedDays.length} day(s) logged</span></th>`).join('')}
+                        <th scope="col">Target</th>
+                    </tr>
+                </thead>
+                <tbody>${averageRows}</tbody>
+            </table>
+        </div>
+        <div class="history-top-foods-lists">${topFoodsHTML}</div>
+    `;
+}
+
+/**
+ * Export the logged days of the selected period as CSV: one row per day with its totals and
+ * whether it was within the carb limit, then an averages row
+ */
+function exportHistoryCSV() {
+    const days = parseInt(document.getElementById('historyPeriod').value, 10);
+    const loggedDays = getHistoryDays(days);
+
+    if (loggedDays.length === 0) {
+        showNotification(`Nothing was logged in the last ${days} days to export.`, { key: 'history' });
+        return;
+    }
+
+    const header = ['Date', 'Carb Limit (g)', 'Within Carb Limit']
+        .concat(NUTRIENTS.map(nutrient => `${nutrient.label} (${nutrient.unit})`));
+    const rows = [header];
+
+    loggedDays.forEach(day => {
+        const limit = day.record.carbLimit !== null ? day.record.carbLimit : maxDailyCarbs;
+        const withinLimit = limit === null ? '' : (day.record.totals.carbs <= limit ? 'Yes' : 'No');
+        rows.push([day.dateKey, limit !== null ? limit : '', withinLimit]
+            .concat(NUTRIENTS.map(nutrient => roundForExport(day.record.totals[nutrient.key]))));
+    });
+
+    const averages = calculateHistoryAverages(loggedDays);
+    rows.push([`Average (${loggedDays.length} of ${days} days logged)`, '', '']
+        .concat(NUTRIENTS.map(nutrient => roundForExport(averages[nutrient.key]))));
+
+    const csv = rows.map(row => row.map(toCSVField).join(',')).join('\r\n');
+    downloadFile(`intake-history-${days}-days-to-${formatDateKey(new Date())}.csv`, csv, 'text/csv');
+}
+
+/**
+ * Get every item logged on a diary day with its grams and nutrient amounts
+ * @param {string} dateKey - Diary key in "YYYY-MM-DD" format
+ * @returns {Array} - [{ meal, name, count, unit, quantity, portion, grams, totalGrams, nutrients: { key: amount } }] for foods that exist
+ */
+function getDayLineItems(dateKey) {
+    const day = getDiaryDay(dateKey);
+    const lineItems = [];
+
+    DIARY_MEALS.forEach(meal => {
+        Object.keys(day[meal.id]).forEach(foodName => {
+            const item = day[meal.id][foodName];
+            const food = getFoodByName(foodName);
+
+            if (food && item.count > 0) {
+                const nutrients = {};
+                NUTRIENTS.forEach(nutrient => {
+                    nutrients[nutrient.key] = food[nutrient.key] * item.multiplier * item.count;
+                });
+
+                lineItems.push({
+                    meal: meal.id,
+                    name: foodName,
+                    category: food.category,
+                    count: item.count,
+                    unit: item.unit,
+                    quantity: item.quantity,
+                    portion: formatPortion(item),
+                    grams: roundForExport(item.multiplier * 100),
+                    totalGrams: roundForExport(item.multiplier * 100 * item.count),
+                    nutrients: nutrients
+                });
+            }
+        });
+    });
+
+    return lineItems;
+}
+
+/**
+ * Round a number to one decimal place for export
+ * @param {number} value - The value to round
+ * @returns {number} - The rounded value
+ */
+function roundForExport(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Quote a value for a CSV field if it contains a comma, quote or line break
+ * @param {*} value - The value to write
+ * @returns {string} - The CSV-safe field
+ */
+function toCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Offer text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Some browsers start the download after click() returns, so only free the blob afterwards
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the current diary day as CSV: one row per item with its grams and macros, then a totals row
+ */
+function exportShoppingListCSV() {
+    const lineItems = getDayLineItems(currentDiaryDate);
+    const totals = calculateDayTotals();
+
+    const header = ['Meal', 'Food', 'Category', 'Qty', 'Portion', 'Grams Each', 'Total Grams']
+        .concat(NUTRIENTS.map(nutrient => `${nutrient.label} (${nutrient.unit})`));
+    const rows = [header];
+
+    lineItems.forEach(lineItem => {
+        rows.push([lineItem.meal, lineItem.name, lineItem.category, lineItem.count, lineItem.portion, lineItem.grams, lineItem.totalGrams]
+            .concat(NUTRIENTS.map(nutrient => roundForExport(lineItem.nutrients[nutrient.key]))));
+    });
+
+    const totalGrams = roundForExport(lineItems.reduce((sum, lineItem) => sum + lineItem.totalGrams, 0));
+    rows.push(['Total', '', '', '', '', '', totalGrams].concat(NUTRIENTS.map(nutrient => roundForExport(totals[nutrient.key]))));
+
+    const csv = rows.map(row => row.map(toCSVField).join(',')).join('\r\n');
+    downloadFile(`meal-builder-${currentDiaryDate}.csv`, csv, 'text/csv');
+}
+
+/**
+ * Export the current diary day as JSON, including per-item macros and the day totals
+ */
+function exportShoppingListJSON() {
+    const totals = calculateDayTotals();
+    const roundedTotals = {};
+    NUTRIENTS.forEach(nutrient => {
+        roundedTotals[nutrient.key] = roundForExport(totals[nutrient.key]);
+    });
+
+    const data = {
+        format: MEAL_EXPORT_FORMAT,
+        version: MEAL_EXPORT_VERSION,
+        date: currentDiaryDate,
+        exportedAt: new Date().toISOString(),
+        items: getDayLineItems(currentDiaryDate).map(lineItem => {
+            const nutrients = {};
+            NUTRIENTS.forEach(nutrient => {
+                nutrients[nutrient.key] = roundForExport(lineItem.nutrients[nutrient.key]);
+            });
+            return {
+                meal: lineItem.meal,
+                name: lineItem.name,
+                count: lineItem.count,
+                grams: lineItem.grams,
+                unit: lineItem.unit,
+                quantity: lineItem.quantity,
+                nutrients: nutrients
+            };
+        }),
+        totals: roundedTotals
+    };
+
+    downloadFile(`meal-builder-${currentDiaryDate}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Import a JSON file made by exportShoppingListJSON into the current diary day,
+ * replacing what's there and reporting any items that don't match a known food
+ * @param {File} file - The JSON file chosen by the user
+ */
+function importShoppingListJSON(file) {
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text);
+            if (!data || data.format !== MEAL_EXPORT_FORMAT || !Array.isArray(data.items)) {
+                throw new Error('Not a Meal Builder export file');
+            }
+            if (data.version > MEAL_EXPORT_VERSION) {
+                throw new Error('File was exported by a newer version of the app');
+            }
+
+            // The import replaces the day, so keep what was there in case it's undone
+            const dateKey = currentDiaryDate;
+            const savedDay = foodDiary[dateKey];
+            const result = applyImportedItems(data.items);
+
+            showUndoNotification(`Imported ${result.imported} item(s) into ${dateKey}`, () => restoreDiaryDay(dateKey, savedDay));
+            if (result.unmatched.length > 0) {
+                showNotification(`These didn't match a known food and were skipped: ${result.unmatched.join(', ')}`, { type: 'warning', duration: 0 });
+            }
+        })
+        .catch(error => {
+            console.error('Error importing Meal Builder file:', error);
+            showNotification(`Could not import that file: ${error.message}`, { type: 'error' });
+        });
+}
+
+/**
+ * Replace the current diary day with imported items
+ * @param {Array} items - [{ meal, name, count, grams, unit, quantity }] as written by exportShoppingListJSON
+ * @returns {Object} - { imported: number of items added, unmatched: names with no matching food }
+ */
+function applyImportedItems(items) {
+    const unmatched = [];
+    let imported = 0;
+
+    delete foodDiary[currentDiaryDate];
+    const day = getDiaryDay(currentDiaryDate);
+
+    items.forEach(importedItem => {
+        const name = importedItem && importedItem.name;
+        if (!getFoodByName(name)) {
+            unmatched.push(name || '(no name)');
+            return;
+        }
+
+        const meal = DIARY_MEALS.some(m => m.id === importedItem.meal) ? importedItem.meal : currentMeal;
+        const count = Number.isInteger(importedItem.count) && importedItem.count > 0 ? importedItem.count : 1;
+        const grams = importedItem.grams > 0 ? importedItem.grams : 100;
+
+        // The grams are what was eaten; the unit and quantity are only kept if they're usable
+        const unit = getPortionUnit(importedItem.unit).id === importedItem.unit && importedItem.quantity > 0 ? importedItem.unit : 'g';
+        const quantity = unit === 'g' ? grams : importedItem.quantity;
+
+        day[meal][name] = { count: count, multiplier: grams / 100, unit: unit, quantity: quantity, grams: grams };
+        imported++;
+    });
+
+    shoppingList = getMealList(currentDiaryDate, currentMeal);
+    displayShoppingList();
+    updateTotals();
+    refreshButtonStates();
+    saveAppState();
+
+    return { imported, unmatched };
+}
+
+/**
+ * Build a printable shopping list for the current diary day, combining each food's grams
+ * across meals and grouping by category, then open the print dialog
+ */
+function printShoppingList() {
+    const printView = document.getElementById('printView');
+    const lineItems = getDayLineItems(currentDiaryDate);
+
+    // Combine the same food logged in several meals
+    const byName = {};
+    lineItems.forEach(lineItem => {
+        if (!byName[lineItem.name]) {
+            byName[lineItem.name] = { name: lineItem.name, category: lineItem.category, grams: 0 };
+        }
+        byName[lineItem.name].grams = roundForExport(byName[lineItem.name].grams + lineItem.totalGrams);
+    });
+
+    const byCategory = {};
+    Object.values(byName).forEach(entry => {
+        (byCategory[entry.category] = byCategory[entry.category] || []).push(entry);
+    });
+
+    printView.innerHTML = '';
+
+    const title = document.createElement('h1');
+    title.textContent = `Shopping List - ${currentDiaryDate}`;
+    printView.appendChild(title);
+
+    if (lineItems.length === 0) {
+        const emptyDiv = document.createElement('p');
+        emptyDiv.textContent = 'Nothing...';
+        printView.appendChild(emptyDiv);
+    }
+
+    Object.keys(byCategory).sort().forEach(category => {
+        const heading = document.createElement('h2');
+        heading.textContent = category;
+        printView.appendChild(heading);
+
+        const list = document.createElement('ul');
+        byCategory[category].sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.name} - ${entry.grams}g`;
+            list.appendChild(item);
+        });
+        printView.appendChild(list);
+    });
+
+    window.print();
+}
+
+/**
+ * Encode text for a share link. Spaces become '+' and commas are left as they are, which keeps
+ * food names like "Bread, wholemeal" readable; '@', ';' and '*' stay escaped as they separate the fields.
+ * @param {string} text - The text to encode
+ * @returns {string} - The encoded text
+ */
+function encodeShareText(text) {
+    return encodeURIComponent(text).replace(/%20/g, '+').replace(/%2C/g, ',').replace(/\*/g, '%2A');
+}
+
+/**
+ * Decode text written by encodeShareText
+ * @param {string} text - The encoded text
+ * @returns {string} - The original text
+ */
+function decodeShareText(text) {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+}
+
+/**
+ * Build the share link for a meal
+ * @param {string} meal - Meal id
+ * @param {Object} list - The meal's items, keyed by food name
+ * @returns {string} - The full URL, with the meal in the fragment
+ */
+function buildShareLink(meal, list) {
+    const items = Object.keys(list).map(name => {
+        const item = list[name];
+        const count = item.count > 1 ? `*${item.count}` : '';
+        return `${encodeShareText(name)}@${roundForExport(item.grams)}${count}`;
+    });
+    const fragment = [SHARE_LINK_VERSION, meal].concat(items).join(';');
+    return `${window.location.origin}${window.location.pathname}${SHARE_LINK_PREFIX}${fragment}`;
+}
+
+/**
+ * Decode a meal from a URL fragment made by buildShareLink
+ * @param {string} hash - The URL fragment, including the '#'
+ * @returns {Object|null} - { meal, items: [{ name, grams, count }], unreadable: number of items that couldn't be read },
+ *     or null if the fragment isn't a share link
+ * @throws {Error} - If the link is from a newer version of the app or isn't readable at all
+ */
+function decodeSharedMeal(hash) {
+    if (!hash.startsWith(SHARE_LINK_PREFIX)) {
+        return null;
+    }
+
+    const parts = hash.slice(SHARE_LINK_PREFIX.length).split(';');
+    const version = Number(parts[0]);
+    if (!Number.isInteger(version) || version < 1 || parts.length < 2) {
+        throw new Error('The link is incomplete');
+    }
+    if (version > SHARE_LINK_VERSION) {
+        throw new Error('The link was made by a newer version of the app');
+    }
+
+    const items = [];
+    let unreadable = 0;
+    parts.slice(2).filter(part => part).forEach(part => {
+        const match = /^(.+)@(\d+(?:\.\d+)?)(?:\*(\d+))?$/.exec(part);
+        let name = null;
+        try {
+            name = match ? decodeShareText(match[1]).trim() : null;
+        } catch (error) {
+            // Badly escaped name; counted as unreadable below
+        }
+        const grams = match ? Number(match[2]) : 0;
+        const count = match && match[3] ? Number(match[3]) : 1;
+
+        if (!name || grams <= 0 || count < 1) {
+            unreadable++;
+            return;
+        }
+        items.push({ name: name, grams: grams, count: count });
+    });
+
+    return {
+        meal: DIARY_MEALS.some(m => m.id === parts[1]) ? parts[1] : currentMeal,
+        items: items,
+        unreadable: unreadable
+    };
+}
+
+/**
+ * Load the meal in the page's share link, if there is one, replacing that meal on the current diary day.
+ * The fragment is then removed so reloading the page doesn't load the meal again.
+ */
+function applySharedMealFromURL() {
+    let shared;
+    try {
+        shared = decodeSharedMeal(window.location.hash);
+    } catch (error) {
+        showNotification(`Could not open the shared meal: ${error.message}`, { type: 'error' });
+        shared = null;
+    }
+    if (window.location.hash.startsWith(SHARE_LINK_PREFIX)) {
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+    if (!shared) {
+        return;
+    }
+
+    const dateKey = currentDiaryDate;
+    const saved = foodDiary[dateKey] ? JSON.parse(JSON.stringify(foodDiary[dateKey])) : undefined;
+    const list = getMealList(dateKey, shared.meal);
+    const unresolved = [];
+
+    Object.keys(list).forEach(name => {
+        delete list[name];
+    });
+    shared.items.forEach(item => {
+        const food = getFoodByName(item.name);
+        if (!food) {
+            unresolved.push(item.name);
+            return;
+        }
+        list[food.name] = Object.assign({ count: item.count }, resolvePortion(food, item.grams, 'g'));
+    });
+
+    changeCurrentMeal(shared.meal);
+    refreshAfterMealItemsChange();
+    showUndoNotification(`Loaded a shared ${Object.keys(list).length}-item meal into ${getMealLabel(shared.meal)} on ${dateKey}`,
+        () => restoreDiaryDay(dateKey, saved));
+
+    if (unresolved.length > 0 || shared.unreadable > 0) {
+        const problems = unresolved.length > 0 ? [`These foods aren't in your food list and were skipped: ${unresolved.join(', ')}`] : [];
+        if (shared.unreadable > 0) {
+            problems.push(`${shared.unreadable} item(s) in the link couldn't be read`);
+        }
+        showNotification(`${problems.join('. ')}.`, { type: 'warning', duration: 0 });
+    }
+}
+
+/**
+ * Open the share panel with a link and QR code for the current meal
+ */
+function openSharePanel() {
+    if (Object.keys(shoppingList).length === 0) {
+        showNotification('Add some foods to the meal before sharing it.', { key: 'share' });
+        return;
+    }
+
+    const link = buildShareLink(currentMeal, shoppingList);
+    const itemCount = Object.keys(shoppingList).length;
+    document.getElementById('shareSummary').textContent = `${getMealLabel(currentMeal)}, ${itemCount} item(s). Opening the link loads a copy of this meal.`;
+    document.getElementById('shareLinkInput').value = link;
+    document.getElementById('shareNativeBtn').hidden = typeof navigator.share !== 'function';
+
+    const modules = createQRCode(link);
+    document.getElementById('shareQRCode').innerHTML = modules
+        ? renderQRCodeSVG(modules, `QR code for the link to this ${getMealLabel(currentMeal).toLowerCase()}`)
+        : '<p class="input-helper">This meal is too big for a QR code. Copy the link instead.</p>';
+
+    document.getElementById('sharePanel').hidden = false;
+    document.getElementById('shareCopyBtn').focus();
+}
+
+/**
+ * Close the share panel
+ */
+function closeSharePanel() {
+    document.getElementById('sharePanel').hidden = true;
+    document.getElementById('shareMealBtn').focus();
+}
+
+/**
+ * Copy the share link to the clipboard, or select it for the user to copy if the clipboard can't be used
+ */
+function copyShareLink() {
+    const input = document.getElementById('shareLinkInput');
+    const selectLink = () => {
+        input.focus();
+        input.select();
+        showNotification('Press Ctrl+C (or Cmd+C) to copy the selected link.', { key: 'share' });
+    };
+
+    if (!navigator.clipboard) {
+        selectLink();
+        return;
+    }
+    navigator.clipboard.writeText(input.value)
+        .then(() => showNotification('Link copied.', { type: 'success', key: 'share' }))
+        .catch(selectLink);
+}
+
+/**
+ * Build an SVG of a QR code, with the light border (quiet zone) scanners need around it.
+ * Always dark on light whatever the theme, as not every scanner reads inverted codes.
+ * @param {Array} modules - Rows of booleans from createQRCode
+ * @param {string} title - Accessible description of the code
+ * @returns {string} - SVG markup
+ */
+function renderQRCodeSVG(modules, title) {
+    const quietZone = 4;
+    const size = modules.length + quietZone * 2;
+    let path = '';
+
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                path += `M${x + quietZone},${y + quietZone}h1v1h-1z`;
+            }
+        });
+    });
+
+    return `<svg class="share-qr-svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${escapeHTML(title)}" shape-rendering="crispEdges">
+            <title>${escapeHTML(title)}</title>
+            <rect width="${size}" height="${size}" fill="#ffffff"></rect>
+            <path d="${path}" fill="#000000"></path>
+        </svg>`;
+}
+
+/**
+ * Split text into lower-case search tokens, ignoring accents and punctuation
+ * @param {string} text - Text to tokenise
+ * @returns {Array} - Array of tokens
+ */
+function tokenizeSearchText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token);
+}
+
+/**
+ * Build the search index over food names
+ * @param {Array} foods - Array of food objects
+ * @returns {Object} - { entries: [{ food, tokens, text }], postings: Map(token -> Set of entry indexes),
+ *                      textByName: Map(food name -> text) }
+ */
+function buildSearchIndex(foods) {
+    const entries = [];
+    const postings = new Map();
+    const textByName = new Map();
+
+    foods.forEach((food, index) => {
+        const tokens = tokenizeSearchText(food.name);
+        const text = ` ${tokens.join(' ')} `;
+        entries.push({ food: food, tokens: tokens, text: text });
+        textByName.set(food.name, text);
+
+        tokens.forEach(token => {
+            if (!postings.has(token)) {
+                postings.set(token, new Set());
+            }
+            postings.get(token).add(index);
+        });
+    });
+
+    return { entries, postings, textByName };
+}
+
+/**
+ * Split a search query into loose terms and "quoted phrases"
+ * @param {string} query - The raw search text
+ * @returns {Object} - { terms: Array of tokens, phrases: Array of token arrays }
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const phrases = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1] !== undefined) {
+            const phraseTokens = tokenizeSearchText(match[1]);
+            if (phraseTokens.length > 1) {
+                phrases.push(phraseTokens);
+            } else {
+                terms.push(...phraseTokens);
+            }
+        } else {
+            terms.push(...tokenizeSearchText(match[2]));
+        }
+    }
+
+    return { terms, phrases };
+}
+
+/**
+ * Score how well an indexed token matches a query term: exact beats prefix beats a typo.
+ * Short terms (under 3 characters) only match exactly or as a prefix.
+ * @param {string} term - Query term
+ * @param {string} token - Token from a food name
+ * @returns {number} - Match quality, 0 for no match
+ */
+function scoreTokenMatch(term, token) {
+    if (token === term) {
+        return 3;
+    }
+    if (token.startsWith(term)) {
+        return 2 + term.length / token.length * 0.5;
+    }
+    if (term.length < 3) {
+        return 0;
+    }
+
+    // Allow one typo in short words and two in longer ones, comparing against the start of
+    // the token so a misspelt prefix (e.g. "chedar" for "cheddars") still matches
+    const maxDistance = term.length >= 6 ? 2 : 1;
+    const distance = editDistance(term, token.slice(0, term.length + maxDistance), maxDistance);
+    if (distance <= maxDistance) {
+        return distance === 1 ? 1.5 : 0.75;
+    }
+
+    return 0;
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and swapped neighbours) between two strings,
+ * giving up once it's certain to exceed maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} - The distance, or maxDistance + 1 if it's larger
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Search food names with the search index. Every term and phrase must match; if nothing matches
+ * them all, foods matching the most terms are returned instead so a typo-heavy query still finds something.
+ * @param {string} query - The raw search text
+ * @returns {Map} - Food name -> { score, matchedTokens: Set of name tokens to highlight }
+ */
+function searchFoods(query) {
+    // A packaged product's barcode finds just that product
+    const product = findProductByBarcode(normaliseBarcode(query));
+    if (product) {
+        return new Map([[product.name, { score: 1, matchedTokens: new Set() }]]);
+    }
+
+    const { terms, phrases } = parseSearchQuery(query);
+    const results = new Map();
+
+    if (terms.length === 0 && phrases.length === 0) {
+        return results;
+    }
+
+    // Find the matching vocabulary tokens for each term once, rather than per food
+    const termMatches = terms.map(term => {
+        const matches = new Map();
+        searchIndex.postings.forEach((_, token) => {
+            const quality = scoreTokenMatch(term, token);
+            if (quality > 0) {
+                matches.set(token, quality);
+            }
+        });
+        return matches;
+    });
+
+    const candidates = [];
+    let bestMatchedCount = 0;
+
+    searchIndex.entries.forEach(entry => {
+        // Phrases must appear as consecutive whole words
+        if (!phrases.every(phrase => entry.text.includes(` ${phrase.join(' ')} `))) {
+            return;
+        }
+
+        const matchedTokens = new Set(phrases.flat());
+        let score = phrases.length * 4;
+        let matchedCount = 0;
+
+        termMatches.forEach(matches => {
+            let best = 0;
+            entry.tokens.forEach((token, position) => {
+                const quality = matches.get(token);
+                if (quality) {
+                    matchedTokens.add(token);
+                    // Words near the start of the name (e.g. "Cheese, cheddar") are what the food is
+                    best = Math.max(best, quality + (position === 0 ? 0.5 : 0));
+                }
+            });
+            if (best > 0) {
+                score += best;
+                matchedCount++;
+            }
+        });
+
+        if (matchedCount > 0 || terms.length === 0) {
+            candidates.push({ entry, score, matchedCount, matchedTokens });
+            bestMatchedCount = Math.max(bestMatchedCount, matchedCount);
+        }
+    });
+
+    candidates
+        .filter(candidate => candidate.matchedCount === bestMatchedCount)
+        .forEach(candidate => {
+            results.set(candidate.entry.food.name, { score: candidate.score, matchedTokens: candidate.matchedTokens });
+        });
+
+    return results;
+}
+
+/**
+ * Build the HTML for a food name with the words that matched the search wrapped in <mark>
+ * @param {string} name - The food name
+ * @param {Set} matchedTokens - Normalised tokens to highlight
+ * @returns {string} - Escaped HTML
+ */
+function highlightFoodName(name, matchedTokens) {
+    return name.split(/([^A-Za-z0-9\u00C0-\u024F]+)/).map(part => {
+        const tokens = tokenizeSearchText(part);
+        const escaped = escapeHTML(part);
+        return tokens.length === 1 && matchedTokens.has(tokens[0]) ? `<mark>${escaped}</mark>` : escaped;
+    }).join('');
 }
@@ -0,0 +1,230 @@
+// Meal planner worker: searches for foods and gram amounts that meet a set of daily targets.
+// The search is a simulated annealing optimiser - it makes small random changes to a plan (add, remove,
+// swap or resize an item), keeping the ones that bring it closer to the targets and, early on, some that
+// don't so it can get out of dead ends. It runs here so the page stays responsive while it works.
+
+// Amounts are planned in steps of this many grams, between these limits per item
+const GRAM_STEP = 5;
+const MIN_ITEM_GRAMS = 10;
+const MAX_ITEM_GRAMS = 250;
+
+// Amount a new item starts at, before the search adjusts it
+const START_ITEM_GRAMS = 100;
+
+// How much missing a target costs, per goal. Going over a limit costs more than falling short of
+// a minimum, so the planner gives up a little protein before it goes over the carb limit.
+const GOAL_WEIGHTS = {
+    limit: { over: 10, under: 0 },
+    minimum: { over: 0, under: 3 },
+    aim: { over: 10, under: 3 }
+};
+
+// Search schedule: each run cools from START_TEMPERATURE to END_TEMPERATURE over STEPS_PER_RUN changes,
+// and the search keeps starting new runs until it's out of time
+const STEPS_PER_RUN = 20000;
+const START_TEMPERATURE = 0.5;
+const END_TEMPERATURE = 0.0005;
+
+self.addEventListener('message', function(event) {
+    self.postMessage(findMealPlan(event.data));
+});
+
+/**
+ * Search for the plan that comes closest to the targets
+ * @param {Object} request - { foods: [{ name, values: { key: per 100g } }], targets: [{ key, amount, goal }], maxItems, timeLimit, seed }
+ * @returns {Object} - { items: [{ name, grams }], totals: { key: amount }, score, runs }
+ */
+function findMealPlan(request) {
+    const random = createRandom(request.seed);
+    const deadline = Date.now() + request.timeLimit;
+    let best = [];
+    let bestScore = scorePlan(best, request);
+    let runs = 0;
+
+    do {
+        const plan = improvePlan(runPlanSearch(request, random), request);
+        const score = scorePlan(plan, request);
+        if (score < bestScore) {
+            best = plan;
+            bestScore = score;
+        }
+        runs++;
+    } while (Date.now() < deadline);
+
+    return {
+        items: best.map(item => ({ name: request.foods[item.food].name, grams: item.grams })),
+        totals: calculatePlanTotals(best, request),
+        score: bestScore,
+        runs: runs
+    };
+}
+
+/**
+ * One simulated annealing run, starting from an empty plan
+ * @param {Object} request - The planner request
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array} - The best plan found: [{ food: index into request.foods, grams }]
+ */
+function runPlanSearch(request, random) {
+    let plan = [];
+    let score = scorePlan(plan, request);
+    let best = plan;
+    let bestScore = score;
+
+    for (let step = 0; step < STEPS_PER_RUN; step++) {
+        const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, step / STEPS_PER_RUN);
+        const candidate = changePlan(plan, request, random);
+        if (!candidate) {
+            continue;
+        }
+
+        const candidateScore = scorePlan(candidate, request);
+        if (candidateScore <= score || random() < Math.exp((score - candidateScore) / temperature)) {
+            plan = candidate;
+            score = candidateScore;
+            if (score < bestScore) {
+                best = plan;
+                bestScore = score;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Make one random change to a plan
+ * @param {Array} plan - The current plan (not modified)
+ * @param {Object} request - The planner request
+ * @param {Function} random - Random number generator
+ * @returns {Array|null} - The changed plan, or null if the chosen change isn't possible
+ */
+function changePlan(plan, request, random) {
+    const choice = random();
+    const index = Math.floor(random() * plan.length);
+
+    // Add a food (more likely while the plan is small)
+    if (plan.length === 0 || (choice < 0.25 && plan.length < request.maxItems)) {
+        const food = pickNewFood(plan, request, random);
+        return food === null ? null : plan.concat({ food: food, grams: START_ITEM_GRAMS });
+    }
+
+    // Remove a food
+    if (choice < 0.35) {
+        return plan.filter((item, i) => i !== index);
+    }
+
+    // Swap a food for another, keeping the amount
+    if (choice < 0.5) {
+        const food = pickNewFood(plan, request, random);
+        return food === null ? null : plan.map((item, i) => i === index ? { food: food, grams: item.grams } : item);
+    }
+
+    // Change the amount of a food, by anything from one step to a quarter of the maximum
+    const steps = 1 + Math.floor(random() * random() * (MAX_ITEM_GRAMS / GRAM_STEP / 4));
+    const change = (random() < 0.5 ? -1 : 1) * steps * GRAM_STEP;
+    return plan.map((item, i) => i === index ? { food: item.food, grams: clampGrams(item.grams + change) } : item);
+}
+
+/**
+ * Pick a food that isn't in the plan yet
+ * @param {Array} plan - The current plan
+ * @param {Object} request - The planner request
+ * @param {Function} random - Random number generator
+ * @returns {number|null} - Index into request.foods, or null if every food is already in the plan
+ */
+function pickNewFood(plan, request, random) {
+    if (plan.length >= request.foods.length) {
+        return null;
+    }
+
+    let food;
+    do {
+        food = Math.floor(random() * request.foods.length);
+    } while (plan.some(item => item.food === food));
+    return food;
+}
+
+/**
+ * Fine-tune a plan's amounts one step at a time until no single step helps
+ * @param {Array} plan - The plan from a search run
+ * @param {Object} request - The planner request
+ * @returns {Array} - The improved plan
+ */
+function improvePlan(plan, request) {
+    let score = scorePlan(plan, request);
+    let improved = true;
+
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < plan.length; i++) {
+            for (const change of [-GRAM_STEP, GRAM_STEP]) {
+                const candidate = plan.map((item, j) => j === i ? { food: item.food, grams: clampGrams(item.grams + change) } : item);
+                const candidateScore = scorePlan(candidate, request);
+                if (candidateScore < score) {
+                    plan = candidate;
+                    score = candidateScore;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Keep an amount within the per-item limits, on a whole step
+ * @param {number} grams - The amount
+ * @returns {number} - The clamped amount
+ */
+function clampGrams(grams) {
+    return Math.min(MAX_ITEM_GRAMS, Math.max(MIN_ITEM_GRAMS, Math.round(grams / GRAM_STEP) * GRAM_STEP));
+}
+
+/**
+ * Add up the targeted nutrients of a plan
+ * @param {Array} plan - [{ food, grams }]
+ * @param {Object} request - The planner request
+ * @returns {Object} - Amount of each targeted nutrient, keyed by nutrient key
+ */
+function calculatePlanTotals(plan, request) {
+    const totals = {};
+    request.targets.forEach(target => {
+        totals[target.key] = plan.reduce((total, item) => total + request.foods[item.food].values[target.key] * item.grams / 100, 0);
+    });
+    return totals;
+}
+
+/**
+ * Score how far a plan is from the targets - lower is better and 0 means every target is met
+ * @param {Array} plan - [{ food, grams }]
+ * @param {Object} request - The planner request
+ * @returns {number} - The sum of the squared relative misses, weighted by goal
+ */
+function scorePlan(plan, request) {
+    const totals = calculatePlanTotals(plan, request);
+
+    return request.targets.reduce((score, target) => {
+        const weights = GOAL_WEIGHTS[target.goal];
+        const miss = (totals[target.key] - target.amount) / Math.max(target.amount, 1);
+        return score + (miss > 0 ? weights.over : weights.under) * miss * miss;
+    }, 0);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32). The seed doesn't make a plan reproducible: the search
+ * runs until its time limit, so how many tries it makes, and so the plan found, depends on the machine's speed.
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,505 @@
+/*
+ * Based on the QR Code generator library by Project Nayuki:
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+// QR code generator: turns a piece of text into the grid of dark and light squares (modules) of a
+// QR code, so share links can be shown as a code to scan without sending them to an online service.
+// Always uses byte mode and medium error correction (about 15% of the code can be damaged), and the
+// smallest version (size) that fits the text. Follows ISO/IEC 18004.
+
+// Medium error correction, per version (index 0 is unused): codewords of error correction per block
+// and the number of blocks the data is split into
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+// Error correction level as written in the format information (medium is 00)
+const QR_ECC_FORMAT_BITS = 0;
+
+// Largest QR code version (177 x 177 modules)
+const QR_MAX_VERSION = 40;
+
+/**
+ * Create a QR code for some text
+ * @param {string} text - The text to encode (sent as UTF-8)
+ * @returns {Array|null} - Rows of booleans (true is dark), without the quiet zone, or null if the text is too long
+ */
+function createQRCode(text) {
+    const data = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    while (version <= QR_MAX_VERSION && getQRDataBits(version, data.length) > getQRDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        return null;
+    }
+
+    const code = {
+        version: version,
+        size: version * 4 + 17,
+        modules: [],
+        isFunction: []
+    };
+    for (let y = 0; y < code.size; y++) {
+        code.modules.push(new Array(code.size).fill(false));
+        code.isFunction.push(new Array(code.size).fill(false));
+    }
+
+    drawQRFunctionPatterns(code);
+    drawQRCodewords(code, addQRErrorCorrection(encodeQRData(data, version), version));
+
+    // Use the mask that leaves the fewest patterns that are hard for scanners to read
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyQRMask(code, mask);
+        drawQRFormatBits(code, mask);
+        const penalty = getQRPenaltyScore(code);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyQRMask(code, mask); // Masking twice undoes it
+    }
+    applyQRMask(code, bestMask);
+    drawQRFormatBits(code, bestMask);
+
+    return code.modules;
+}
+
+/**
+ * Count the bits the text takes up in byte mode: mode, length, then the bytes
+ * @param {number} version - QR code version
+ * @param {number} length - Number of bytes
+ * @returns {number} - Number of bits
+ */
+function getQRDataBits(version, length) {
+    return 4 + (version < 10 ? 8 : 16) + length * 8;
+}
+
+/**
+ * Count the modules available for data and error correction, after the function patterns
+ * @param {number} version - QR code version
+ * @returns {number} - Number of modules
+ */
+function getQRRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Count the codewords (bytes) available for data, after error correction
+ * @param {number} version - QR code version
+ * @returns {number} - Number of codewords
+ */
+function getQRDataCodewords(version) {
+    return Math.floor(getQRRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Encode bytes as a byte-mode segment, padded to fill the version's data codewords
+ * @param {Array} data - The bytes
+ * @param {number} version - QR code version
+ * @returns {Array} - The data codewords
+ */
+function encodeQRData(data, version) {
+    const capacity = getQRDataCodewords(version) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    appendBits(0x4, 4); // Byte mode
+    appendBits(data.length, version < 10 ? 8 : 16);
+    data.forEach(byte => appendBits(byte, 8));
+
+    // Terminator, then zeros to a whole byte, then the alternating pad bytes
+    appendBits(0, Math.min(4, capacity - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, add Reed-Solomon error correction to each, and interleave the blocks
+ * @param {Array} data - The data codewords
+ * @param {number} version - QR code version
+ * @returns {Array} - Every codeword, in the order they are drawn
+ */
+function addQRErrorCorrection(data, version) {
+    const blockCount = QR_ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getQRRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    // Later blocks hold one more data codeword than the short ones
+    const blocks = [];
+    for (let i = 0, start = 0; i < blockCount; i++) {
+        const blockData = data.slice(start, start + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+        start += blockData.length;
+        const ecc = getReedSolomonRemainder(blockData, divisor);
+        if (i < shortBlockCount) {
+            blockData.push(0); // Placeholder so the blocks line up; skipped below
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Work out the Reed-Solomon generator polynomial for a number of error correction codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array} - The coefficients, highest power first, without the leading 1
+ */
+function getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    // Multiply together (x - 2^0)(x - 2^1)...(x - 2^(degree - 1))
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = multiplyGF256(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = multiplyGF256(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Work out the error correction codewords for a block: the remainder of dividing it by the generator
+ * @param {Array} data - The block's data codewords
+ * @param {Array} divisor - From getReedSolomonDivisor
+ * @returns {Array} - The error correction codewords
+ */
+function getReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiplyGF256(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Multiply two numbers in the QR code's Galois field GF(2^8)
+ * @param {number} x - 0 to 255
+ * @param {number} y - 0 to 255
+ * @returns {number} - The product, 0 to 255
+ */
+function multiplyGF256(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Set a module that is part of a fixed pattern, so data and masks leave it alone
+ * @param {Object} code - The code being built
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {boolean} dark - Whether the module is dark
+ */
+function setQRFunctionModule(code, x, y, dark) {
+    code.modules[y][x] = dark;
+    code.isFunction[y][x] = true;
+}
+
+/**
+ * Draw the finder, timing and alignment patterns, and reserve the format and version areas
+ * @param {Object} code - The code being built
+ */
+function drawQRFunctionPatterns(code) {
+    const size = code.size;
+
+    for (let i = 0; i < size; i++) {
+        setQRFunctionModule(code, 6, i, i % 2 === 0);
+        setQRFunctionModule(code, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns in three corners, each with its light separator
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                    setQRFunctionModule(code, x + dx, y + dy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns on a grid, except where they would overlap the finder patterns
+    const positions = getQRAlignmentPositions(code.version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+        positions.forEach((y, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setQRFunctionModule(code, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawQRFormatBits(code, 0); // Reserve the area; drawn again once the mask is chosen
+    drawQRVersion(code);
+}
+
+/**
+ * Work out where the alignment patterns' centres go along each axis
+ * @param {number} version - QR code version
+ * @param {number} size - Modules per side
+ * @returns {Array} - Row/column positions, smallest first
+ */
+function getQRAlignmentPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * Draw the error correction level and mask, with their BCH error correction, in both copies
+ * @param {Object} code - The code being built
+ * @param {number} mask - Mask pattern, 0 to 7
+ */
+function drawQRFormatBits(code, mask) {
+    const size = code.size;
+    const data = (QR_ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top left finder pattern
+    for (let i = 0; i <= 5; i++) {
+        setQRFunctionModule(code, 8, i, bit(i));
+    }
+    setQRFunctionModule(code, 8, 7, bit(6));
+    setQRFunctionModule(code, 8, 8, bit(7));
+    setQRFunctionModule(code, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+        setQRFunctionModule(code, 14 - i, 8, bit(i));
+    }
+
+    // Split between the other two finder patterns
+    for (let i = 0; i < 8; i++) {
+        setQRFunctionModule(code, size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setQRFunctionModule(code, 8, size - 15 + i, bit(i));
+    }
+    setQRFunctionModule(code, 8, size - 8, true); // Always dark
+}
+
+/**
+ * Draw the version number, with its error correction, in both copies (version 7 and up only)
+ * @param {Object} code - The code being built
+ */
+function drawQRVersion(code) {
+    if (code.version < 7) {
+        return;
+    }
+
+    let remainder = code.version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (code.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = code.size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setQRFunctionModule(code, a, b, dark);
+        setQRFunctionModule(code, b, a, dark);
+    }
+}
+
+/**
+ * Draw the codewords in the zigzag order: pairs of columns from the right, alternately up and down
+ * @param {Object} code - The code being built
+ * @param {Array} codewords - Every codeword, from addQRErrorCorrection
+ */
+function drawQRCodewords(code, codewords) {
+    const size = code.size;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5; // Skip the vertical timing pattern
+        }
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                // Any modules left over after the codewords stay light
+                if (!code.isFunction[y][x] && i < codewords.length * 8) {
+                    code.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Flip the data modules picked out by a mask pattern
+ * @param {Object} code - The code being built
+ * @param {number} mask - Mask pattern, 0 to 7
+ */
+function applyQRMask(code, mask) {
+    const patterns = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    for (let y = 0; y < code.size; y++) {
+        for (let x = 0; x < code.size; x++) {
+            if (!code.isFunction[y][x] && patterns[mask](x, y)) {
+                code.modules[y][x] = !code.modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Score how hard a masked code is to scan: long runs, 2x2 blocks, patterns that look like
+ * finder patterns, and an uneven balance of dark and light all add to the penalty
+ * @param {Object} code - The code being built
+ * @returns {number} - The penalty (lower is better)
+ */
+function getQRPenaltyScore(code) {
+    const size = code.size;
+    const modules = code.modules;
+    const finderLike = [true, false, true, true, true, false, true];
+    let penalty = 0;
+    let dark = 0;
+
+    // Rows, then columns, read as lines of modules
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) {
+                penalty += run - 2;
+            }
+            run = 1;
+        }
+
+        // 1:1:3:1:1 with four light modules on one side
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((value, j) => line[i + j] === value)) {
+                continue;
+            }
+            const lightBefore = [1, 2, 3, 4].every(j => i - j < 0 || !line[i - j]);
+            const lightAfter = [0, 1, 2, 3].every(j => i + 7 + j >= size || !line[i + 7 + j]);
+            if (lightBefore || lightAfter) {
+                penalty += 40;
+            }
+        }
+    });
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) {
+                dark++;
+            }
+            if (x > 0 && y > 0 && modules[y][x] === modules[y][x - 1] && modules[y][x] === modules[y - 1][x] && modules[y][x] === modules[y - 1][x - 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // 10 for every 5% the dark share is away from half
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
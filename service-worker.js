@@ -0,0 +1,154 @@
+// Service worker: keeps the app and the food data available offline.
+// The app files are served from the cache and refreshed in the background; the food data is
+// fetched from the network first so an updated CSV is picked up, falling back to the cached copy.
+
+// Bump these when the list of app files or the way the data is cached changes
+const APP_CACHE = 'carbscals-app-v4';
+const DATA_CACHE = 'carbscals-data-v1';
+
+// Files needed to start the app without a connection
+const APP_FILES = [
+    './',
+    'index.html',
+    'application.js',
+    'meal-planner.js',
+    'qr-code.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+// The food dataset, cached separately so it can be checked for updates on every load
+const DATA_FILE = 'data/foodData.csv';
+
+// How long to wait for the network before using the cached food data (poor signal)
+const DATA_NETWORK_TIMEOUT_MS = 4000;
+
+// Response headers telling the page where the food data came from
+const SOURCE_HEADER = 'X-CarbsCals-Source';
+const FETCHED_HEADER = 'X-CarbsCals-Fetched';
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        Promise.all([
+            caches.open(APP_CACHE).then(cache => cache.addAll(APP_FILES)),
+            caches.open(DATA_CACHE).then(cache => fetchAndCacheData(cache, new Request(DATA_FILE)).catch(() => null))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    // Remove caches left by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('carbscals-') && key !== APP_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.endsWith(`/${DATA_FILE}`)) {
+        event.respondWith(respondWithData(event.request));
+    } else {
+        event.respondWith(respondWithAppFile(event.request));
+    }
+});
+
+/**
+ * Serve the food data from the network, caching it, or from the cache if the network fails or is too slow
+ * @param {Request} request - The request for the dataset
+ * @returns {Promise<Response>} - The dataset, with headers saying whether it came from the cache
+ */
+function respondWithData(request) {
+    return caches.open(DATA_CACHE).then(cache => {
+        // A slow fetch keeps going after the timeout, so the cache is still updated when it finishes
+        const fromNetwork = fetchAndCacheData(cache, request).catch(() => null);
+        const timeout = new Promise(resolve => {
+            setTimeout(() => resolve(null), DATA_NETWORK_TIMEOUT_MS);
+        });
+
+        return Promise.race([fromNetwork, timeout]).then(response => {
+            if (response) {
+                return markDataSource(response, 'network', new Date().toISOString());
+            }
+            return cache.match(DATA_FILE).then(cached => {
+                // Nothing cached yet, so wait for the network after all
+                if (!cached) {
+                    return fromNetwork.then(late => late ? markDataSource(late, 'network', new Date().toISOString()) : Response.error());
+                }
+                return markDataSource(cached, 'cache', cached.headers.get(FETCHED_HEADER));
+            });
+        });
+    });
+}
+
+/**
+ * Fetch the food data and store a copy in the data cache, stamped with when it was fetched
+ * @param {Cache} cache - The data cache
+ * @param {Request} request - The request for the dataset
+ * @returns {Promise<Response>} - The network response
+ */
+function fetchAndCacheData(cache, request) {
+    return fetch(request, { cache: 'no-cache' }).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.clone().text().then(text => {
+            const headers = new Headers(response.headers);
+            headers.set(FETCHED_HEADER, new Date().toISOString());
+            return cache.put(DATA_FILE, new Response(text, { status: 200, headers: headers }));
+        }).then(() => response);
+    });
+}
+
+/**
+ * Copy a response, adding headers that tell the page where the data came from
+ * @param {Response} response - The dataset response
+ * @param {string} source - 'network' or 'cache'
+ * @param {string|null} fetchedAt - ISO time the data was fetched from the network
+ * @returns {Promise<Response>} - The copied response
+ */
+function markDataSource(response, source, fetchedAt) {
+    return response.text().then(text => {
+        const headers = new Headers(response.headers);
+        headers.set(SOURCE_HEADER, source);
+        if (fetchedAt) {
+            headers.set(FETCHED_HEADER, fetchedAt);
+        }
+        return new Response(text, { status: 200, headers: headers });
+    });
+}
+
+/**
+ * Serve an app file from the cache, refreshing the cached copy in the background
+ * (stale-while-revalidate), or from the network if it isn't cached yet
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} - The response
+ */
+function respondWithAppFile(request) {
+    // Pages opened with filters in the query (index.html?...) share the one cached copy of the file
+    const url = new URL(request.url);
+    const cacheKey = url.origin + url.pathname;
+
+    return caches.open(APP_CACHE).then(cache => cache.match(cacheKey).then(cached => {
+        const fromNetwork = fetch(request).then(response => {
+            if (response.ok) {
+                cache.put(cacheKey, response.clone());
+            }
+            return response;
+        });
+
+        if (cached) {
+            fromNetwork.catch(() => null); // Offline - the cached copy is fine
+            return cached;
+        }
+        return fromNetwork;
+    }));
+}
@@ -0,0 +1,151 @@
+// Accessibility checks: labelled card buttons, keyboard operation of the results, the "/" shortcut,
+// the totals live region and the text shown with each card colour.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('accessibility', () => {
+    let app;
+    let window;
+    let document;
+
+    /**
+     * Press a key on an element, as the browser would
+     * @param {HTMLElement} target - The element with focus
+     * @param {string} key - The key value
+     * @returns {boolean} - False if the app handled the key (prevented the default)
+     */
+    const pressKey = (target, key) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true }));
+
+    const cardAt = index => document.querySelector(`#resultsContainer .food-card[data-index="${index}"]`);
+    const focusedIndex = () => Number(document.activeElement.dataset.index);
+
+    before(async () => {
+        app = await loadApp();
+        window = app.window;
+        document = app.document;
+    });
+
+    it('labels the + and - buttons with the food they act on', () => {
+        const cards = document.querySelectorAll('#resultsContainer .food-card');
+        assert.ok(cards.length > 0);
+
+        cards.forEach(card => {
+            const name = card.dataset.foodName;
+            assert.strictEqual(card.querySelector('.add-to-shopping-btn').getAttribute('aria-label'), `Add ${name} to Meal Builder`);
+            assert.strictEqual(card.querySelector('.remove-from-shopping-btn').getAttribute('aria-label'), `Remove ${name} from Meal Builder`);
+        });
+    });
+
+    it('keeps one card in the tab order', () => {
+        const tabbable = [...document.querySelectorAll('#resultsContainer .food-card')].filter(card => card.tabIndex === 0);
+        assert.strictEqual(tabbable.length, 1);
+    });
+
+    it('moves between cards with the arrow keys, Home and End', () => {
+        const columns = window.eval('getResultsLayout(document.querySelector("#resultsContainer .results-window")).columns');
+        const lastIndex = window.eval('renderedFoods.length') - 1;
+        cardAt(0).focus();
+
+        assert.strictEqual(pressKey(document.activeElement, 'ArrowRight'), false);
+        assert.strictEqual(focusedIndex(), 1);
+        pressKey(document.activeElement, 'ArrowLeft');
+        assert.strictEqual(focusedIndex(), 0);
+        pressKey(document.activeElement, 'ArrowLeft');
+        assert.strictEqual(focusedIndex(), 0, 'stays on the first card');
+
+        pressKey(document.activeElement, 'ArrowDown');
+        assert.strictEqual(focusedIndex(), Math.min(columns, lastIndex));
+        pressKey(document.activeElement, 'ArrowUp');
+        assert.strictEqual(focusedIndex(), 0);
+
+        pressKey(document.activeElement, 'End');
+        assert.strictEqual(focusedIndex(), lastIndex);
+        pressKey(document.activeElement, 'Home');
+        assert.strictEqual(focusedIndex(), 0);
+        assert.strictEqual(document.activeElement.tabIndex, 0);
+    });
+
+    it('adds and removes the focused food with + and -', () => {
+        const card = cardAt(0);
+        const name = card.dataset.foodName;
+        card.focus();
+
+        assert.strictEqual(pressKey(card, '+'), false);
+        assert.strictEqual(window.eval(`shoppingList[${JSON.stringify(name)}].count`), 1);
+        pressKey(cardAt(0), '=');
+        assert.strictEqual(window.eval(`shoppingList[${JSON.stringify(name)}].count`), 2);
+        pressKey(cardAt(0), '-');
+        pressKey(cardAt(0), '-');
+        assert.strictEqual(window.eval(`shoppingList[${JSON.stringify(name)}]`), undefined);
+    });
+
+    it('leaves keys typed into a card\'s inputs alone', () => {
+        const input = cardAt(0).querySelector('.quantity-input');
+        input.focus();
+
+        assert.strictEqual(pressKey(input, 'ArrowRight'), true);
+        assert.strictEqual(pressKey(input, '+'), true);
+        assert.strictEqual(window.eval('Object.keys(shoppingList).length'), 0);
+    });
+
+    it('jumps to the search box with "/" unless typing', () => {
+        cardAt(0).focus();
+        assert.strictEqual(pressKey(document.activeElement, '/'), false);
+        assert.strictEqual(document.activeElement.id, 'searchInput');
+
+        // Typing "/" in a text field types it
+        const excludeInput = document.getElementById('excludeInput');
+        excludeInput.focus();
+        assert.strictEqual(pressKey(excludeInput, '/'), true);
+        assert.strictEqual(document.activeElement, excludeInput);
+    });
+
+    it('announces changed totals in a polite live region', () => {
+        const region = document.getElementById('totalsAnnouncement');
+        assert.strictEqual(region.getAttribute('aria-live'), 'polite');
+
+        cardAt(0).querySelector('.add-to-shopping-btn').click();
+        const first = region.textContent;
+        assert.match(first, /^Day totals: .*carbs/);
+
+        cardAt(1).querySelector('.add-to-shopping-btn').click();
+        assert.notStrictEqual(region.textContent, first);
+    });
+
+    it('shows a text and icon status with each card colour', () => {
+        const card = cardAt(0);
+        const status = card.querySelector('.card-status');
+        const labels = window.eval('CARD_STATUS_LABELS');
+
+        ['green', 'orange', 'red'].forEach(color => {
+            window.eval('setCardStatus')(card, color);
+            assert.strictEqual(status.hidden, false);
+            assert.ok(status.classList.contains(`card-status-${color}`));
+            assert.strictEqual(status.textContent.trim(), `${labels[color].icon} ${labels[color].text}`);
+            assert.strictEqual(status.querySelector('[aria-hidden="true"]').textContent, labels[color].icon, 'the icon is hidden from screen readers');
+        });
+
+        window.eval('setCardStatus')(card, null);
+        assert.strictEqual(status.hidden, true);
+        assert.strictEqual(status.textContent, '');
+    });
+
+    it('gives every coloured card the matching status once a limit is set', () => {
+        window.eval('maxDailyCarbs = 20; colorFoodCardsBasedOnKeto()');
+        const coloured = document.querySelectorAll('#resultsContainer .food-card.card-green, #resultsContainer .food-card.card-orange, #resultsContainer .food-card.card-red');
+        assert.ok(coloured.length > 0);
+
+        coloured.forEach(card => {
+            const color = ['green', 'orange', 'red'].find(c => card.classList.contains(`card-${c}`));
+            const status = card.querySelector('.card-status');
+            assert.strictEqual(status.hidden, false);
+            assert.ok(status.textContent.includes(window.eval('CARD_STATUS_LABELS')[color].text));
+        });
+    });
+
+    it('logs no page errors', () => {
+        assert.deepStrictEqual(app.errors, []);
+    });
+});
@@ -0,0 +1,73 @@
+// Runs the dietary tag rules over the foods in data/foodData.csv, checking foods the rules are easy to get wrong for
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('food tags', () => {
+    let window;
+
+    /**
+     * Get the tags the rules give a food in the dataset
+     * @param {string} name - The food name
+     * @returns {Array} - Tag ids
+     */
+    const tagsOf = name => {
+        const food = window.eval('getFoodByName')(name);
+        assert.ok(food, `${name} is in the food data`);
+        return window.eval('getFoodTags')(food, null);
+    };
+
+    const assertTags = (name, expected, unexpected) => {
+        const tags = tagsOf(name);
+        expected.forEach(tag => assert.ok(tags.includes(tag), `${name} should be tagged ${tag} (got ${tags.join(', ')})`));
+        unexpected.forEach(tag => assert.ok(!tags.includes(tag), `${name} shouldn't be tagged ${tag} (got ${tags.join(', ')})`));
+    };
+
+    before(async () => {
+        ({ window } = await loadApp());
+    });
+
+    it('tags shellfish in dishes that also name a mushroom', () => {
+        assertTags('Curry, prawn and mushroom, homemade', ['shellfish'], ['fish', 'vegetarian', 'vegan']);
+    });
+
+    it('doesn\'t tag oyster mushrooms as shellfish', () => {
+        assertTags('Mushrooms, oyster, raw', ['vegetarian'], ['shellfish']);
+        assertTags('Oysters, raw', ['shellfish'], ['vegetarian']);
+    });
+
+    it('tags made-up and meat-free dishes', () => {
+        assertTags('Frankfurter with bun', ['meat', 'gluten'], ['vegetarian', 'vegan']);
+        assertTags('Pizza, vegetarian, retail and takeaway', ['vegetarian', 'gluten'], ['vegan', 'meat']);
+        assertTags('Lasagne, vegetable, retail', ['vegetarian', 'gluten'], ['vegan', 'meat']);
+        assertTags('Moussaka, vegetable, homemade', ['vegetarian'], ['vegan', 'meat']);
+        assertTags('Soup, broccoli and stilton, carton, chilled', ['vegetarian', 'dairy'], ['vegan']);
+        assertTags('Quorn, pieces, as purchased', ['vegetarian', 'egg'], ['vegan', 'meat']);
+        assertTags('Tofu burger, baked', ['vegetarian', 'soy'], ['meat']);
+        assertTags('Tempeh burgers, fried in vegetable oil', ['vegetarian', 'soy'], ['meat']);
+    });
+
+    it('gives a recipe what its ingredients contain, whatever it\'s called', () => {
+        window.eval(`customFoods = [{
+            type: 'recipe', name: 'Sunday special', category: 'Vegetables', cookedWeight: 300,
+            ingredients: [{ name: 'Chicken, breast, grilled without skin, meat only', grams: 200 }, { name: 'Cheese, Cheddar, English', grams: 100 }]
+        }, {
+            type: 'recipe', name: 'Green plate', category: 'Vegetables', cookedWeight: 200,
+            ingredients: [{ name: 'Broccoli, green, raw', grams: 200 }, { name: 'Green plate', grams: 100 }]
+        }]; mergeCustomFoods()`);
+
+        assertTags('Sunday special', ['meat', 'dairy'], ['vegetarian', 'vegan']);
+        assertTags('Green plate', ['vegetarian', 'vegan'], []); // Includes itself without looping
+    });
+
+    it('tags every seafood as fish or shellfish, and fish as only fish', () => {
+        window.eval('allFoods').filter(food => food.category === 'Seafood').forEach(food => {
+            const tags = window.eval('getFoodTags')(food, null);
+            assert.ok(tags.includes('fish') || tags.includes('shellfish'), `${food.name} (got ${tags.join(', ')})`);
+            assert.ok(!tags.includes('vegetarian'), `${food.name} shouldn't be vegetarian`);
+        });
+        assertTags('Haddock, flesh only, grilled', ['fish'], ['shellfish']);
+        assertTags('Cuttlefish, raw', ['shellfish'], ['fish']);
+    });
+});
@@ -0,0 +1,98 @@
+// Loads index.html and its scripts into jsdom, with the food data read from disk, so tests can
+// drive the page the way a user would. The app's globals are reached through window.eval.
+
+const fs = require('fs');
+const path = require('path');
+const { TextEncoder } = require('util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// How long to wait for the food data to load and the saved state to be restored
+const LOAD_TIMEOUT_MS = 20000;
+
+/**
+ * Answer the page's fetch calls from the files in the repo
+ * @param {string} url - The requested URL
+ * @returns {Promise<Object>} - A minimal fetch Response
+ */
+function fetchFromDisk(url) {
+    const filePath = path.join(ROOT, String(url).replace(/^https?:\/\/[^/]+\//, '').split(/[?#]/)[0]);
+    if (!fs.existsSync(filePath)) {
+        return Promise.resolve({ ok: false, status: 404, headers: { get: () => null }, text: () => Promise.resolve('') });
+    }
+    const body = fs.readFileSync(filePath, 'utf8');
+    return Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        text: () => Promise.resolve(body),
+        json: () => Promise.resolve(JSON.parse(body))
+    });
+}
+
+/**
+ * Load the app and wait until the food data is shown
+ * @param {Object} options - { url: page URL, storage: { key: value } to put in localStorage first }
+ * @returns {Promise<Object>} - { window, document, errors: page errors logged while loading and after }
+ */
+function loadApp(options = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/index.html',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.fetch = fetchFromDisk;
+    window.TextEncoder = window.TextEncoder || TextEncoder;
+    window.matchMedia = window.matchMedia || (query => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    }));
+    window.HTMLElement.prototype.scrollIntoView = function() {};
+
+    // jsdom has no layout or scrolling. Scrolling moves the results up the screen, so the virtualised
+    // results render the cards a browser would show at that scroll position.
+    let scrollY = 0;
+    Object.defineProperty(window, 'scrollY', { get: () => scrollY, configurable: true });
+    window.scrollTo = (x, y) => {
+        scrollY = Math.max(0, y);
+        window.dispatchEvent(new window.Event('scroll'));
+    };
+    window.document.getElementById('resultsContainer').getBoundingClientRect = () => ({ top: -scrollY, bottom: -scrollY, left: 0, right: 0, width: 0, height: 0 });
+
+    // jsdom doesn't fetch <script src>, so run each script's source in the page in order. DOMContentLoaded
+    // fires after this, as the page is still loading.
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const inline = window.document.createElement('script');
+        inline.textContent = fs.readFileSync(path.join(ROOT, script.getAttribute('src')), 'utf8');
+        window.document.body.appendChild(inline);
+    });
+
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (window.eval('appStateRestored') && window.document.querySelector('#resultsContainer .food-card')) {
+                resolve({ window, document: window.document, errors });
+            } else if (Date.now() - started > LOAD_TIMEOUT_MS) {
+                reject(new Error(`App didn't load: ${errors.join('; ') || 'no errors logged'}`));
+            } else {
+                setTimeout(check, 20);
+            }
+        };
+        check();
+    });
+}
+
+module.exports = { loadApp };
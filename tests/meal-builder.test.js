@@ -0,0 +1,64 @@
+// Meal Builder totals, removing servings and exporting the day
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('meal builder', () => {
+    let window;
+
+    const food = name => window.eval('getFoodByName')(name);
+    const mealList = meal => window.eval(`getMealList(currentDiaryDate, ${JSON.stringify(meal)})`);
+
+    before(async () => {
+        ({ window } = await loadApp());
+    });
+
+    beforeEach(() => {
+        window.eval('DIARY_MEALS.forEach(meal => { getDiaryDay(currentDiaryDate)[meal.id] = {}; })');
+    });
+
+    it('counts a food logged in two meals twice in its category\'s totals', () => {
+        const broccoli = food('Broccoli, green, raw');
+        const portion = window.eval('resolvePortion')(broccoli, 100, 'g');
+        window.eval('addToShoppingList')(broccoli, portion, 'breakfast');
+        window.eval('addToShoppingList')(broccoli, portion, 'dinner');
+
+        const lineItems = ['breakfast', 'dinner'].map(meal => ({ meal: meal, name: broccoli.name, item: mealList(meal)[broccoli.name] }));
+        const totals = window.eval('calculateLineItemsTotals')(lineItems);
+        assert.ok(Math.abs(totals.calories - broccoli.calories * 2) < 1e-9);
+    });
+
+    it('takes off one serving of a fractional serving weight', () => {
+        const broccoli = food('Broccoli, green, raw');
+        const portion = window.eval('resolvePortion')(broccoli, 33.3, 'g');
+        for (let i = 0; i < 4; i++) {
+            window.eval('addToShoppingList')(broccoli, portion, 'lunch');
+        }
+
+        window.eval('removeFromShoppingList')(broccoli, null, 'lunch');
+        const item = mealList('lunch')[broccoli.name];
+        assert.strictEqual(item.count, 3);
+        assert.strictEqual(item.grams, 33.3);
+    });
+
+    it('keeps fractional portions through a JSON export and import', () => {
+        const broccoli = food('Broccoli, green, raw');
+        window.eval('addToShoppingList')(broccoli, window.eval('resolvePortion')(broccoli, 33.3, 'g'), 'dinner');
+        const totalsBefore = window.eval('calculateDayTotals()');
+
+        let exported = null;
+        const downloadFile = window.downloadFile;
+        window.downloadFile = (filename, content) => {
+            exported = content;
+        };
+        window.eval('exportShoppingListJSON()');
+        window.downloadFile = downloadFile;
+
+        const items = JSON.parse(exported).items;
+        assert.strictEqual(items[0].grams, 33.3);
+        window.eval('applyImportedItems')(items);
+        assert.strictEqual(mealList('dinner')[broccoli.name].grams, 33.3);
+        assert.ok(Math.abs(window.eval('calculateDayTotals()').calories - totalsBefore.calories) < 1e-9);
+    });
+});
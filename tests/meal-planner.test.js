@@ -0,0 +1,33 @@
+// The meal planner's targets, which are for the current meal
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('meal planner', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        ({ window, document } = await loadApp());
+    });
+
+    it('starts from what the day\'s other meals leave of the daily targets', () => {
+        window.eval(`
+            maxDailyCarbs = 20;
+            const bread = getFoodByName('Bread, white, average');
+            addToShoppingList(bread, resolvePortion(bread, 100 * 15 / bread.carbs, 'g'), 'breakfast');
+            changeCurrentMeal('lunch');
+            fillMealPlanTargets(false);
+        `);
+
+        assert.strictEqual(document.getElementById('mealPlanTarget-carbs').value, '5');
+    });
+
+    it('shows where a plan would leave the whole day', () => {
+        window.eval(`displayMealPlan([{ name: 'Bread, white, average', grams: 100 * 20 / getFoodByName('Bread, white, average').carbs }],
+            [{ key: 'carbs', amount: 20, goal: 'limit' }])`);
+
+        assert.match(document.getElementById('mealPlanResult').textContent, /Loaded into Lunch, with the day's other meals: Carbs 35g \(daily target 20g\)/);
+    });
+});
@@ -0,0 +1,59 @@
+// Deleting a custom food when there are several profiles
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('profiles', () => {
+    let window;
+    let document;
+
+    const undoButton = () => document.querySelector('#notifications [data-key="meal-change"] .notification-action');
+
+    /**
+     * Add a custom food, log it in the active profile's lunch, and give a second profile a diary with it in
+     */
+    const setUp = () => {
+        window.eval(`
+            customFoods.push({ type: 'food', name: 'Flapjack bar', category: 'Snacks', values: { carbs: 60, calories: 450 } });
+            mergeCustomFoods();
+            addToShoppingList(getFoodByName('Flapjack bar'), resolvePortion(getFoodByName('Flapjack bar'), 50, 'g'), 'lunch');
+            profiles = profiles.filter(profile => profile.id === activeProfileId).concat({
+                id: 'profile-other', name: 'Sam',
+                diary: { '2026-01-05': { breakfast: {}, lunch: {}, dinner: {}, snacks: { 'Flapjack bar': { count: 2, multiplier: 0.5, grams: 50, unit: 'g' } } } }
+            });
+        `);
+    };
+
+    const otherSnacks = () => window.eval('profiles.find(profile => profile.id === "profile-other").diary["2026-01-05"].snacks');
+
+    // A fresh page for each test, so each sets up the profiles and food it needs
+    beforeEach(async () => {
+        ({ window, document } = await loadApp());
+        setUp();
+    });
+
+    afterEach(() => {
+        window.close();
+    });
+
+    it('removes a deleted custom food from every profile\'s diary, and Undo puts it back', () => {
+        window.eval('deleteCustomFood')('Flapjack bar');
+
+        assert.strictEqual(window.eval('getMealList(currentDiaryDate, "lunch")["Flapjack bar"]'), undefined);
+        assert.deepStrictEqual(Object.keys(otherSnacks()), []);
+
+        undoButton().click();
+        assert.strictEqual(window.eval('getMealList(currentDiaryDate, "lunch")["Flapjack bar"].grams'), 50);
+        assert.strictEqual(otherSnacks()['Flapjack bar'].count, 2);
+    });
+
+    it('drops the Undo when switching profile', () => {
+        window.eval('deleteCustomFood')('Flapjack bar');
+        assert.ok(undoButton());
+
+        window.eval('switchProfile')('profile-other');
+        assert.strictEqual(undoButton(), null);
+        assert.strictEqual(window.eval('Object.keys(getMealList("2026-01-05", "snacks")).length'), 0);
+    });
+});
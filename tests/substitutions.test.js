@@ -0,0 +1,39 @@
+// Swap suggestions for Meal Builder items
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('substitutions', () => {
+    let window;
+
+    /**
+     * Get the names of the foods suggested as swaps for a portion of a food
+     * @param {string} name - The food name
+     * @param {number} grams - The portion
+     * @returns {Array} - Suggested food names, best first
+     */
+    const suggestionsFor = (name, grams) => {
+        const food = window.eval('getFoodByName')(name);
+        assert.ok(food, `${name} is in the food data`);
+        return window.eval('findSubstitutions')(food, grams).map(suggestion => suggestion.food.name);
+    };
+
+    before(async () => {
+        ({ window } = await loadApp());
+    });
+
+    it('matches white rice on being rice, not on being white', () => {
+        const names = suggestionsFor('Rice, white, basmati, boiled in unsalted water', 150);
+        assert.ok(names.length > 0);
+        names.forEach(name => assert.match(name, /\brice\b/i));
+        assert.ok(!names.includes('Khadhi'));
+        assert.ok(!names.some(name => /mushrooms/i.test(name)));
+    });
+
+    it('ignores shared preparation words such as "flesh and skin"', () => {
+        const names = suggestionsFor('Potatoes, new and salad, boiled in salted water, flesh and skin', 200);
+        assert.ok(!names.includes('Cucumber, raw, flesh and skin'));
+        assert.ok(!names.includes('Aubergine, flesh and skin, boiled in unsalted water'));
+    });
+});
@@ -0,0 +1,32 @@
+// Deleting a custom theme and undoing it
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+describe('themes', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        ({ window, document } = await loadApp());
+    });
+
+    it('goes back to a deleted theme that was in use when the delete is undone', () => {
+        const themeId = 'custom-midnight';
+        window.eval(`
+            customThemes.push({ id: '${themeId}', name: 'Midnight', base: 'dark', colours: getBaseThemeColours('dark') });
+            populateThemeSelect();
+            selectTheme('${themeId}');
+        `);
+
+        window.eval('deleteCustomTheme')(themeId);
+        assert.strictEqual(window.eval('currentTheme'), 'system');
+
+        const notification = [...document.querySelectorAll('#notifications .notification')].find(n => n.textContent.includes('Deleted theme Midnight'));
+        notification.querySelector('.notification-action').click();
+        assert.strictEqual(window.eval('currentTheme'), themeId);
+        assert.strictEqual(document.getElementById('themeSelect').value, themeId);
+        assert.strictEqual(JSON.parse(window.localStorage.getItem(window.eval('STORAGE_KEY'))).profiles[0].theme, themeId);
+    });
+});